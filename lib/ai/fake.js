@@ -0,0 +1,30 @@
+// =====================
+// Proveedor determinista para tests y desarrollo sin red ni API key.
+// Responde con los fixtures grabados (ver fixtures.js) o con respuestas vacías.
+// =====================
+import { fixtureKey, readFixture } from "./fixtures.js";
+
+const EMPTY = {
+  extract: JSON.stringify({ bookmaker: null, selections: [] }),
+  complete: "{}",
+  fixture: JSON.stringify({ tournament: null, startIso: null, tz: null, sourceUrl: null }),
+  result: JSON.stringify({ finished: false, score: null, status: null, confidence: 0, sources: [] }),
+};
+
+export function createFakeProvider({ dir }) {
+  const answer = (kind, args) => {
+    const text = readFixture(dir, kind, fixtureKey(kind, args)) ?? EMPTY[kind];
+    return Promise.resolve({
+      text,
+      usage: { model: "fake", input_tokens: 0, output_tokens: 0, tool_calls: 0 }
+    });
+  };
+
+  return {
+    name: "fake",
+    extractSlip: args => answer("extract", args),
+    complete: args => answer("complete", args),
+    lookupFixture: args => answer("fixture", args),
+    lookupResult: args => answer("result", args),
+  };
+}
@@ -0,0 +1,45 @@
+// =====================
+// Ficheros de fixtures para el proveedor fake y el modo record:
+//   <dir>/<kind>/<key>.json  (kind: extract | complete | fixture | result)
+// Si no hay fichero para la clave se usa <dir>/<kind>/default.json.
+// =====================
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+
+const sha1 = s => createHash("sha1").update(String(s)).digest("hex").slice(0, 16);
+const slug = s => String(s || "")
+  .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "")
+  .slice(0, 80) || "empty";
+
+// Claves legibles para búsquedas; hash para imágenes y prompts libres
+export function fixtureKey(kind, args = {}) {
+  switch (kind) {
+    case "extract": return sha1(args.image);
+    case "fixture": return slug(`${args.partido} ${args.sport || ""}`);
+    case "result": return slug(`${args.partido} ${args.pick || ""}`);
+    default: return sha1(args.prompt);
+  }
+}
+
+export function readFixture(dir, kind, key) {
+  for (const name of [key, "default"]) {
+    const file = path.join(dir, kind, `${name}.json`);
+    if (!existsSync(file)) continue;
+    const raw = readFileSync(file, "utf8");
+    // El fichero puede guardar el texto del modelo tal cual o ya como JSON
+    try {
+      const parsed = JSON.parse(raw);
+      return typeof parsed === "string" ? parsed : JSON.stringify(parsed);
+    } catch {
+      return raw;
+    }
+  }
+  return null;
+}
+
+export function writeFixture(dir, kind, key, text) {
+  mkdirSync(path.join(dir, kind), { recursive: true });
+  writeFileSync(path.join(dir, kind, `${key}.json`), JSON.stringify(text, null, 2));
+}
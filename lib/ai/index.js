@@ -0,0 +1,57 @@
+// =====================
+// Selección del proveedor de IA por configuración
+//   AI_PROVIDER=openai|fake|record (por defecto openai; sin OPENAI_API_KEY no arranca)
+//   AI_FIXTURES_DIR=./fixtures/ai (fixtures que lee el fake y escribe record)
+//   AI_MAX_CONCURRENCY=4 (llamadas simultáneas al proveedor)
+//   onUsage(method, usage) se llama tras cada llamada que termina (medición de consumo)
+//
+// Interfaz común; todos los métodos devuelven { text, usage }:
+//   extractSlip({ system, prompt, image })    visión sobre el ticket
+//   complete({ system, prompt, temperature }) texto (reparación de JSON)
+//   lookupFixture({ partido, sport, prompt })  búsqueda web de hora/competición
+//   lookupResult({ partido, pick, prompt })    búsqueda web del resultado
+// =====================
+import { createOpenAiProvider } from "./openai.js";
+import { createFakeProvider } from "./fake.js";
+import { createRecordingProvider } from "./record.js";
+import { createLimiter } from "../limiter.js";
+
+export const AI_PROVIDERS = ["openai", "fake", "record"];
+
+const METHODS = ["extractSlip", "complete", "lookupFixture", "lookupResult"];
+
+// Todas las llamadas de un proveedor comparten el mismo límite de concurrencia
+export function withConcurrencyLimit(provider, concurrency) {
+  const limiter = createLimiter(concurrency);
+  const limited = { ...provider };
+  for (const m of METHODS) limited[m] = args => limiter.run(() => provider[m](args));
+  return limited;
+}
+
+// Avisa del `usage` de cada llamada; va por fuera del límite para conservar el contexto del llamante
+export function withUsage(provider, onUsage) {
+  if (!onUsage) return provider;
+  const metered = { ...provider };
+  for (const m of METHODS) {
+    metered[m] = async args => {
+      const out = await provider[m](args);
+      await onUsage(m, out?.usage || {});
+      return out;
+    };
+  }
+  return metered;
+}
+
+function selectProvider(name, env) {
+  const dir = env.AI_FIXTURES_DIR || "fixtures/ai";
+  if (name === "fake") return createFakeProvider({ dir });
+  const openai = createOpenAiProvider({ apiKey: env.OPENAI_API_KEY });
+  if (name === "openai") return openai;
+  if (name === "record") return createRecordingProvider(openai, { dir });
+  throw new Error(`Unknown AI_PROVIDER "${name}" (expected ${AI_PROVIDERS.join(" | ")})`);
+}
+
+export function createAiProvider(env = process.env, { onUsage = null } = {}) {
+  const name = (env.AI_PROVIDER || "openai").toLowerCase();
+  return withUsage(withConcurrencyLimit(selectProvider(name, env), Number(env.AI_MAX_CONCURRENCY || 4)), onUsage);
+}
@@ -0,0 +1,105 @@
+// =====================
+// Proveedor OpenAI: chat (visión / texto) con el SDK y web_search vía /v1/responses
+// =====================
+import OpenAI from "openai";
+
+const RESPONSES_URL = "https://api.openai.com/v1/responses";
+const WEB_SEARCH_TOOL = {
+  type: "web_search",
+  user_location: { type: "approximate", country: "ES", timezone: "Europe/Madrid" }
+};
+
+// Texto de salida de una respuesta de /v1/responses
+export function responseText(json) {
+  try {
+    const out = json?.output || [];
+    const msg = out.find(o => o.type === "message") || out[out.length - 1] || {};
+    return (msg.content?.find(c => c.type === "output_text")?.text || "").trim();
+  } catch {
+    return "";
+  }
+}
+
+export function createOpenAiProvider({ apiKey, visionModel = "gpt-4o-mini", searchModel = "gpt-4o" }) {
+  if (!apiKey) throw new Error("OPENAI_API_KEY is required");
+  const openai = new OpenAI({ apiKey });
+
+  async function chat({ system, content, temperature, model = visionModel }) {
+    const resp = await openai.chat.completions.create({
+      model,
+      temperature,
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        { role: "user", content }
+      ]
+    });
+    return {
+      text: resp.choices?.[0]?.message?.content || "",
+      usage: {
+        model,
+        input_tokens: resp.usage?.prompt_tokens || 0,
+        output_tokens: resp.usage?.completion_tokens || 0,
+        tool_calls: 0
+      }
+    };
+  }
+
+  async function webSearch({ prompt, temperature, model = searchModel }) {
+    const r = await fetch(RESPONSES_URL, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model,
+        input: prompt,
+        tools: [WEB_SEARCH_TOOL],
+        tool_choice: "auto",
+        temperature
+      })
+    });
+    if (!r.ok) {
+      const err = new Error(`OpenAI error (${r.status}): ${await r.text()}`);
+      err.status = 502;
+      throw err;
+    }
+    const j = await r.json();
+    return {
+      text: responseText(j),
+      usage: {
+        model,
+        input_tokens: j.usage?.input_tokens || 0,
+        output_tokens: j.usage?.output_tokens || 0,
+        tool_calls: (j.output || []).filter(o => o.type === "web_search_call").length
+      }
+    };
+  }
+
+  return {
+    name: "openai",
+
+    extractSlip({ system, prompt, image }) {
+      return chat({
+        system,
+        temperature: 0.2,
+        content: [
+          { type: "text", text: prompt },
+          { type: "image_url", image_url: { url: image } }
+        ]
+      });
+    },
+
+    complete({ system, prompt, temperature = 0 }) {
+      return chat({ system, content: prompt, temperature });
+    },
+
+    lookupFixture({ prompt }) {
+      return webSearch({ prompt, temperature: 0.1 });
+    },
+
+    lookupResult({ prompt }) {
+      return webSearch({ prompt, temperature: 0.2 });
+    },
+  };
+}
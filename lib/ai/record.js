@@ -0,0 +1,23 @@
+// =====================
+// Envuelve un proveedor real y graba cada respuesta como fixture para el fake
+// =====================
+import { fixtureKey, writeFixture } from "./fixtures.js";
+
+const METHOD_KIND = {
+  extractSlip: "extract",
+  complete: "complete",
+  lookupFixture: "fixture",
+  lookupResult: "result",
+};
+
+export function createRecordingProvider(inner, { dir }) {
+  const provider = { name: `record:${inner.name}` };
+  for (const [method, kind] of Object.entries(METHOD_KIND)) {
+    provider[method] = async args => {
+      const out = await inner[method](args);
+      writeFixture(dir, kind, fixtureKey(kind, args), out.text);
+      return out;
+    };
+  }
+  return provider;
+}
@@ -0,0 +1,95 @@
+// =====================
+// Registro de cambios manuales (append-only) por ticket y selección, con marca de
+// sospecha si el cambio llega con el evento ya empezado, y plan de reversión.
+// =====================
+
+// Entradas de capturas añadidas a un ticket (ver appendParsedSlip en server.js)
+const APPEND_ACTIONS = ["append_selection", "append_images"];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// { campo: { old, new } } solo para los campos que cambian
+export function diffFields(before, after, fields) {
+  const changes = {};
+  for (const f of fields) {
+    const oldValue = before?.[f] ?? null;
+    const newValue = after?.[f] ?? null;
+    if (!same(oldValue, newValue)) changes[f] = { old: oldValue, new: newValue };
+  }
+  return changes;
+}
+
+// Primera pierna ya empezada en `at` (ISO) o null
+export function startedLeg(legs, at) {
+  const started = (legs || [])
+    .filter(l => l?.start_time_utc && l.start_time_utc <= at)
+    .sort((a, b) => a.start_time_utc.localeCompare(b.start_time_utc));
+  return started[0] || null;
+}
+
+export function createAuditLog(storage) {
+  return {
+    /**
+     * Guarda un cambio. `legs` son las selecciones cuyo inicio decide si es sospechoso.
+     * Devuelve la entrada o null si no cambió nada (las borradas se guardan siempre).
+     */
+    async record({ betslip_id, tipster_id, entity, entity_id, action, actor, before, after = null, fields = [], legs = [], note = null }) {
+      const changes = diffFields(before, after, fields);
+      if (Object.keys(changes).length === 0 && action !== "delete") return null;
+
+      const at = new Date().toISOString();
+      const leg = startedLeg(legs, at);
+      const entry = await storage.insertAudit({
+        betslip_id,
+        tipster_id: tipster_id != null ? String(tipster_id) : null,
+        entity,
+        entity_id,
+        action,
+        actor_role: actor?.role || null,
+        actor_id: actor?.tipster_id || actor?.role || null,
+        changes: action === "delete" ? null : changes,
+        before: action === "delete" ? before : null,
+        suspicious: Boolean(leg),
+        suspicious_reason: leg ? `edited after event start (${leg.match || leg.id} at ${leg.start_time_utc})` : null,
+        note,
+        created_at: at,
+      });
+      if (leg && action !== "delete") await storage.updateBetslip(betslip_id, { edited_after_start: true });
+      return entry;
+    },
+
+    history(betslip_id) {
+      return storage.listAudit(betslip_id);
+    },
+
+    /**
+     * Valores para volver al estado previo a `audit_id`: por cada entidad y campo tocado
+     * desde ese cambio (incluido), el `old` más antiguo.
+     * Devuelve [{ entity, entity_id, patch }] o null si la entrada no existe. Lanza 409 si
+     * hay capturas añadidas en medio: sus piernas no tienen estado previo al que volver.
+     */
+    revertPlan(entries, audit_id) {
+      const idx = entries.findIndex(e => String(e.id) === String(audit_id));
+      if (idx < 0) return null;
+
+      const appended = entries.slice(idx).find(e => APPEND_ACTIONS.includes(e.action));
+      if (appended) {
+        const err = new Error(`Cannot revert past screenshots appended to the betslip (audit_id ${appended.id})`);
+        err.status = 409;
+        throw err;
+      }
+
+      const plans = new Map();
+      for (const e of entries.slice(idx)) {
+        if (!e.changes) continue;
+        const key = `${e.entity}:${e.entity_id}`;
+        if (!plans.has(key)) plans.set(key, { entity: e.entity, entity_id: e.entity_id, patch: {} });
+        const { patch } = plans.get(key);
+        for (const [field, { old }] of Object.entries(e.changes)) {
+          if (!(field in patch)) patch[field] = old;
+        }
+      }
+      return [...plans.values()];
+    },
+  };
+}
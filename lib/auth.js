@@ -0,0 +1,150 @@
+// =====================
+// Autenticación (API keys o JWT HS256) y autorización por tipster.
+// req.auth = { role: "admin" | "tipster", tipster_id, via: "api_key" | "jwt" | "disabled" }
+// =====================
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+
+export const ROLES = ["admin", "tipster"];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const sha256 = v => createHash("sha256").update(String(v)).digest();
+
+function safeEqual(a, b) {
+  const x = Buffer.from(a), y = Buffer.from(b);
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+/**
+ * API_KEYS: entradas separadas por ";" con el formato `clave:admin` o `clave:tipster:<tipster_id>`.
+ * Solo se guarda el hash de cada clave.
+ */
+export function parseApiKeys(spec) {
+  const keys = [];
+  for (const entry of String(spec || "").split(";").map(s => s.trim()).filter(Boolean)) {
+    const [key, role, tipster_id] = entry.split(":").map(s => s.trim());
+    if (!key || !ROLES.includes(role) || (role === "tipster" && !tipster_id)) {
+      throw new Error(`Invalid API_KEYS entry "${entry.slice(0, 6)}…": use key:admin or key:tipster:<id>`);
+    }
+    keys.push({ hash: sha256(key), role, tipster_id: role === "tipster" ? tipster_id : null });
+  }
+  return keys;
+}
+
+const b64url = buf => Buffer.from(buf).toString("base64url");
+
+// JWT HS256 firmado con `secret`: { sub: tipster_id, role, exp }
+export function signJwt(claims, secret, { expiresInSec = 3600 } = {}) {
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({ iat: Math.floor(Date.now() / 1000), exp: Math.floor(Date.now() / 1000) + expiresInSec, ...claims }));
+  const signature = b64url(createHmac("sha256", secret).update(`${header}.${payload}`).digest());
+  return `${header}.${payload}.${signature}`;
+}
+
+export function verifyJwt(token, secret) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw httpError(401, "malformed token");
+  const [header, payload, signature] = parts;
+
+  let head, claims;
+  try {
+    head = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw httpError(401, "malformed token");
+  }
+  if (head.alg !== "HS256") throw httpError(401, "unsupported token algorithm");
+
+  const expected = b64url(createHmac("sha256", secret).update(`${header}.${payload}`).digest());
+  if (!safeEqual(signature, expected)) throw httpError(401, "invalid token signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  // Sin `exp` el token valdría para siempre
+  if (typeof claims.exp !== "number") throw httpError(401, "token has no expiry");
+  if (claims.exp < now) throw httpError(401, "token expired");
+  if (typeof claims.nbf === "number" && claims.nbf > now) throw httpError(401, "token not yet valid");
+  return claims;
+}
+
+function identityFromClaims(claims) {
+  const role = claims.role || "tipster";
+  if (!ROLES.includes(role)) throw httpError(401, "unknown role in token");
+  const tipster_id = claims.tipster_id ?? claims.sub ?? null;
+  if (role === "tipster" && !tipster_id) throw httpError(401, "token has no tipster id");
+  return { role, tipster_id: role === "tipster" ? String(tipster_id) : null, via: "jwt" };
+}
+
+/**
+ * Devuelve los middlewares de auth. Con `disabled` todas las peticiones son admin
+ * (solo para desarrollo local); sin claves ni secreto no entra nadie.
+ */
+export function createAuth({ apiKeys = "", jwtSecret = null, disabled = false } = {}) {
+  const keys = parseApiKeys(apiKeys);
+
+  function identify(req) {
+    if (disabled) return { role: "admin", tipster_id: null, via: "disabled" };
+
+    const header = req.get("authorization") || "";
+    const bearer = header.match(/^Bearer\s+(.+)$/i)?.[1]?.trim() || null;
+    const apiKey = req.get("x-api-key") || (bearer && bearer.split(".").length !== 3 ? bearer : null);
+
+    if (apiKey) {
+      const hash = sha256(apiKey);
+      const found = keys.find(k => timingSafeEqual(k.hash, hash));
+      if (!found) throw httpError(401, "invalid API key");
+      return { role: found.role, tipster_id: found.tipster_id, via: "api_key" };
+    }
+    if (bearer) {
+      if (!jwtSecret) throw httpError(401, "JWT auth is not configured");
+      return identityFromClaims(verifyJwt(bearer, jwtSecret));
+    }
+    throw httpError(401, "missing credentials");
+  }
+
+  return {
+    enabled: !disabled,
+
+    authenticate(req, res, next) {
+      try {
+        req.auth = identify(req);
+        next();
+      } catch (e) {
+        res.status(e.status || 401).json({ error: e.message });
+      }
+    },
+
+    requireRole(role) {
+      return (req, res, next) => {
+        if (req.auth?.role === role) return next();
+        res.status(403).json({ error: `requires ${role} role` });
+      };
+    },
+
+    /**
+     * Fija `tipster_id` en req[source] antes de validar: un tipster solo puede actuar
+     * sobre sí mismo (si lo omite se rellena); un admin debe indicarlo.
+     */
+    scopeTipster(source = "body") {
+      return (req, res, next) => {
+        if (req.auth?.role !== "tipster") return next();
+        const target = req[source] || {};
+        const asked = target.tipster_id;
+        if (asked !== undefined && asked !== null && asked !== "" && String(asked) !== req.auth.tipster_id) {
+          return res.status(403).json({ error: "cannot act on another tipster", tipster_id: asked });
+        }
+        req[source] = { ...target, tipster_id: req.auth.tipster_id };
+        next();
+      };
+    },
+  };
+}
+
+// ¿Puede `auth` tocar un recurso del tipster `ownerId`? Lanza 403 si no.
+export function assertOwner(auth, ownerId) {
+  if (auth?.role === "admin") return;
+  if (!auth || String(ownerId) !== auth.tipster_id) throw httpError(403, "not your resource");
+}
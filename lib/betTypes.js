@@ -0,0 +1,151 @@
+// =====================
+// Tipo de apuesta: simple, combinada o sistema (Trixie, Yankee, 2/3...)
+// =====================
+
+export const BET_TYPES = ["single", "accumulator", "system"];
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// Sistemas con nombre: nº de piernas y tamaños de combinación que incluyen
+export const NAMED_SYSTEMS = {
+  trixie:        { legs: 3, sizes: range(2, 3) },
+  patent:        { legs: 3, sizes: range(1, 3) },
+  yankee:        { legs: 4, sizes: range(2, 4) },
+  lucky15:       { legs: 4, sizes: range(1, 4) },
+  canadian:      { legs: 5, sizes: range(2, 5) },
+  lucky31:       { legs: 5, sizes: range(1, 5) },
+  heinz:         { legs: 6, sizes: range(2, 6) },
+  lucky63:       { legs: 6, sizes: range(1, 6) },
+  "super heinz": { legs: 7, sizes: range(2, 7) },
+  goliath:       { legs: 8, sizes: range(2, 8) },
+};
+const SYSTEM_ALIASES = {
+  "super yankee": "canadian",
+  "lucky 15": "lucky15",
+  "lucky 31": "lucky31",
+  "lucky 63": "lucky63",
+  superheinz: "super heinz",
+};
+
+const SYSTEM_WORDS = /\b(sistema|system)\b/;
+
+export function combinations(items, k) {
+  if (k === 0) return [[]];
+  if (k > items.length) return [];
+  const out = [];
+  items.forEach((item, i) => {
+    for (const rest of combinations(items.slice(i + 1), k - 1)) out.push([item, ...rest]);
+  });
+  return out;
+}
+
+const binomial = (n, k) => combinations(range(1, n), k).length;
+
+/**
+ * Detecta el tipo de apuesta a partir del texto del ticket y del nº de piernas.
+ * Devuelve { bet_type, system_name, system_sizes, lines }.
+ */
+export function detectBetType(text, legCount) {
+  const t = String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+  const n = legCount || 0;
+
+  for (const name of [...Object.keys(SYSTEM_ALIASES), ...Object.keys(NAMED_SYSTEMS)]) {
+    if (!t.includes(name)) continue;
+    const key = SYSTEM_ALIASES[name] || name;
+    const sys = NAMED_SYSTEMS[key];
+    if (n && n !== sys.legs) continue;
+    return systemType(key, sys.sizes, sys.legs);
+  }
+
+  // "2/3", "sistema 2 de 4", "system 3/5"
+  const kn = t.match(/\b(\d)\s*(?:\/|de|of|from)\s*(\d)\b/);
+  if (kn && (SYSTEM_WORDS.test(t) || /^\s*\d\s*\/\s*\d\s*$/.test(t))) {
+    const k = Number(kn[1]), total = Number(kn[2]);
+    if (k >= 1 && k <= total && (!n || n === total)) return systemType(`${k}/${total}`, [k], total);
+  }
+
+  // Simple o combinada ("parlay", "acumulada", "múltiple") según nº de piernas
+  const bet_type = n <= 1 ? "single" : "accumulator";
+  return { bet_type, system_name: null, system_sizes: null, lines: 1 };
+}
+
+function systemType(name, sizes, legs) {
+  return {
+    bet_type: "system",
+    system_name: name,
+    system_sizes: sizes,
+    lines: sizes.reduce((acc, k) => acc + binomial(legs, k), 0),
+  };
+}
+
+// Combinaciones de piernas que forman las líneas de la apuesta
+export function slipLines(legs, betType = {}) {
+  if (betType.bet_type !== "system" || !Array.isArray(betType.system_sizes)) return [legs];
+  return betType.system_sizes.flatMap(k => combinations(legs, k));
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Cuota combinada y retorno potencial. En sistemas el stake es el total del
+ * ticket, repartido a partes iguales entre líneas; la cuota es la efectiva.
+ * Con `terms` (slipTerms) el retorno usa la cuota mejorada, suma la parte colocado del
+ * each way, descuenta el stake de una apuesta gratis y cuenta lo cobrado en un cash out.
+ */
+export function computeSlipOdds(legs, betType = {}, stake = null, terms = {}) {
+  const odds = (legs || []).map(s => Number(s.odds));
+  if (odds.length === 0 || odds.some(o => !(o > 0))) {
+    return { combined_odds: null, potential_return: null, lines: betType.lines || 1 };
+  }
+  const lines = slipLines(odds, betType);
+  const average = factor => lines.reduce((acc, line) => acc + line.reduce((p, o) => p * factor(o), 1), 0) / lines.length;
+  const perUnit = average(o => o);
+  const s = Number(stake);
+  return {
+    combined_odds: Math.round(perUnit * 10000) / 10000,
+    potential_return: stake !== null && s > 0 ? potentialReturn(s, perUnit, average, betType, terms) : null,
+    lines: lines.length,
+  };
+}
+
+function potentialReturn(stake, perUnit, average, betType, terms) {
+  let ratio = terms.boosted_odds > 0 && betType.bet_type !== "system" ? terms.boosted_odds : perUnit;
+  if (terms.each_way && terms.place_fraction > 0) ratio = (ratio + average(o => 1 + (o - 1) * terms.place_fraction)) / 2;
+  const cashedOut = terms.cash_out_amount !== null && typeof terms.cash_out_amount !== "undefined";
+  const riding = cashedOut ? Math.max(0, stake - (terms.cash_out_stake ?? stake)) : stake;
+  let out = riding * ratio;
+  if (terms.free_bet) out = Math.max(0, out - riding);
+  if (cashedOut) out += terms.cash_out_amount;
+  return round2(out);
+}
+
+/**
+ * "12,50 €" -> 12.5, "1.234,56 €" -> 1234.56, "1,234.56" -> 1234.56, "1.000 €" -> 1000.
+ * El separador decimal es el último "." o ","; el resto son de miles. Con justo 3 cifras detrás
+ * y un entero distinto de 0 delante también es de miles ("1.000"); "0.125" y "1.0825" no.
+ */
+export function parseAmount(v) {
+  if (v === null || typeof v === "undefined" || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const t = String(v).replace(/[^\d.,-]/g, "");
+  if (!/\d/.test(t)) return null;
+  const m = t.match(/^(.*)[.,](\d+)$/);
+  const thousands = m && m[2].length === 3 && /[1-9]/.test(m[1]);
+  const n = Number(m && !thousands ? `${m[1].replace(/[.,]/g, "")}.${m[2]}` : t.replace(/[.,]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Compara lo calculado con lo impreso en el ticket (tolerancia relativa del 2%).
+ */
+export function checkPrintedTotals(computed, printed, tolerance = 0.02) {
+  const issues = [];
+  const off = (a, b) => Math.abs(a - b) / Math.max(Math.abs(b), 1e-9) > tolerance;
+  if (printed.odds !== null && computed.combined_odds !== null && off(computed.combined_odds, printed.odds)) {
+    issues.push({ field: "combined_odds", computed: computed.combined_odds, printed: printed.odds });
+  }
+  if (printed.return !== null && computed.potential_return !== null && off(computed.potential_return, printed.return)) {
+    issues.push({ field: "potential_return", computed: computed.potential_return, printed: printed.return });
+  }
+  return { odds_mismatch: issues.length > 0, issues };
+}
@@ -0,0 +1,117 @@
+// =====================
+// Perfiles de casas de apuestas: nombre canónico, alias, pista para el extractor y reglas
+// propias de cada operador para etiquetas de mercado y fechas.
+// Las selecciones guardan `bookmaker_id` (el id del perfil) y `bookmaker` con el nombre canónico.
+// =====================
+import { fold } from "./markets.js";
+
+/**
+ * - aliases: formas en que aparece en tickets y textos compartidos (sin mayúsculas ni tildes)
+ * - hint: se añade al prompt del extractor cuando se sabe de qué casa es el ticket
+ * - markets: [patrón sobre la etiqueta plegada, etiqueta que entiende la taxonomía de markets.js]
+ * - dates: [patrón sobre el texto de fecha, reemplazo] antes de interpretarlo
+ */
+export const BOOKMAKERS = [
+  {
+    id: "bet365", name: "Bet365", aliases: ["bet365", "bet 365", "b365"],
+    hint: "El partido va en su propia línea con el mercado debajo (\"Resultado Final\", \"Goles - Más/Menos\"); la cuota está a la derecha del pick.",
+    markets: [
+      [/^ambos equipos anotaran$/, "Ambos marcan"],
+      [/^apuesta sin empate$/, "Empate apuesta no válida"],
+    ],
+  },
+  {
+    id: "codere", name: "Codere", aliases: ["codere"],
+    hint: "La fecha aparece como \"25/10 - 18:00\" junto al partido; el mercado va en mayúsculas encima del pick.",
+    markets: [
+      [/^marcaran ambos equipos$/, "Ambos marcan"],
+      [/^(gana|ganara) el partido$/, "Ganador del partido"],
+      [/^sin empate$/, "Empate apuesta no válida"],
+    ],
+  },
+  {
+    id: "bwin", name: "Bwin", aliases: ["bwin", "bwin.es"],
+    hint: "Cada selección muestra pick, mercado y partido en ese orden; la fecha va como \"Hoy / 21:00\".",
+    markets: [
+      [/^apuesta sin empate$/, "Empate apuesta no válida"],
+      [/^ambos equipos anotaran$/, "Ambos marcan"],
+    ],
+    dates: [[/\s*\/\s*(?=\d{1,2}:\d{2})/, " "]],
+  },
+  {
+    id: "betfair", name: "Betfair", aliases: ["betfair", "betfair exchange", "betfair sportsbook"],
+    hint: "En el Exchange la apuesta puede ser a favor (Back) o en contra (Lay): copia el pick con \"Lay\" delante si es en contra. \"Cuotas del partido\" es el 1X2.",
+    markets: [
+      [/^(cuotas del partido|match odds|apuesta al partido)$/, "1X2"],
+    ],
+    dates: [[/\b(en juego|in-play)\b/i, "hoy"]],
+  },
+  {
+    id: "williamhill", name: "William Hill", aliases: ["william hill", "williamhill", "will hill"],
+    hint: "Las cuotas pueden venir en fracción (5/2): cópialas tal cual.",
+    markets: [
+      [/^(apuesta al partido|win-draw-win|90 minutos)$/, "1X2"],
+    ],
+  },
+  {
+    id: "sportium", name: "Sportium", aliases: ["sportium"],
+    hint: "El mercado suele incluir el periodo (\"Resultado 90 minutos\"); la fecha va en \"Directo\" si el partido ya empezó.",
+    markets: [
+      [/^resultado 90 minutos$/, "1X2"],
+      [/^marcaran ambos equipos$/, "Ambos marcan"],
+    ],
+    dates: [[/\bdirecto\b/i, "hoy"]],
+  },
+  { id: "888sport", name: "888sport", aliases: ["888sport", "888 sport"] },
+  { id: "luckia", name: "Luckia", aliases: ["luckia"] },
+  { id: "marcaapuestas", name: "MARCA Apuestas", aliases: ["marcaapuestas", "marca apuestas"] },
+  { id: "betway", name: "Betway", aliases: ["betway"] },
+  { id: "pokerstars", name: "PokerStars", aliases: ["pokerstars", "pokerstars sports"] },
+  { id: "retabet", name: "Retabet", aliases: ["retabet"] },
+  { id: "kirolbet", name: "Kirolbet", aliases: ["kirolbet"] },
+  { id: "paf", name: "Paf", aliases: ["paf"] },
+];
+
+const byId = new Map(BOOKMAKERS.map(b => [b.id, b]));
+
+// Alias plegados, los largos primero ("betfair exchange" antes que "betfair")
+const ALIASES = BOOKMAKERS
+  .flatMap(b => [b.id, ...b.aliases].map(alias => ({ alias: fold(alias), profile: b })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const wordRe = alias => new RegExp(`(^|[^a-z0-9])${escape(alias)}($|[^a-z0-9])`);
+
+export const getBookmaker = id => byId.get(String(id || "")) || null;
+
+/**
+ * Perfil de la casa que aparece en `text` (un nombre suelto o el texto entero de un ticket).
+ * Busca el alias como palabra completa; null si no hay ninguno.
+ */
+export function findBookmaker(text) {
+  const t = fold(text);
+  if (!t) return null;
+  return ALIASES.find(({ alias }) => wordRe(alias).test(t))?.profile || null;
+}
+
+// Pista para el prompt del extractor ("" sin perfil)
+export function bookmakerHint(profile) {
+  if (!profile) return "";
+  return `\n  El ticket es de ${profile.name}.${profile.hint ? ` ${profile.hint}` : ""}`;
+}
+
+/**
+ * Aplica el perfil a una selección del extractor: casa canónica, `bookmaker_id` y las reglas
+ * del operador sobre `mercado` y `fecha_hora_texto`.
+ */
+export function applyBookmakerProfile(sel, profile) {
+  if (!profile) return { ...sel, bookmaker_id: null };
+  const out = { ...sel, casa_apuestas: profile.name, bookmaker_id: profile.id };
+  const market = fold(sel.mercado);
+  const rule = market && (profile.markets || []).find(([re]) => re.test(market));
+  if (rule) out.mercado = rule[1];
+  if (sel.fecha_hora_texto) {
+    out.fecha_hora_texto = (profile.dates || []).reduce((t, [re, to]) => t.replace(re, to), String(sel.fecha_hora_texto));
+  }
+  return out;
+}
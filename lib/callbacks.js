@@ -0,0 +1,116 @@
+// =====================
+// Webhooks de trabajos (callback_url): solo a hosts de CALLBACK_HOSTS, nunca a direcciones
+// internas (loopback, enlace local, rangos privados) y sin seguir redirecciones.
+// La resolución DNS se comprueba al encolar y otra vez al conectar, para que un cambio de DNS
+// entre medias no lleve la petición a la red interna.
+// =====================
+import { BlockList, isIP } from "node:net";
+import { lookup as dnsLookup } from "node:dns";
+import http from "node:http";
+import https from "node:https";
+
+const INTERNAL = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) INTERNAL.addSubnet(net, prefix, "ipv4");
+for (const [net, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  INTERNAL.addSubnet(net, prefix, "ipv6");
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Loopback, enlace local (169.254.169.254 incluido), privadas, CGNAT, multicast o reservadas.
+// Las IPv4 mapeadas en IPv6 (::ffff:127.0.0.1) siguen las reglas de IPv4.
+export function isInternalAddress(address) {
+  const family = isIP(String(address || ""));
+  if (family === 0) return true;
+  return INTERNAL.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// CALLBACK_HOSTS: "hooks.example.com, *.partner.io" (el comodín cubre subdominios, no el dominio)
+export function parseCallbackHosts(spec) {
+  return String(spec || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+export function hostAllowed(hostname, hosts) {
+  const h = String(hostname || "").toLowerCase().replace(/^\[|\]$/g, "");
+  return hosts.some(entry => entry.startsWith("*.") ? h.endsWith(entry.slice(1)) : h === entry);
+}
+
+// dns.lookup que falla si alguna dirección es interna (también con `all: true`)
+function safeLookup(hostname, options, callback) {
+  dnsLookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = list.find(a => isInternalAddress(a.address));
+    if (blocked) {
+      const e = new Error(`callback host resolves to an internal address (${blocked.address})`);
+      e.code = "EBLOCKED";
+      return callback(e);
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * - `check(url)`: lanza 400 si la URL no es http(s), su host no está en `hosts` o resuelve a una
+ *   dirección interna. Sin `hosts` no se acepta ningún callback.
+ * - `post(url, body, { timeoutMs })`: POST JSON -> { status }. No sigue redirecciones
+ *   (un 3xx se devuelve tal cual) y vuelve a validar la IP al conectar.
+ */
+export function createCallbackPolicy({ hosts = [] } = {}) {
+  function parse(url) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch {
+      throw badRequest("callback_url is not a valid URL");
+    }
+    if (u.protocol !== "http:" && u.protocol !== "https:") throw badRequest("callback_url must be http(s)");
+    if (hosts.length === 0) throw badRequest("callback_url is disabled: no CALLBACK_HOSTS configured");
+    if (!hostAllowed(u.hostname, hosts)) throw badRequest(`callback_url host "${u.hostname}" is not in CALLBACK_HOSTS`);
+    const literal = u.hostname.replace(/^\[|\]$/g, "");
+    if (isIP(literal) && isInternalAddress(literal)) throw badRequest("callback_url points to an internal address");
+    return u;
+  }
+
+  return {
+    hosts,
+
+    async check(url) {
+      const u = parse(url);
+      const host = u.hostname.replace(/^\[|\]$/g, "");
+      if (isIP(host)) return;
+      await new Promise((resolve, reject) => {
+        safeLookup(host, { all: true }, err => {
+          if (!err) return resolve();
+          reject(badRequest(err.code === "EBLOCKED" ? "callback_url resolves to an internal address" : `callback_url host "${host}" does not resolve`));
+        });
+      });
+    },
+
+    async post(url, body, { timeoutMs = 10000 } = {}) {
+      const u = parse(url);
+      const client = u.protocol === "https:" ? https : http;
+      return new Promise((resolve, reject) => {
+        const req = client.request(u, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+          lookup: safeLookup,
+          timeout: timeoutMs,
+        }, res => {
+          res.resume();
+          res.on("end", () => resolve({ status: res.statusCode }));
+        });
+        req.on("timeout", () => req.destroy(new Error(`timeout after ${timeoutMs} ms`)));
+        req.on("error", reject);
+        req.end(body);
+      });
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// =====================
+// CSV mínimo (RFC 4180): comillas dobles, saltos de línea dentro de campos y
+// separador "," o ";" (Excel en español exporta con ";").
+// =====================
+
+// Texto que Excel o Sheets ejecutarían como fórmula ("=HYPERLINK(...)", "+1", "@SUM"...)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Partido, pick, casa... vienen del OCR o del usuario: el texto que empieza como una fórmula
+// se exporta con "'" delante (y parseCsv lo quita). Los números se escriben tal cual.
+export function csvCell(value) {
+  if (value === null || typeof value === "undefined") return "";
+  let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const unescapeCell = v => (v.startsWith("'") && FORMULA_START.test(v.slice(1)) ? v.slice(1) : v);
+
+// rows: objetos; columns: orden y cabecera
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Separador más frecuente en la cabecera (fuera de comillas)
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const count = ch => header.split(ch).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+}
+
+// Devuelve { header, records: [{ line, values: { columna: valor } }] }
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(src);
+
+  const rows = [];
+  let row = [], field = "", quoted = false, line = 1, rowLine = 1;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; field += ch; }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push({ line: rowLine, cells: row });
+      row = []; line++; rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push({ line: rowLine, cells: row }); }
+
+  const nonEmpty = rows.filter(r => r.cells.some(c => c.trim() !== ""));
+  if (nonEmpty.length === 0) return { header: [], records: [] };
+
+  const header = nonEmpty[0].cells.map(h => h.trim());
+  const records = nonEmpty.slice(1).map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(header.map((h, i) => [h, unescapeCell((cells[i] ?? "").trim())])),
+  }));
+  return { header, records };
+}
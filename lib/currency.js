@@ -0,0 +1,155 @@
+// =====================
+// Monedas (ISO 4217) y tipos de cambio fechados.
+// Los tipos se guardan como unidades de cada moneda por 1 EUR (exchange_rates) y se
+// convierte siempre a través del euro con el tipo vigente en la fecha del ticket.
+// =====================
+import { readFileSync, existsSync } from "node:fs";
+
+// Códigos ISO 4217 en circulación
+export const ISO_4217 = new Set(`
+AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP
+BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP
+GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR
+KMF KPW KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK
+MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR
+SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS
+UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XCG XOF XPF YER ZAR ZMW ZWG
+`.trim().split(/\s+/));
+
+export const PIVOT_CURRENCY = "EUR";
+
+// Símbolos habituales en los tickets; "$" se asume USD
+const SYMBOLS = [
+  ["R$", "BRL"], ["US$", "USD"], ["A$", "AUD"], ["C$", "CAD"], ["MX$", "MXN"],
+  ["€", "EUR"], ["£", "GBP"], ["$", "USD"], ["¥", "JPY"], ["₹", "INR"], ["₺", "TRY"],
+  ["₽", "RUB"], ["₩", "KRW"], ["₱", "PHP"], ["₦", "NGN"], ["zł", "PLN"], ["kr", "SEK"],
+];
+
+// "eur", " EUR ", "€" -> "EUR"; null si no es una moneda válida
+export function normalizeCurrency(value) {
+  if (value === null || typeof value === "undefined") return null;
+  const t = String(value).trim();
+  if (!t) return null;
+  const code = t.toUpperCase();
+  if (ISO_4217.has(code)) return code;
+  const symbol = SYMBOLS.find(([s]) => s.toLowerCase() === t.toLowerCase());
+  return symbol ? symbol[1] : null;
+}
+
+// Moneda que acompaña a un importe del ticket ("10,00 €", "USD 25", "£5")
+export function detectCurrency(text) {
+  if (!text) return null;
+  const t = String(text);
+  const code = t.toUpperCase().match(/\b([A-Z]{3})\b/);
+  if (code && ISO_4217.has(code[1])) return code[1];
+  for (const [symbol, iso] of SYMBOLS) if (t.includes(symbol)) return iso;
+  return null;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+const dayOf = d => new Date(d).toISOString().slice(0, 10);
+
+/**
+ * Tabla de tipos sobre storage (exchange_rates: currency, date, rate por 1 EUR),
+ * cacheada en memoria y ordenada por fecha para buscar el tipo vigente.
+ */
+export function createFxTable(storage) {
+  const byCurrency = new Map();
+
+  function index(rows) {
+    for (const { currency, date, rate } of rows) {
+      if (!byCurrency.has(currency)) byCurrency.set(currency, []);
+      const list = byCurrency.get(currency).filter(r => r.date !== date);
+      list.push({ date, rate: Number(rate) });
+      list.sort((a, b) => a.date.localeCompare(b.date));
+      byCurrency.set(currency, list);
+    }
+  }
+
+  // Unidades de `currency` por 1 EUR vigentes en `date` (último tipo en o antes de esa fecha)
+  function perEuro(currency, date) {
+    if (currency === PIVOT_CURRENCY) return { rate: 1, date: null };
+    const list = byCurrency.get(currency) || [];
+    let found = null;
+    for (const r of list) {
+      if (r.date > date) break;
+      found = r;
+    }
+    return found;
+  }
+
+  return {
+    async load() {
+      index(await storage.listExchangeRates());
+      return byCurrency.size;
+    },
+
+    /**
+     * Guarda los tipos de un día: { base, date, rates: { USD: 1.08, ... } } (unidades por 1 base).
+     * Si base no es EUR, se pasa a EUR con rates.EUR o con el tipo de base ya guardado.
+     */
+    async upsert({ base = PIVOT_CURRENCY, date, rates }) {
+      const day = dayOf(date);
+      const baseCode = normalizeCurrency(base);
+      if (!baseCode) throw badRequest(`Unknown currency "${base}"`);
+
+      let basePerEuro = 1;
+      if (baseCode !== PIVOT_CURRENCY) {
+        const eur = Number(rates.EUR ?? rates.eur);
+        const known = perEuro(baseCode, day);
+        if (eur > 0) basePerEuro = 1 / eur;
+        else if (known) basePerEuro = known.rate;
+        else throw badRequest(`No EUR rate for ${baseCode} on ${day}; include rates.EUR`);
+      }
+
+      const rows = [];
+      if (baseCode !== PIVOT_CURRENCY) rows.push({ currency: baseCode, date: day, rate: basePerEuro });
+      for (const [key, value] of Object.entries(rates)) {
+        const currency = normalizeCurrency(key);
+        if (!currency) throw badRequest(`Unknown currency "${key}"`);
+        if (currency === PIVOT_CURRENCY || currency === baseCode) continue;
+        const rate = Number(value);
+        if (!(rate > 0)) throw badRequest(`Invalid rate for ${currency}`);
+        rows.push({ currency, date: day, rate: rate * basePerEuro });
+      }
+      await storage.upsertExchangeRates(rows);
+      index(rows);
+      return rows;
+    },
+
+    // Importe de `from` a `to` con los tipos vigentes en `date`; null si falta algún tipo
+    convert(amount, from, to, date) {
+      if (amount === null || typeof amount === "undefined" || !Number.isFinite(Number(amount))) return null;
+      if (from === to) return { amount: Number(amount), rate: 1, date: null };
+      const day = dayOf(date || Date.now());
+      const a = perEuro(from, day), b = perEuro(to, day);
+      if (!a || !b) return null;
+      const rate = b.rate / a.rate;
+      const dates = [a.date, b.date].filter(Boolean).sort();
+      return { amount: round2(Number(amount) * rate), rate: Math.round(rate * 1e6) / 1e6, date: dates[0] || null };
+    },
+
+    list(currency = null) {
+      const out = [];
+      for (const [code, list] of byCurrency) {
+        if (currency && code !== currency) continue;
+        for (const r of list) out.push({ currency: code, date: r.date, rate: r.rate });
+      }
+      return out.sort((a, b) => a.date.localeCompare(b.date) || a.currency.localeCompare(b.currency));
+    },
+  };
+}
+
+// Fichero local: { base, rates: { "2026-10-01": { USD: 1.08 } } } o una lista de { base, date, rates }
+export function readRatesFile(file) {
+  if (!file || !existsSync(file)) return [];
+  const data = JSON.parse(readFileSync(file, "utf8"));
+  if (Array.isArray(data)) return data;
+  return Object.entries(data.rates || {}).map(([date, rates]) => ({ base: data.base || PIVOT_CURRENCY, date, rates }));
+}
@@ -0,0 +1,228 @@
+// =====================
+// Fechas del ticket: texto libre (es/en/pt/it) -> instante UTC + confianza.
+// Todo se interpreta en la zona horaria del tipster y relativo a la hora de subida.
+// =====================
+import { fold } from "./markets.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Índice 0 = domingo
+const WEEKDAYS = {
+  domingo: 0, dom: 0, sunday: 0, sun: 0, domenica: 0,
+  lunes: 1, lun: 1, monday: 1, mon: 1, segunda: 1, "segunda-feira": 1, seg: 1, lunedi: 1,
+  martes: 2, mar: 2, tuesday: 2, tue: 2, tues: 2, terca: 2, "terca-feira": 2, ter: 2, martedi: 2,
+  miercoles: 3, mie: 3, wednesday: 3, wed: 3, quarta: 3, "quarta-feira": 3, qua: 3, mercoledi: 3, mer: 3,
+  jueves: 4, jue: 4, thursday: 4, thu: 4, thur: 4, thurs: 4, quinta: 4, "quinta-feira": 4, qui: 4, giovedi: 4, gio: 4,
+  viernes: 5, vie: 5, friday: 5, fri: 5, sexta: 5, "sexta-feira": 5, sex: 5, venerdi: 5, ven: 5,
+  sabado: 6, sab: 6, saturday: 6, sat: 6, sabato: 6,
+};
+
+const MONTHS = {
+  enero: 1, ene: 1, january: 1, jan: 1, janeiro: 1, gennaio: 1, gen: 1,
+  febrero: 2, feb: 2, february: 2, fevereiro: 2, fev: 2, febbraio: 2,
+  marzo: 3, mar: 3, march: 3, marco: 3,
+  abril: 4, abr: 4, april: 4, apr: 4, aprile: 4,
+  mayo: 5, may: 5, maio: 5, mai: 5, maggio: 5, mag: 5,
+  junio: 6, jun: 6, june: 6, junho: 6, giugno: 6, giu: 6,
+  julio: 7, jul: 7, july: 7, julho: 7, luglio: 7, lug: 7,
+  agosto: 8, ago: 8, august: 8, aug: 8,
+  septiembre: 9, setiembre: 9, sep: 9, sept: 9, september: 9, set: 9, setembro: 9, settembre: 9,
+  octubre: 10, oct: 10, october: 10, outubro: 10, out: 10, ottobre: 10, ott: 10,
+  noviembre: 11, nov: 11, november: 11, novembro: 11,
+  diciembre: 12, dic: 12, december: 12, dec: 12, dezembro: 12, dez: 12, dicembre: 12,
+};
+
+// Desplazamiento en días; las expresiones largas primero ("pasado mañana" antes que "mañana")
+const RELATIVE = [
+  [/\b(pasado manana|depois de amanha|dopodomani|day after tomorrow)\b/, 2],
+  [/\b(manana|tomorrow|amanha|domani)\b/, 1],
+  [/\b(hoy|today|tonight|esta noche|hoje|oggi|stasera)\b/, 0],
+  [/\b(ayer|yesterday|ontem|ieri)\b/, -1],
+];
+
+const WORD = "[a-z]+(?:-feira)?";
+
+export function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Fecha y hora de pared de `date` en `tz`
+export function zonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return { y: get("year"), m: get("month"), d: get("day"), h: get("hour"), min: get("minute"), s: get("second") };
+}
+
+function offsetMs(utcMs, tz) {
+  const p = zonedParts(new Date(utcMs), tz);
+  return Date.UTC(p.y, p.m - 1, p.d, p.h, p.min, p.s) - Math.floor(utcMs / 1000) * 1000;
+}
+
+// Hora de pared en `tz` -> instante UTC (ajusta el cambio de horario con una segunda pasada)
+export function zonedToUtc({ y, m, d, h = 0, min = 0 }, tz) {
+  const wall = Date.UTC(y, m - 1, d, h, min);
+  let utc = wall - offsetMs(wall, tz);
+  utc = wall - offsetMs(utc, tz);
+  return new Date(utc);
+}
+
+const addDays = ({ y, m, d }, n) => {
+  const t = new Date(Date.UTC(y, m - 1, d) + n * DAY);
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate() };
+};
+const weekdayOf = ({ y, m, d }) => new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+const validDay = ({ y, m, d }) => {
+  const t = new Date(Date.UTC(y, m - 1, d));
+  return t.getUTCFullYear() === y && t.getUTCMonth() === m - 1 && t.getUTCDate() === d;
+};
+const fullYear = y => (y < 100 ? 2000 + y : y);
+
+// "20.45" también es un día ("20 de octubre"): se toma como hora si lleva am/pm o si el resto
+// del texto ya trae el día ("sáb 20.45", "24/10 20.45"). Se mira el último grupo con punto.
+function dottedTime(t) {
+  const all = [...t.matchAll(/(?<![\d.])(\d{1,2})\.(\d{2})(?![.\d])\s*(a\.?m\.?|p\.?m\.?)?(?=\W|$)/g)];
+  const m = all[all.length - 1];
+  if (!m) return null;
+  if (m[3]) return m;
+  const rest = t.slice(0, m.index) + " " + t.slice(m.index + m[0].length);
+  const hasDay = parseDay(rest) || parseWeekday(rest) !== null || RELATIVE.some(([re]) => re.test(rest));
+  return hasDay ? m : null;
+}
+
+function parseTime(t) {
+  const hm = t.match(/\b(\d{1,2})\s*(?::|h)\s*(\d{2})\s*(a\.?m\.?|p\.?m\.?)?(?=\W|$)/) || dottedTime(t);
+  const hOnly = hm ? null : t.match(/\b(\d{1,2})\s*(a\.?m\.?|p\.?m\.?)(?=\W|$)/);
+  const m = hm || hOnly;
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = hm ? Number(m[2]) : 0;
+  const ampm = (hm ? m[3] : m[2]) || "";
+  if (/^p/.test(ampm) && h < 12) h += 12;
+  if (/^a/.test(ampm) && h === 12) h = 0;
+  if (h > 23 || min > 59) return null;
+  return { h, min, match: m[0] };
+}
+
+// Día de calendario explícito: { y|null, m, d, match }
+function parseDay(t) {
+  const iso = t.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) return { y: Number(iso[1]), m: Number(iso[2]), d: Number(iso[3]), match: iso[0] };
+
+  const num = t.match(/\b(\d{1,2})\s*[/.-]\s*(\d{1,2})(?:\s*[/.-]\s*(\d{4}|\d{2}))?(?!\s*[:h]\s*\d)/);
+  if (num) {
+    let d = Number(num[1]), m = Number(num[2]);
+    if (m > 12 && d <= 12) [d, m] = [m, d]; // mm/dd inequívoco
+    return { y: num[3] ? fullYear(Number(num[3])) : null, m, d, match: num[0] };
+  }
+
+  const dayMonth = t.match(new RegExp(`\\b(\\d{1,2})\\s*(?:de\\s+)?(${WORD})\\.?(?:\\s*(?:de\\s+)?(\\d{4}))?\\b`));
+  if (dayMonth && MONTHS[dayMonth[2]]) {
+    return { y: dayMonth[3] ? Number(dayMonth[3]) : null, m: MONTHS[dayMonth[2]], d: Number(dayMonth[1]), match: dayMonth[0] };
+  }
+  const monthDay = t.match(new RegExp(`\\b(${WORD})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s*(\\d{4}))?\\b`));
+  if (monthDay && MONTHS[monthDay[1]]) {
+    return { y: monthDay[3] ? Number(monthDay[3]) : null, m: MONTHS[monthDay[1]], d: Number(monthDay[2]), match: monthDay[0] };
+  }
+  return null;
+}
+
+function parseWeekday(t) {
+  for (const w of t.match(new RegExp(WORD, "g")) || []) {
+    if (w in WEEKDAYS) return WEEKDAYS[w];
+  }
+  return null;
+}
+
+// Año que deja la fecha más cerca de la referencia (tickets sin año); si el ticket
+// trae día de la semana, se prefieren los años en los que coincide
+function nearestYear({ m, d }, ref, weekday = null) {
+  const refMs = Date.UTC(ref.y, ref.m - 1, ref.d);
+  const years = [ref.y - 1, ref.y, ref.y + 1].filter(y => validDay({ y, m, d }));
+  const agreeing = years.filter(y => weekdayOf({ y, m, d }) === weekday);
+  return (agreeing.length ? agreeing : years)
+    .sort((a, b) => Math.abs(Date.UTC(a, m - 1, d) - refMs) - Math.abs(Date.UTC(b, m - 1, d) - refMs))[0] ?? null;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Interpreta la fecha/hora de un ticket.
+ * - timeZone: zona del tipster (IANA); reference: hora de subida del ticket.
+ * - prefer: "nearest" (por defecto) o "future". Con "future" un día de la semana suelto es el
+ *   próximo a partir de la subida (tickets pendientes: el partido aún no se ha jugado).
+ * Devuelve { iso, confidence (0..1), kind, has_time, time_zone }; iso null si no hay nada usable.
+ * kind: instant | absolute | partial | relative | weekday | time_only | none
+ */
+export function parseTicketDate(text, { timeZone = "UTC", reference = new Date(), prefer = "nearest" } = {}) {
+  const none = { iso: null, confidence: 0, kind: "none", has_time: false, time_zone: timeZone };
+  if (!text || !String(text).trim()) return none;
+
+  // ISO con zona explícita: no hay nada que interpretar
+  const raw = String(text).trim();
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(raw)) {
+    const t = new Date(raw);
+    if (!Number.isNaN(t.getTime())) return { iso: t.toISOString(), confidence: 1, kind: "instant", has_time: true, time_zone: timeZone };
+  }
+
+  const tz = isValidTimeZone(timeZone) ? timeZone : "UTC";
+  const ref = zonedParts(new Date(reference), tz);
+  let t = fold(raw).replace(/\s+/g, " ");
+
+  const time = parseTime(t);
+  if (time) t = t.replace(time.match, " ");
+  // "de la mañana" / "da manhã" es la franja horaria, no "mañana"
+  t = t.replace(/\b(de la|da|della|in the) (manana|manha|mattina|morning)\b/, " ");
+
+  const explicit = parseDay(t);
+  if (explicit) t = t.replace(explicit.match, " ");
+  const weekday = parseWeekday(t);
+  const relative = RELATIVE.find(([re]) => re.test(t));
+
+  let day = null, kind, confidence;
+  if (explicit) {
+    const y = explicit.y ?? nearestYear(explicit, ref, weekday);
+    day = y ? { y, m: explicit.m, d: explicit.d } : null;
+    if (!day || !validDay(day)) return none;
+    kind = explicit.y ? "absolute" : "partial";
+    confidence = explicit.y ? 0.95 : 0.85;
+    if (weekday !== null) confidence += weekdayOf(day) === weekday ? 0.05 : -0.3;
+  } else if (relative) {
+    day = addDays(ref, relative[1]);
+    kind = "relative";
+    confidence = 0.9;
+  } else if (weekday !== null) {
+    // Próxima ocurrencia (de 0 a 6 días) o la más cercana a la subida (de 3 días antes a 3 después)
+    const diff = prefer === "future"
+      ? (weekday - weekdayOf(ref) + 7) % 7
+      : ((weekday - weekdayOf(ref) + 10) % 7) - 3;
+    day = addDays(ref, diff);
+    kind = "weekday";
+    confidence = 0.75;
+  } else if (time) {
+    day = { y: ref.y, m: ref.m, d: ref.d };
+    kind = "time_only";
+    confidence = 0.55;
+  } else {
+    return none;
+  }
+
+  // Sin hora el instante es la medianoche local y vale poco
+  if (!time) confidence *= 0.5;
+  const instant = zonedToUtc({ ...day, h: time?.h ?? 0, min: time?.min ?? 0 }, tz);
+  return {
+    iso: instant.toISOString(),
+    confidence: round2(Math.max(0, Math.min(1, confidence))),
+    kind,
+    has_time: Boolean(time),
+    time_zone: tz,
+  };
+}
@@ -0,0 +1,168 @@
+// =====================
+// Detección de tickets duplicados: hash perceptual (dHash) de la imagen y huella de
+// las selecciones (partido, mercado, pick, cuota). Solo compara con el mismo tipster.
+// =====================
+import { createHash } from "node:crypto";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { normalizeName } from "./entities.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ----- Imagen -----
+
+// data URL o Buffer -> { width, height, data (RGBA) }; null si el formato no se soporta
+export function decodeImage(input) {
+  const buf = Buffer.isBuffer(input)
+    ? input
+    : Buffer.from(String(input).replace(/^data:[^,]*;base64,/, ""), "base64");
+  try {
+    if (buf[0] === 0xff && buf[1] === 0xd8) return jpeg.decode(buf, { useTArray: true, maxMemoryUsageInMB: 256 });
+    if (buf.subarray(1, 4).toString("latin1") === "PNG") return PNG.sync.read(buf);
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+/**
+ * dHash de 64 bits (16 hex): escala de grises reducida a 9x8 por medias de bloque y
+ * comparación de cada píxel con su vecino derecho. Aguanta recompresión, reescalado
+ * y recortes pequeños.
+ */
+export function dHash(image) {
+  const { width, height, data } = image;
+  const W = 9, H = 8;
+  const gray = new Float64Array(W * H);
+  for (let gy = 0; gy < H; gy++) {
+    const y0 = Math.floor(gy * height / H), y1 = Math.max(y0 + 1, Math.floor((gy + 1) * height / H));
+    for (let gx = 0; gx < W; gx++) {
+      const x0 = Math.floor(gx * width / W), x1 = Math.max(x0 + 1, Math.floor((gx + 1) * width / W));
+      let sum = 0, n = 0;
+      // Muestreo con paso para no recorrer millones de píxeles en capturas grandes
+      const step = Math.max(1, Math.floor(Math.min(x1 - x0, y1 - y0) / 16));
+      for (let y = y0; y < y1; y += step) {
+        for (let x = x0; x < x1; x += step) {
+          const i = (y * width + x) * 4;
+          sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          n++;
+        }
+      }
+      gray[gy * W + gx] = n ? sum / n : 0;
+    }
+  }
+  // Margen de 2 niveles: en zonas planas el ruido de compresión no cambia bits
+  let bits = "";
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W - 1; x++) bits += gray[y * W + x] > gray[y * W + x + 1] + 2 ? "1" : "0";
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, "0");
+}
+
+export function imageHash(input) {
+  const image = decodeImage(input);
+  return image ? dHash(image) : null;
+}
+
+export function hammingDistance(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let d = 0;
+  while (x) { d += Number(x & 1n); x >>= 1n; }
+  return d;
+}
+
+// ----- Selecciones -----
+
+// Partes comparables de una pierna; usa IDs canónicos y el pick estructurado cuando existen
+export function legParts({ match, home_id, away_id, market_code, market, pick, pick_side, pick_line, odds }) {
+  return {
+    sides: home_id && away_id ? [home_id, away_id].sort().join("|") : normalizeName(match),
+    market: market_code && market_code !== "other" ? market_code : normalizeName(market),
+    side: pick_side ? `${pick_side}${pick_line ?? ""}` : normalizeName(pick),
+    price: Number.isFinite(odds) ? odds.toFixed(2) : "",
+  };
+}
+
+export function legKey(leg) {
+  const { sides, market, side, price } = legParts(leg);
+  return `${sides}#${market}#${side}#${price}`;
+}
+
+// Huella del ticket: independiente del orden de las piernas
+export function selectionFingerprint(legs) {
+  const keys = legs.map(legKey).sort();
+  return createHash("sha1").update(keys.join("\n")).digest("hex");
+}
+
+// ----- Búsqueda -----
+
+// Todas las capturas guardadas del ticket (o la única de antes de source_images)
+function slipImageHashes(slip) {
+  const hashes = (slip.source_images || []).map(img => img.image_hash).filter(Boolean);
+  return hashes.length ? hashes : [slip.image_hash].filter(Boolean);
+}
+
+// Menor distancia entre cualquier captura nueva y cualquiera guardada; null si falta alguna
+function closestImage(a, b) {
+  let best = null;
+  for (const x of a) for (const y of b) {
+    const d = hammingDistance(x, y);
+    if (best === null || d < best) best = d;
+  }
+  return best;
+}
+
+/**
+ * Busca entre los tickets recientes del tipster uno que probablemente sea el mismo:
+ * - misma huella de selecciones, o
+ * - alguna imagen casi idéntica (distancia ≤ imageThreshold), o
+ * - imagen parecida (≤ 2x umbral) y la mitad de las piernas en común, o
+ * - todas las piernas nuevas ya están en un ticket existente (recorte de la captura), solo si
+ *   además la imagen se parece o tiene las mismas piernas: una simple sobre un partido que ya
+ *   estaba en una combinada es una apuesta nueva.
+ * Sin `legs` (antes de leer el ticket) solo cuenta la imagen casi idéntica.
+ * Devuelve { betslip_id, reasons, image_distance, leg_overlap } o null.
+ */
+export async function findDuplicate(storage, { tipster_id, image_hashes = [], legs = null, windowDays = 14, imageThreshold = 6 }) {
+  if (!legs && image_hashes.length === 0) return null;
+  const from = new Date(Date.now() - windowDays * DAY).toISOString();
+  const slips = await storage.listBetslips({ tipster_id, from });
+  if (slips.length === 0) return null;
+
+  const fingerprint = legs ? selectionFingerprint(legs) : null;
+  const newKeys = new Set((legs || []).map(legKey));
+
+  const bySlip = new Map();
+  if (legs) {
+    for (const sel of await storage.listSelections(slips.map(s => s.id))) {
+      if (!bySlip.has(sel.betslip_id)) bySlip.set(sel.betslip_id, new Set());
+      bySlip.get(sel.betslip_id).add(legKey(sel));
+    }
+  }
+
+  let best = null;
+  for (const slip of slips) {
+    const keys = bySlip.get(slip.id) || new Set();
+    const shared = [...newKeys].filter(k => keys.has(k)).length;
+    const leg_overlap = newKeys.size ? shared / newKeys.size : 0;
+    const image_distance = closestImage(image_hashes, slipImageHashes(slip));
+
+    const similar = image_distance !== null && image_distance <= imageThreshold * 2;
+    const reasons = [];
+    if (fingerprint && slip.selection_fingerprint === fingerprint) reasons.push("same_selections");
+    else if (newKeys.size > 0 && leg_overlap === 1 && (similar || keys.size === newKeys.size)) reasons.push("selections_contained");
+    if (image_distance !== null) {
+      if (image_distance <= imageThreshold) reasons.push("same_image");
+      else if (image_distance <= imageThreshold * 2 && leg_overlap >= 0.5) reasons.push("similar_image");
+    }
+    if (reasons.length === 0) continue;
+
+    const score = reasons.length + leg_overlap;
+    if (!best || score > best.score) {
+      best = { score, betslip_id: slip.id, created_at: slip.created_at, reasons, image_distance, leg_overlap };
+    }
+  }
+  if (!best) return null;
+  const { score, ...match } = best;
+  return match;
+}
@@ -0,0 +1,178 @@
+// =====================
+// Resolución de equipos/jugadores: alias editables + variantes + coincidencia difusa
+// Semilla de solo lectura: JSON con [{ id, name, sport, aliases[] }] (ENTITIES_FILE, por defecto
+// data/participants.json). Las altas y alias de POST /participants van a la tabla `participants`
+// y se aplican encima de la semilla al cargar.
+// =====================
+import { readFileSync, existsSync } from "node:fs";
+import { fold } from "./markets.js";
+
+const NOISE = new Set(["fc", "cf", "cd", "sd", "ud", "afc", "sc", "ac", "club", "the"]);
+const FUZZY_THRESHOLD = 0.82;
+
+export function normalizeName(name) {
+  return fold(name)
+    .replace(/[^a-z0-9. ]+/g, " ")
+    .split(/\s+/)
+    .filter(w => w && !NOISE.has(w.replace(/\./g, "")))
+    .join(" ")
+    .replace(/\./g, "")
+    .trim();
+}
+
+// Variantes de búsqueda de un partido: original, sin iniciales y con local/visitante invertidos
+export function searchVariantsFor(partido) {
+  const base = partido;
+  const noInitials = partido.replace(/\b[A-Z]\.\s*/g, "").replace(/\s+/g, " ").trim();
+  const swapped = noInitials.includes(" vs ") ? noInitials.split(" vs ").reverse().join(" vs ") : noInitials;
+  const set = new Set([base, noInitials, swapped]);
+  return Array.from(set);
+}
+
+export function splitMatch(partido) {
+  const parts = String(partido || "").split(/\s+(?:v|vs\.?|-|–|—|@)\s+/i).map(s => s.trim()).filter(Boolean);
+  return parts.length === 2 ? { home: parts[0], away: parts[1] } : null;
+}
+
+// Coeficiente de Dice sobre bigramas: tolera erratas del OCR y orden de palabras
+function dice(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const grams = s => {
+    const m = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const g = s.slice(i, i + 2);
+      m.set(g, (m.get(g) || 0) + 1);
+    }
+    return m;
+  };
+  const ga = grams(a), gb = grams(b);
+  let hits = 0;
+  for (const [g, n] of ga) hits += Math.min(n, gb.get(g) || 0);
+  return (2 * hits) / (a.length - 1 + b.length - 1);
+}
+
+// "r madrid" encaja con "real madrid": mismas palabras, iniciales aceptadas
+function initialsMatch(a, b) {
+  const ta = a.split(" "), tb = b.split(" ");
+  if (ta.length !== tb.length || ta.length < 2) return false;
+  let initials = 0;
+  const ok = ta.every((w, i) => {
+    if (w === tb[i]) return true;
+    if (w.length === 1 && tb[i].startsWith(w)) { initials++; return true; }
+    return false;
+  });
+  return ok && initials > 0;
+}
+
+// Fusiona una edición sobre un participante existente (o null): los alias se acumulan
+function mergeParticipant(existing, { id, name = null, sport = null, aliases = [] }) {
+  if (!existing) return { id, name, sport, aliases: [...new Set(aliases)] };
+  return {
+    ...existing,
+    name: name || existing.name,
+    sport: sport || existing.sport || null,
+    aliases: [...new Set([...(existing.aliases || []), ...aliases])],
+  };
+}
+
+export function createEntityResolver({ file = null, participants = null, storage = null } = {}) {
+  let entries = participants || (file && existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : []);
+  let index = new Map();
+
+  const reindex = () => {
+    index = new Map();
+    for (const p of entries) {
+      for (const alias of [p.name, ...(p.aliases || [])]) {
+        const key = normalizeName(alias);
+        if (key && !index.has(key)) index.set(key, p);
+      }
+    }
+  };
+  const apply = row => {
+    const existing = entries.find(p => p.id === row.id);
+    const merged = mergeParticipant(existing, row);
+    entries = existing ? entries.map(p => (p.id === row.id ? merged : p)) : [...entries, merged];
+    return merged;
+  };
+  reindex();
+
+  const inSport = (p, sport) => !sport || !p.sport || p.sport === String(sport).toLowerCase();
+  const found = (p, score, method) => ({ id: p.id, name: p.name, sport: p.sport || null, score, method });
+
+  /**
+   * Nombre del ticket -> { id, name, sport, score, method } o null si no hay candidato fiable.
+   * method: alias | variant | initials | fuzzy
+   */
+  function resolve(rawName, sport = null) {
+    const key = normalizeName(rawName);
+    if (!key) return null;
+
+    const exact = index.get(key);
+    if (exact && inSport(exact, sport)) return found(exact, 1, "alias");
+
+    for (const variant of searchVariantsFor(String(rawName))) {
+      const p = index.get(normalizeName(variant));
+      if (p && inSport(p, sport)) return found(p, 0.95, "variant");
+    }
+
+    let best = null;
+    for (const [alias, p] of index) {
+      if (!inSport(p, sport)) continue;
+      const score = initialsMatch(key, alias) ? 0.93 : dice(key, alias);
+      if (!best || score > best.score) best = { p, score, method: score === 0.93 ? "initials" : "fuzzy" };
+    }
+    if (best && best.score >= FUZZY_THRESHOLD) return found(best.p, Math.round(best.score * 100) / 100, best.method);
+    return null;
+  }
+
+  /**
+   * Partido -> { home, away, canonical } con cada lado resuelto (o null).
+   * `canonical` es "Local vs Visitante" con nombres canónicos cuando ambos se resuelven.
+   */
+  function resolveMatch(partido, sport = null) {
+    const sides = splitMatch(partido);
+    if (!sides) return { home: null, away: null, canonical: null };
+    const home = resolve(sides.home, sport);
+    const away = resolve(sides.away, sport);
+    return {
+      home,
+      away,
+      canonical: home && away ? `${home.name} vs ${away.name}` : null,
+    };
+  }
+
+  function list({ sport = null, q = null } = {}) {
+    const needle = q ? normalizeName(q) : null;
+    return entries.filter(p =>
+      inSport(p, sport) &&
+      (!needle || [p.name, ...(p.aliases || [])].some(a => normalizeName(a).includes(needle)))
+    );
+  }
+
+  // Ediciones guardadas encima de la semilla
+  async function load() {
+    if (!storage) return 0;
+    const rows = await storage.listParticipants();
+    for (const row of rows) apply(row);
+    reindex();
+    return rows.length;
+  }
+
+  // Alta/edición de un participante; los alias se fusionan con los existentes
+  async function upsert({ id, name, sport = null, aliases = [] }) {
+    const existing = entries.find(p => p.id === id);
+    if (!existing && !name) {
+      const err = new Error("name is required for a new participant");
+      err.status = 400;
+      throw err;
+    }
+    const merged = mergeParticipant(existing, { id, name, sport, aliases });
+    if (storage) await storage.upsertParticipant({ ...merged, updated_at: new Date().toISOString() });
+    apply(merged);
+    reindex();
+    return merged;
+  }
+
+  return { load, resolve, resolveMatch, list, upsert };
+}
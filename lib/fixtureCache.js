@@ -0,0 +1,72 @@
+// =====================
+// Caché persistente de partidos verificados por búsqueda web.
+// Clave: partido normalizado + deporte + ventana de fechas; las entradas caducan (TTL).
+// =====================
+import { normalizeName, splitMatch } from "./entities.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Clave del partido sin fecha. Usa los IDs canónicos si se resolvieron; los lados
+ * se ordenan para que "A vs B" y "B vs A" compartan entrada.
+ */
+export function fixtureMatchKey(partido, sport, teams = null) {
+  const sides = teams?.home && teams?.away
+    ? [teams.home.id, teams.away.id]
+    : (() => {
+      const s = splitMatch(partido);
+      return s ? [normalizeName(s.home), normalizeName(s.away)] : [normalizeName(partido)];
+    })();
+  return `${String(sport || "any").toLowerCase()}:${sides.sort().join("|")}`;
+}
+
+/**
+ * Ventana de fechas: el día del ticket si se conoce; si no, bloques de 3 días
+ * (el mismo partido compartido por varios tipsters cae en el mismo bloque).
+ */
+export function dateWindow(dateIso = null, now = Date.now()) {
+  if (dateIso) {
+    const d = new Date(dateIso);
+    if (!Number.isNaN(d.getTime())) return d.toISOString().slice(0, 10);
+  }
+  return `w${Math.floor(now / (3 * DAY))}`;
+}
+
+export function createFixtureCache(storage, { ttlHours = 24, negativeTtlHours = 2 } = {}) {
+  return {
+    async get(key) {
+      const row = await storage.getFixtureCache(key);
+      if (!row) return null;
+      if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) return null;
+      return {
+        tournament: row.tournament || null,
+        startIso: row.start_iso || null,
+        tz: row.tz || null,
+        sourceUrl: row.source_url || null,
+        cachedAt: row.created_at || null,
+      };
+    },
+
+    // Los "no encontrado" también se guardan, con un TTL más corto
+    async put({ key, matchKey, sport, found }) {
+      const ok = !!found?.startIso;
+      const ttl = (ok ? ttlHours : negativeTtlHours) * HOUR;
+      await storage.putFixtureCache({
+        key,
+        match_key: matchKey,
+        sport: sport || null,
+        tournament: found?.tournament || null,
+        start_iso: found?.startIso || null,
+        tz: found?.tz || null,
+        source_url: found?.sourceUrl || null,
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + ttl).toISOString(),
+      });
+    },
+
+    invalidateMatch(matchKey) {
+      return storage.deleteFixtureCache(matchKey);
+    },
+  };
+}
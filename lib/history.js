@@ -0,0 +1,187 @@
+// =====================
+// Exportación e importación del historial de tickets (CSV, XLSX, JSON).
+// El CSV por selecciones (una fila por pierna con los datos del ticket repetidos)
+// es también el formato que acepta la importación.
+// =====================
+import ExcelJS from "exceljs";
+import { toCsv, parseCsv } from "./csv.js";
+import { importRecord, formatIssues } from "./schemas.js";
+import { normalizeSelectionResult } from "./settlement.js";
+import { parseOdds } from "./odds.js";
+
+export const SLIP_COLUMNS = [
+  "betslip_id", "created_at", "tipster_id", "bet_type", "system_name", "stake", "currency",
+  "combined_odds", "potential_return", "slip_result", "payout", "profit", "closed_at",
+  "cash_out_amount", "cash_out_stake", "each_way", "place_fraction", "place_places", "free_bet", "boosted_odds",
+];
+
+export const SELECTION_COLUMNS = [
+  "betslip_id", "selection_id", "match", "tournament", "sport", "start_time_utc", "market",
+  "market_code", "pick", "odds", "odds_text", "bookmaker", "result", "settled_at",
+];
+
+export const FLAT_COLUMNS = [...SLIP_COLUMNS, ...SELECTION_COLUMNS.filter(c => c !== "betslip_id")];
+
+// ----- Exportación -----
+
+function slipRow(slip) {
+  return {
+    betslip_id: slip.id,
+    created_at: slip.created_at,
+    tipster_id: slip.tipster_id,
+    bet_type: slip.bet_type,
+    system_name: slip.system_name,
+    stake: slip.stake,
+    currency: slip.currency,
+    combined_odds: slip.combined_odds,
+    potential_return: slip.potential_return,
+    slip_result: slip.result,
+    payout: slip.payout,
+    profit: slip.profit,
+    closed_at: slip.closed_at,
+    cash_out_amount: slip.cash_out_amount ?? null,
+    cash_out_stake: slip.cash_out_stake ?? null,
+    each_way: Boolean(slip.each_way),
+    place_fraction: slip.place_fraction ?? null,
+    place_places: slip.place_places ?? null,
+    free_bet: Boolean(slip.free_bet),
+    boosted_odds: slip.boosted_odds ?? null,
+  };
+}
+
+function selectionRow(sel) {
+  return {
+    betslip_id: sel.betslip_id,
+    selection_id: sel.id,
+    match: sel.match,
+    tournament: sel.tournament,
+    sport: sel.sport,
+    start_time_utc: sel.start_time_utc,
+    market: sel.market,
+    market_code: sel.market_code,
+    pick: sel.pick,
+    odds: sel.odds,
+    odds_text: sel.odds_text,
+    bookmaker: sel.bookmaker,
+    result: sel.result,
+    settled_at: sel.settled_at,
+  };
+}
+
+// slips con bet_selections -> filas de las dos hojas y la vista plana
+export function historySheets(slips) {
+  const betslips = slips.map(slipRow);
+  const selections = slips.flatMap(s => (s.bet_selections || []).map(selectionRow));
+  const flat = slips.flatMap(s => {
+    const head = slipRow(s);
+    return (s.bet_selections || []).map(sel => ({ ...head, ...selectionRow(sel) }));
+  });
+  return { betslips, selections, flat };
+}
+
+export function historyCsv(sheets, level = "selections") {
+  return level === "slips"
+    ? toCsv(sheets.betslips, SLIP_COLUMNS)
+    : toCsv(sheets.flat, FLAT_COLUMNS);
+}
+
+export async function historyXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  const addSheet = (name, columns, rows) => {
+    const ws = workbook.addWorksheet(name);
+    ws.columns = columns.map(key => ({ header: key, key, width: Math.max(12, key.length + 2) }));
+    ws.getRow(1).font = { bold: true };
+    ws.addRows(rows);
+  };
+  addSheet("Betslips", SLIP_COLUMNS, sheets.betslips);
+  addSheet("Selections", SELECTION_COLUMNS, sheets.selections);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ----- Importación -----
+
+/**
+ * CSV -> tickets agrupados por la columna betslip_id (referencia libre; sin ella cada
+ * fila es un ticket simple). Un error en cualquier fila descarta su ticket entero.
+ * Devuelve { groups: [{ ref, lines, slip, legs }], errors: [{ line, ref, field, message }] }.
+ */
+export function parseImportCsv(csv, { odds_format = null } = {}) {
+  const { header, records } = parseCsv(csv);
+  const missing = ["match", "odds"].filter(c => !header.includes(c));
+  if (missing.length) {
+    const err = new Error(`CSV is missing required columns: ${missing.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const errors = [];
+  const byRef = new Map();
+  for (const { line, values } of records) {
+    const clean = Object.fromEntries(Object.entries(values).filter(([, v]) => v !== ""));
+    const ref = clean.betslip_id || `line-${line}`;
+    if (!byRef.has(ref)) byRef.set(ref, { ref, lines: [], slip: null, legs: [], failed: false });
+    const group = byRef.get(ref);
+    group.lines.push(line);
+
+    const rowErrors = [];
+    const parsed = importRecord.safeParse(clean);
+    if (!parsed.success) {
+      rowErrors.push(...formatIssues(parsed.error).map(({ field, message }) => ({ field, message })));
+    } else {
+      const r = parsed.data;
+      const result = r.result ? normalizeSelectionResult(r.result) : "pending";
+      if (!result) rowErrors.push({ field: "result", message: `Unknown result "${r.result}"` });
+      // "cashed_out" sale del propio cash_out_amount al recalcular
+      const cashedOut = r.slip_result === "cashed_out";
+      const slipResult = r.slip_result && !cashedOut ? normalizeSelectionResult(r.slip_result) : null;
+      if (r.slip_result && !cashedOut && !slipResult) rowErrors.push({ field: "slip_result", message: `Unknown result "${r.slip_result}"` });
+      if (cashedOut && r.cash_out_amount == null) rowErrors.push({ field: "cash_out_amount", message: "Required when slip_result is cashed_out" });
+      const odds = parseOdds(r.odds, odds_format);
+      if (odds.decimal === null) rowErrors.push({ field: "odds", message: `Unrecognized odds "${r.odds}"` });
+
+      if (rowErrors.length === 0) {
+        // Los datos del ticket se toman de su primera fila
+        const closedAt = r.closed_at ? new Date(r.closed_at).toISOString() : null;
+        group.slip ??= {
+          created_at: r.created_at ? new Date(r.created_at).toISOString() : null,
+          closed_at: closedAt,
+          bet_type: [r.bet_type, r.system_name].filter(Boolean).join(" ") || null,
+          stake: r.stake ?? null,
+          currency: r.currency || null,
+          result: slipResult && slipResult !== "pending" ? slipResult : null,
+          terms: {
+            cash_out_amount: r.cash_out_amount ?? null,
+            cash_out_stake: r.cash_out_stake ?? null,
+            cashed_out_at: r.cash_out_amount != null ? closedAt || new Date().toISOString() : null,
+            each_way: Boolean(r.each_way),
+            place_fraction: r.each_way ? r.place_fraction ?? null : null,
+            place_places: r.each_way ? r.place_places ?? null : null,
+            free_bet: Boolean(r.free_bet),
+            boosted_odds: r.boosted_odds ?? null,
+          },
+        };
+        group.legs.push({
+          line,
+          match: r.match,
+          tournament: r.tournament || null,
+          sport: r.sport || null,
+          start_time_utc: r.start_time_utc ? new Date(r.start_time_utc).toISOString() : null,
+          market: r.market || null,
+          pick: r.pick || null,
+          odds,
+          bookmaker: r.bookmaker || null,
+          result,
+          settled_at: r.settled_at ? new Date(r.settled_at).toISOString() : null,
+        });
+      }
+    }
+
+    if (rowErrors.length) {
+      group.failed = true;
+      errors.push(...rowErrors.map(e => ({ line, ref: clean.betslip_id || null, ...e })));
+    }
+  }
+
+  const groups = [...byRef.values()].filter(g => !g.failed).map(({ failed, ...g }) => g);
+  return { groups, errors, rows: records.length };
+}
@@ -0,0 +1,127 @@
+// =====================
+// Cola local de trabajos de parseo: estado persistido en storage (parse_jobs),
+// ejecución en proceso con concurrencia limitada, reintentos y webhook al terminar.
+// =====================
+import { createLimiter } from "./limiter.js";
+import { createCallbackPolicy } from "./callbacks.js";
+
+export const JOB_STATUSES = ["queued", "running", "succeeded", "failed"];
+
+const nowIso = () => new Date().toISOString();
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// POST al callback_url del trabajo según `callbacks` (ver callbacks.js); hasta 3 intentos.
+// Una redirección no se sigue ni se reintenta. Devuelve "delivered" | "failed"
+export async function postJobCallback(job, { callbacks = createCallbackPolicy(), attempts = 3, timeoutMs = 10000 } = {}) {
+  const body = JSON.stringify({
+    job_id: job.id,
+    status: job.status,
+    betslip_id: job.betslip_id || null,
+    rows: job.rows || [],
+    duplicate: job.duplicate || null,
+    error: job.error || null,
+  });
+  for (let i = 1; i <= attempts; i++) {
+    try {
+      const { status } = await callbacks.post(job.callback_url, body, { timeoutMs });
+      if (status >= 200 && status < 300) return "delivered";
+      if (status >= 300 && status < 400) {
+        console.warn(`[jobs] callback ${job.id} HTTP ${status}: no se siguen redirecciones`);
+        return "failed";
+      }
+      console.warn(`[jobs] callback ${job.id} HTTP ${status} (intento ${i})`);
+    } catch (e) {
+      console.warn(`[jobs] callback ${job.id} error (intento ${i}):`, e.message);
+    }
+    if (i < attempts) await sleep(1000 * i);
+  }
+  return "failed";
+}
+
+/**
+ * handlers: { [kind]: async (payload, ctx) => ({ betslip_id, rows }) }
+ * ctx.job es el estado guardado (incluye lo que dejó un intento anterior) y
+ * ctx.progress(patch) guarda avance parcial (progress, rows, betslip_id...).
+ */
+export function createJobQueue({
+  storage,
+  handlers,
+  concurrency = 2,
+  maxAttempts = 3,
+  retryDelayMs = 2000,
+  callbacks = createCallbackPolicy(),
+  notify = job => postJobCallback(job, { callbacks }),
+}) {
+  const limiter = createLimiter(concurrency);
+
+  async function finish(id, patch) {
+    const job = await storage.updateJob(id, { ...patch, finished_at: nowIso(), updated_at: nowIso() });
+    if (job?.callback_url) {
+      const callback_status = await notify(job);
+      await storage.updateJob(id, { callback_status });
+    }
+  }
+
+  async function execute(id) {
+    const job = await storage.getJob(id);
+    if (!job || job.status === "succeeded" || job.status === "failed") return;
+    const handler = handlers[job.kind];
+    if (!handler) return finish(id, { status: "failed", error: `unknown job kind "${job.kind}"` });
+
+    const attempts = (job.attempts || 0) + 1;
+    const running = await storage.updateJob(id, { status: "running", attempts, error: null, updated_at: nowIso() });
+    const ctx = {
+      job: running,
+      progress: patch => storage.updateJob(id, { ...patch, updated_at: nowIso() }),
+    };
+
+    try {
+      const result = await handler(running.payload, ctx);
+      await finish(id, { status: "succeeded", ...result });
+    } catch (e) {
+      // Los errores de entrada (4xx) no mejoran reintentando
+      const clientError = e.status >= 400 && e.status < 500;
+      if (!clientError && attempts < maxAttempts) {
+        console.warn(`[jobs] ${id} intento ${attempts} falló, reintento:`, e.message);
+        await storage.updateJob(id, { status: "queued", error: e.message, updated_at: nowIso() });
+        setTimeout(() => schedule(id), retryDelayMs * 2 ** (attempts - 1));
+        return;
+      }
+      console.error(`[jobs] ${id} falló:`, e.message);
+      await finish(id, { status: "failed", error: e.message });
+    }
+  }
+
+  function schedule(id) {
+    limiter.run(() => execute(id)).catch(e => console.error(`[jobs] ${id} error interno:`, e));
+  }
+
+  return {
+    async enqueue({ kind, tipster_id, payload, callback_url = null }) {
+      const job = await storage.insertJob({
+        kind,
+        tipster_id,
+        payload,
+        callback_url,
+        status: "queued",
+        attempts: 0,
+        progress: { done: 0, total: null },
+        rows: [],
+        updated_at: nowIso(),
+      });
+      schedule(job.id);
+      return job;
+    },
+
+    get(id) {
+      return storage.getJob(id);
+    },
+
+    // Al arrancar: los trabajos que quedaron a medias vuelven a la cola
+    async resume() {
+      const jobs = await storage.listJobs({ statuses: ["queued", "running"] });
+      for (const job of jobs) schedule(job.id);
+      return jobs.length;
+    },
+  };
+}
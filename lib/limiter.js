@@ -0,0 +1,53 @@
+// =====================
+// Límites para llamadas costosas: concurrencia (semáforo) y peticiones por ventana
+// =====================
+
+export function createLimiter(concurrency) {
+  const max = Math.max(1, Number(concurrency) || 1);
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= max || waiting.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => { active--; next(); });
+  };
+
+  return {
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ fn, resolve, reject });
+        next();
+      });
+    },
+    get active() { return active; },
+    get pending() { return waiting.length; },
+  };
+}
+
+/**
+ * Límite de peticiones por clave en ventanas fijas de `windowMs`.
+ * `hit(key)` cuenta una petición y devuelve { allowed, limit, remaining, reset_at }.
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const max = Math.max(1, Number(limit) || 1);
+  const windows = new Map();
+
+  return {
+    hit(key, now = Date.now()) {
+      let w = windows.get(key);
+      if (!w || w.reset_at <= now) {
+        // Las ventanas caducadas se limpian al abrir una nueva
+        for (const [k, old] of windows) if (old.reset_at <= now) windows.delete(k);
+        w = { count: 0, reset_at: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count++;
+      return { allowed: w.count <= max, limit: max, remaining: Math.max(0, max - w.count), reset_at: w.reset_at };
+    },
+  };
+}
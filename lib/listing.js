@@ -0,0 +1,79 @@
+// =====================
+// Listado de tickets: filtros, orden y paginación por cursor (keyset sobre campo + id).
+// Lo comparten los dos backends de storage y la ruta /list-betslips.
+// =====================
+import { matchesSelectionFilters } from "./stats.js";
+
+export const SORT_FIELDS = ["created_at", "stake", "combined_odds", "potential_return", "profit"];
+export const SLIP_STATUSES = ["open", "settled", "closed", "won", "lost", "void", "half_won", "half_lost", "cashed_out"];
+// Filtros que se aplican sobre las piernas: el ticket entra si alguna cumple todos
+export const LEG_FILTERS = ["tournament", "bookmaker", "market", "market_code", "sport"];
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// open: sin resultado; settled/closed: con resultado; el resto, resultado exacto
+export function matchesStatus(slip, status) {
+  if (!status) return true;
+  const result = slip.result || "pending";
+  if (status === "open") return result === "pending";
+  if (status === "settled" || status === "closed") return result !== "pending";
+  return result === status;
+}
+
+/**
+ * ¿Cumple el ticket (con bet_selections si hay filtros de pierna) los filtros del listado?
+ * filters: { status, from, to, min_odds, max_odds, tournament, bookmaker, market, market_code, sport }
+ */
+export function matchesListFilters(slip, filters = {}) {
+  const { status, from, to, min_odds, max_odds } = filters;
+  if (!matchesStatus(slip, status)) return false;
+  if (from && !(slip.created_at >= from)) return false;
+  if (to && !(slip.created_at <= to)) return false;
+  const odds = slip.combined_odds === null || typeof slip.combined_odds === "undefined" ? null : Number(slip.combined_odds);
+  if (min_odds != null && !(odds !== null && odds >= min_odds)) return false;
+  if (max_odds != null && !(odds !== null && odds <= max_odds)) return false;
+  return matchesSelectionFilters(slip, filters);
+}
+
+export const hasLegFilters = filters => LEG_FILTERS.some(f => filters?.[f]);
+
+const isNull = v => v === null || typeof v === "undefined";
+
+/**
+ * Orden del listado: por `sort` en `order`, los nulos siempre al final y el id como desempate
+ * (en el mismo sentido) para que el cursor sea estable.
+ */
+export function compareSlips(a, b, { sort = "created_at", order = "desc" } = {}) {
+  const dir = order === "asc" ? 1 : -1;
+  const va = a[sort], vb = b[sort];
+  if (isNull(va) !== isNull(vb)) return isNull(va) ? 1 : -1;
+  if (!isNull(va) && va !== vb) {
+    const cmp = sort === "created_at" ? String(va).localeCompare(String(vb)) : Number(va) - Number(vb);
+    if (cmp !== 0) return cmp * dir;
+  }
+  return String(a.id).localeCompare(String(b.id)) * dir;
+}
+
+// Cursor opaco con el último ticket de la página y el orden con el que se pidió
+export function encodeCursor(slip, { sort = "created_at", order = "desc" } = {}) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: slip[sort] ?? null, id: slip.id })).toString("base64url");
+}
+
+// Cursor -> fila mínima ({ [sort]: v, id }) para comparar; 400 si no es válido o cambió el orden
+export function decodeCursor(cursor, { sort = "created_at", order = "desc" } = {}) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw badRequest("Invalid cursor");
+  }
+  if (!data || typeof data !== "object" || isNull(data.id)) throw badRequest("Invalid cursor");
+  if (data.s !== sort || data.o !== order) throw badRequest("Cursor was issued for a different sort; start again without cursor");
+  return { [sort]: data.v ?? null, id: data.id };
+}
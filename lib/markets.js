@@ -0,0 +1,151 @@
+// =====================
+// Taxonomía de mercados y picks estructurados (ES/EN)
+// =====================
+
+export const fold = s => String(s || "")
+  .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase().replace(/\s+/g, " ").trim();
+
+/**
+ * Mercados canónicos. El orden importa: los más específicos van antes
+ * ("hándicap por sets" antes que "hándicap", "1ª parte" antes que "1X2").
+ * `labels` son etiquetas completas; `patterns` se buscan dentro del texto.
+ */
+export const MARKETS = [
+  { code: "half_time_result", labels: ["descanso", "half time", "ht result", "1x2 1a parte", "1x2 primera parte"],
+    patterns: [/\b(descanso|medio tiempo|half[- ]?time|1a parte|primera parte|1st half|ht)\b/] },
+  { code: "set_handicap", labels: ["handicap por sets", "set handicap", "handicap de sets"],
+    patterns: [/handicap (por|de) sets?/, /set handicap/, /sets? spread/] },
+  { code: "game_handicap", labels: ["handicap de juegos", "game handicap", "games handicap"],
+    patterns: [/handicap (por|de) juegos/, /games? handicap/, /games? spread/] },
+  { code: "set_betting", labels: ["resultado por sets", "set betting", "resultado exacto sets"],
+    patterns: [/resultado (por|exacto (de|en)) sets/, /set betting/, /correct set score/] },
+  { code: "asian_handicap", labels: ["handicap asiatico", "asian handicap", "ah"],
+    patterns: [/handicap asiatico/, /asian handicap/, /\bah\b/] },
+  { code: "handicap", labels: ["handicap", "handicap europeo", "european handicap", "spread", "point spread", "run line", "puck line"],
+    patterns: [/handicap/, /\bspread\b/, /run line|puck line/] },
+  { code: "btts", labels: ["ambos marcan", "ambos equipos marcan", "both teams to score", "btts"],
+    patterns: [/ambos (equipos )?marcan/, /both teams to score/, /\bbtts\b/] },
+  { code: "double_chance", labels: ["doble oportunidad", "double chance"],
+    patterns: [/doble oportunidad/, /double chance/] },
+  { code: "draw_no_bet", labels: ["empate apuesta no valida", "draw no bet", "dnb"],
+    patterns: [/empate (apuesta )?no valida/, /draw no bet/, /\bdnb\b/] },
+  { code: "correct_score", labels: ["resultado exacto", "correct score", "marcador exacto"],
+    patterns: [/resultado exacto/, /correct score/, /marcador exacto/] },
+  { code: "corners", labels: ["corners", "corneres", "saques de esquina"],
+    patterns: [/\bcorners?\b/, /corneres/, /saques? de esquina/] },
+  { code: "cards", labels: ["tarjetas", "cards", "bookings"],
+    patterns: [/tarjetas?/, /\bcards?\b/, /bookings?/] },
+  { code: "player_props", labels: ["goleador", "anytime goalscorer", "player props", "marcara en cualquier momento"],
+    patterns: [/goleador|goalscorer|marcara|to score/, /\bplayer\b|jugador/, /asistencias|assists|rebotes|rebounds|\baces\b|remates|shots on target|tiros a puerta/] },
+  { code: "totals", labels: ["mas/menos", "over/under", "ou", "total goles", "total de goles", "totales", "total points", "total juegos", "total games"],
+    patterns: [/mas\s*\/\s*menos|over\s*\/\s*under|\bo\/u\b/, /\btotal(es)?\b/, /\b(mas|menos|over|under)( de)?\s*\d/] },
+  { code: "outright", labels: ["ganador del torneo", "outright", "campeon", "ganador de la liga", "to win outright"],
+    patterns: [/ganador (del torneo|de la (liga|competicion))|campeon|outright|to win the (league|tournament)/] },
+  { code: "match_result", labels: ["1x2", "resultado final", "full time result", "match result", "match betting", "resultado del partido", "tiempo reglamentario"],
+    patterns: [/\b1x2\b/, /resultado (final|del partido)/, /full[- ]?time result|match result|match betting|tiempo reglamentario/] },
+  { code: "match_winner", labels: ["ganador", "ganador del partido", "moneyline", "match winner", "to win match", "ganador del encuentro", "money line"],
+    patterns: [/ganador( del (partido|encuentro))?/, /money ?line/, /match winner|to win( the)? match|\bwinner\b/] },
+  { code: "specials", labels: ["especiales", "specials"],
+    patterns: [/especial(es)?|specials?/] },
+];
+
+const LABELS = new Set(MARKETS.flatMap(m => m.labels));
+
+// ¿El texto es, entero, una etiqueta de mercado? (para detectar mercados en `torneo`)
+export function isMarketLabel(text) {
+  return LABELS.has(fold(text));
+}
+
+export function classifyMarket(text) {
+  const t = fold(text);
+  if (!t) return null;
+  for (const m of MARKETS) if (m.labels.includes(t)) return m.code;
+  for (const m of MARKETS) if (m.patterns.some(re => re.test(t))) return m.code;
+  return null;
+}
+
+const LINE = /([+-]?\d+(?:[.,]\d+)?)/;
+const toLine = s => Number(String(s).replace(",", "."));
+
+function teamsOf(match) {
+  const parts = String(match || "").split(/\s+(?:v|vs\.?|-|–|—|@)\s+/i).map(fold).filter(Boolean);
+  return parts.length === 2 ? { home: parts[0], away: parts[1] } : null;
+}
+
+// "Real Madrid" frente a "R. Madrid - Barcelona": coincidencia por palabras significativas
+function sideForName(name, match) {
+  const teams = teamsOf(match);
+  const n = fold(name).replace(/[+-]?\d+(?:[.,]\d+)?/g, "").replace(/[()]/g, "").trim();
+  if (!teams || !n) return null;
+  const words = s => s.split(/[\s.]+/).filter(w => w.length > 2);
+  const hit = team => team.includes(n) || n.includes(team) || words(n).some(w => words(team).includes(w));
+  const home = hit(teams.home), away = hit(teams.away);
+  if (home && !away) return "home";
+  if (away && !home) return "away";
+  return null;
+}
+
+function overUnder(t) {
+  const over = t.match(/(?:\bmas de\b|\bover\b|\bo\b|^\+)\s*(\d+(?:[.,]\d+)?)/);
+  if (over) return { pick_side: "over", pick_line: toLine(over[1]) };
+  const under = t.match(/(?:\bmenos de\b|\bunder\b|\bu\b|^-)\s*(\d+(?:[.,]\d+)?)/);
+  if (under) return { pick_side: "under", pick_line: toLine(under[1]) };
+  return null;
+}
+
+/**
+ * Pick estructurado: { pick_side, pick_line, pick_participant }.
+ * pick_side: home | away | draw | home_draw | draw_away | home_away | over | under | yes | no | null
+ */
+export function parsePick(pick, marketCode, match) {
+  const out = { pick_side: null, pick_line: null, pick_participant: null };
+  const t = fold(pick);
+  if (!t) return out;
+
+  if (marketCode === "totals" || marketCode === "corners" || marketCode === "cards" || !marketCode) {
+    const ou = overUnder(t);
+    if (ou) return { ...out, ...ou };
+  }
+  if (marketCode === "btts") {
+    if (/^(si|yes|s)\b/.test(t)) return { ...out, pick_side: "yes" };
+    if (/^no\b/.test(t)) return { ...out, pick_side: "no" };
+  }
+  if (marketCode === "double_chance") {
+    const dc = { "1x": "home_draw", "x2": "draw_away", "12": "home_away" }[t.replace(/[\s/-]/g, "")];
+    if (dc) return { ...out, pick_side: dc };
+  }
+  if (marketCode === "correct_score" || marketCode === "set_betting") {
+    const score = t.match(/(\d+)\s*[-:]\s*(\d+)/);
+    if (score) return { ...out, pick_participant: `${score[1]}-${score[2]}` };
+  }
+  if (["match_result", "half_time_result", "match_winner", "draw_no_bet"].includes(marketCode) || !marketCode) {
+    if (t === "1") return { ...out, pick_side: "home" };
+    if (t === "2") return { ...out, pick_side: "away" };
+    if (/^(x|empate|draw|tie)$/.test(t)) return { ...out, pick_side: "draw" };
+  }
+  if (marketCode === "player_props") {
+    const ou = overUnder(t);
+    const name = String(pick).replace(/\b(m[aá]s|menos|over|under)\b.*$/i, "").trim();
+    return { ...out, ...(ou || {}), pick_participant: name || null };
+  }
+
+  // Equipo (con línea en hándicaps): "Real Madrid -1.5", "Sinner (+3.5)"
+  const side = sideForName(pick, match);
+  const isHandicap = ["asian_handicap", "handicap", "set_handicap", "game_handicap"].includes(marketCode);
+  const line = isHandicap ? String(pick).match(LINE) : null;
+  return {
+    pick_side: side,
+    pick_line: line ? toLine(line[1]) : null,
+    pick_participant: String(pick).replace(/\(?\s*[+-]?\d+(?:[.,]\d+)?\s*\)?\s*$/, "").trim() || null,
+  };
+}
+
+/**
+ * Normaliza mercado + pick de una selección. Si el mercado no se reconoce,
+ * se intenta deducir del propio pick ("Más de 2.5" -> totals).
+ */
+export function normalizeMarket(market, pick, match) {
+  const market_code = classifyMarket(market) || classifyMarket(pick) || (market || pick ? "other" : null);
+  return { market_code, ...parsePick(pick, market_code === "other" ? null : market_code, match) };
+}
@@ -0,0 +1,101 @@
+// =====================
+// Formatos de cuota: detección y conversión a/desde decimal
+// =====================
+
+export const ODDS_FORMATS = ["decimal", "fractional", "american", "hongkong", "malay", "indonesian"];
+
+const round = (n, d = 4) => Math.round(n * 10 ** d) / 10 ** d;
+const num = s => parseFloat(String(s).replace(",", "."));
+
+/**
+ * Detecta el formato de una cuota tal como aparece en el ticket.
+ * Los valores negativos o menores que 1 son ambiguos: `hint` decide si se conoce.
+ */
+export function detectOddsFormat(raw, hint = null) {
+  if (raw === null || typeof raw === "undefined") return null;
+  const t = String(raw).trim().toLowerCase();
+  if (!t) return null;
+  if (/^(evs|evens|even|ev)$/.test(t) || /^\d+\s*\/\s*\d+$/.test(t)) return "fractional";
+  if (hint && ODDS_FORMATS.includes(hint)) return hint;
+
+  const v = num(t);
+  if (!Number.isFinite(v)) return null;
+  if (/^[+-]\d{3,}$/.test(t) || Math.abs(v) >= 100) return "american";
+  if (v < 0) return v > -1 ? "malay" : "indonesian";
+  if (v < 1) return "hongkong";
+  return "decimal";
+}
+
+export function toDecimal(raw, format) {
+  const t = String(raw).trim().toLowerCase();
+  if (format === "fractional") {
+    if (/^(evs|evens|even|ev)$/.test(t)) return 2;
+    const m = t.match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (!m || Number(m[2]) === 0) return null;
+    return round(1 + Number(m[1]) / Number(m[2]));
+  }
+  const v = num(t);
+  if (!Number.isFinite(v)) return null;
+  switch (format) {
+    case "decimal": return v > 1 ? round(v) : null;
+    case "american":
+      if (Math.abs(v) < 100) return null;
+      return round(v > 0 ? 1 + v / 100 : 1 + 100 / Math.abs(v));
+    case "hongkong": return v > 0 ? round(1 + v) : null;
+    case "malay":
+      if (v === 0 || Math.abs(v) > 1) return null;
+      return round(v > 0 ? 1 + v : 1 + 1 / Math.abs(v));
+    case "indonesian":
+      if (Math.abs(v) < 1) return null;
+      return round(v > 0 ? 1 + v : 1 + 1 / Math.abs(v));
+    default: return null;
+  }
+}
+
+// Aproximación fraccional con denominador acotado (fracciones continuas)
+function toFraction(x, maxDen = 100) {
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+  let b = x;
+  for (let i = 0; i < 20; i++) {
+    const a = Math.floor(b);
+    const [h2, k2] = [a * h1 + h0, a * k1 + k0];
+    if (k2 > maxDen) break;
+    [h0, h1, k0, k1] = [h1, h2, k1, k2];
+    if (Math.abs(b - a) < 1e-9) break;
+    b = 1 / (b - a);
+  }
+  return `${h1}/${k1}`;
+}
+
+/**
+ * Convierte una cuota decimal al formato pedido (número o texto en fraccional/americano).
+ */
+export function fromDecimal(decimal, format) {
+  const d = Number(decimal);
+  if (!(d > 1)) return null;
+  switch (format) {
+    case "decimal": return round(d, 2);
+    case "fractional": return toFraction(d - 1);
+    case "american": return d >= 2 ? `+${Math.round((d - 1) * 100)}` : `${-Math.round(100 / (d - 1))}`;
+    case "hongkong": return round(d - 1, 2);
+    case "malay": return round(d <= 2 ? d - 1 : -1 / (d - 1), 2);
+    case "indonesian": return round(d >= 2 ? d - 1 : -1 / (d - 1), 2);
+    default: return null;
+  }
+}
+
+/**
+ * Cuota del ticket -> { decimal, text, format }. `decimal` es null si no se puede interpretar.
+ * Un número sin `hint` es decimal; con `hint` se interpreta igual que su texto (150 americano = 2.5).
+ */
+export function parseOdds(raw, hint = null) {
+  if (raw === null || typeof raw === "undefined" || String(raw).trim() === "") {
+    return { decimal: null, text: null, format: null };
+  }
+  const text = String(raw).trim();
+  if (typeof raw === "number" && !(hint && ODDS_FORMATS.includes(hint))) {
+    return { decimal: raw > 1 ? round(raw) : null, text, format: "decimal" };
+  }
+  const format = detectOddsFormat(text, hint);
+  return { decimal: format ? toDecimal(text, format) : null, text, format };
+}
@@ -0,0 +1,76 @@
+// =====================
+// Confianza y procedencia por campo de cada selección, y cola de revisión.
+// field_confidence: { campo: 0..1 }; field_source: { campo: "ticket" | "web" | "manual" }
+// =====================
+
+export const REVIEW_FIELDS = ["match", "tournament", "start_time_utc", "market", "pick", "odds", "bookmaker"];
+export const FIELD_SOURCES = ["ticket", "web", "manual"];
+// Sin estos la selección no sirve: si faltan siempre se revisa
+const REQUIRED_FIELDS = ["match", "odds"];
+
+// Nombres del extractor -> columnas de bet_selections
+const EXTRACTOR_FIELDS = {
+  partido: "match",
+  torneo: "tournament",
+  fecha_hora_texto: "start_time_utc",
+  mercado: "market",
+  apuesta: "pick",
+  cuota: "odds",
+  casa_apuestas: "bookmaker",
+};
+
+const clamp01 = n => Math.max(0, Math.min(1, n));
+const round2 = n => Math.round(n * 100) / 100;
+const isEmpty = v => v === null || typeof v === "undefined" || v === "";
+
+/**
+ * Confianza que el extractor da a cada campo (`confianza` en su JSON, con sus nombres o
+ * los nuestros). Los campos que no puntúa se quedan con `fallback`.
+ */
+export function extractedConfidence(sel, fallback) {
+  const given = sel?.confianza && typeof sel.confianza === "object" ? sel.confianza : {};
+  const out = {};
+  for (const [from, field] of Object.entries(EXTRACTOR_FIELDS)) {
+    const n = Number(given[from] ?? given[field]);
+    out[field] = Number.isFinite(n) ? round2(clamp01(n)) : fallback;
+  }
+  return out;
+}
+
+// Mapas de una fila recién leída del ticket; solo entran los campos con valor
+export function fieldProvenance(row, confidence, sources = {}) {
+  const field_confidence = {};
+  const field_source = {};
+  for (const f of REVIEW_FIELDS) {
+    if (isEmpty(row[f])) continue;
+    field_confidence[f] = confidence[f] ?? null;
+    field_source[f] = sources[f] || "ticket";
+  }
+  return { field_confidence, field_source };
+}
+
+/**
+ * Marca de revisión: campos con valor por debajo de `threshold` y obligatorios vacíos.
+ * Devuelve { needs_review, review_fields }.
+ */
+export function reviewFlags(sel, { threshold = 0.7 } = {}) {
+  const confidence = sel.field_confidence || {};
+  const review_fields = REVIEW_FIELDS.filter(f => {
+    if (isEmpty(sel[f])) return REQUIRED_FIELDS.includes(f);
+    const c = confidence[f];
+    return typeof c === "number" && c < threshold;
+  });
+  return { needs_review: review_fields.length > 0, review_fields };
+}
+
+// Procedencia tras una edición o confirmación del usuario: esos campos pasan a confianza 1
+export function manualProvenance(sel, fields, source = "manual") {
+  const field_confidence = { ...(sel.field_confidence || {}) };
+  const field_source = { ...(sel.field_source || {}) };
+  for (const f of fields) {
+    if (!REVIEW_FIELDS.includes(f)) continue;
+    field_confidence[f] = 1;
+    if (source) field_source[f] = source;
+  }
+  return { field_confidence, field_source };
+}
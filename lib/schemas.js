@@ -0,0 +1,410 @@
+// =====================
+// Esquemas zod: entradas de rutas y salida del extractor OCR
+// =====================
+import { z } from "zod";
+import { STATS_GROUPS } from "./stats.js";
+import { ODDS_FORMATS } from "./odds.js";
+import { normalizeCurrency } from "./currency.js";
+import { isValidTimeZone } from "./dates.js";
+import { parseAmount } from "./betTypes.js";
+import { findBookmaker } from "./bookmakers.js";
+import { SORT_FIELDS, SLIP_STATUSES, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from "./listing.js";
+
+const id = z.union([z.string().trim().min(1), z.number().int()], {
+  errorMap: () => ({ message: "Expected a non-empty id" }),
+});
+const optionalText = z.string().trim().nullable().optional();
+
+// Acepta 1.85, "1,85", "1.234,56" o "" (-> null); texto con algo más que cifras, no
+const decimal = z.union([z.number(), z.string()]).transform((v, ctx) => {
+  if (typeof v === "number") return v;
+  const t = v.trim();
+  if (t === "") return null;
+  const n = /^-?[\d.,]*\d[\d.,]*$/.test(t) ? parseAmount(t) : null;
+  if (n === null) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Expected a number" });
+    return z.NEVER;
+  }
+  return n;
+});
+
+// Cuota tal cual la escribe el usuario ("1,85", "5/2", "+150"); se convierte en la ruta
+const oddsInput = z.union([z.number(), z.string().trim()]);
+const oddsFormat = z.enum(ODDS_FORMATS);
+
+// ISO 4217; "eur" o "€" se normalizan a "EUR"
+const currencyCode = z.string().trim().transform((v, ctx) => {
+  const code = normalizeCurrency(v);
+  if (!code) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Expected an ISO 4217 currency code" });
+    return z.NEVER;
+  }
+  return code;
+});
+const optionalCurrency = z.preprocess(v => v === "" ? null : v, currencyCode.nullable().optional());
+
+// Casa conocida por id o alias ("bet365", "William Hill"); ver GET /bookmakers
+const knownBookmaker = z.string().trim().min(1).refine(v => Boolean(findBookmaker(v)), "Unknown bookmaker; see GET /bookmakers");
+
+// Zona horaria IANA ("Europe/Madrid")
+const timeZone = z.string().trim().refine(isValidTimeZone, "Expected an IANA time zone like Europe/Madrid");
+
+// Modo trabajo: responde 202 con job_id; callback_url implica async (host y destino: callbacks.js)
+const jobOptions = {
+  async: z.boolean().optional(),
+  callback_url: z.string().trim().url().refine(v => /^https?:\/\//.test(v), "Expected an http(s) URL").optional(),
+};
+
+const isoDate = z.string().trim().refine(v => !Number.isNaN(new Date(v).getTime()), "Invalid date");
+const resultText = z.string().trim().min(1);
+
+// ----- Rutas -----
+export const uploadUrlBody = z.object({
+  filename: z.string().trim().min(1),
+  tipster_id: id,
+});
+
+// Una captura (image_url) o varias del mismo ticket en orden (image_urls); con betslip_id
+// se añaden a ese ticket
+const MAX_SLIP_IMAGES = 6;
+export const parseRowsBody = z.object({
+  image_url: z.string().trim().min(1).optional(),
+  image_urls: z.array(z.string().trim().min(1)).min(1).max(MAX_SLIP_IMAGES).optional(),
+  betslip_id: id.optional(),
+  tipster_id: id,
+  sport: optionalText,
+  odds_format: oddsFormat.optional(),
+  bookmaker: knownBookmaker.optional(),
+  force: z.boolean().optional(),
+  ...jobOptions,
+}).refine(v => Boolean(v.image_url) !== Boolean(v.image_urls), {
+  message: "Send either image_url or image_urls",
+  path: ["image_url"],
+});
+
+export const parseTextBody = z.object({
+  text: z.string().trim().min(1).max(20000),
+  tipster_id: id,
+  sport: optionalText,
+  odds_format: oddsFormat.optional(),
+  bookmaker: knownBookmaker.optional(),
+  force: z.boolean().optional(),
+  ...jobOptions,
+});
+
+export const updateSelectionBody = z.object({
+  selection_id: id,
+  tipster_id: id.optional(),
+  partido: optionalText,
+  match: optionalText,
+  torneo: optionalText,
+  tournament: optionalText,
+  fecha_hora_iso: isoDate.nullable().optional(),
+  start_time_utc: isoDate.nullable().optional(),
+  mercado: optionalText,
+  market: optionalText,
+  apuesta: optionalText,
+  pick: optionalText,
+  cuota: oddsInput.nullable().optional(),
+  odds: oddsInput.nullable().optional(),
+  odds_format: oddsFormat.optional(),
+  casa_apuestas: optionalText,
+  bookmaker: optionalText,
+});
+
+export const reviewQueueQuery = z.object({
+  tipster_id: z.string().trim().min(1),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+});
+
+// Cada elemento confirma la selección (por defecto) y/o corrige campos
+const reviewItem = z.object({
+  selection_id: id,
+  confirm: z.boolean().default(true),
+  match: optionalText,
+  tournament: optionalText,
+  start_time_utc: isoDate.nullable().optional(),
+  market: optionalText,
+  pick: optionalText,
+  odds: oddsInput.nullable().optional(),
+  bookmaker: optionalText,
+});
+
+export const reviewQueueBody = z.object({
+  tipster_id: id,
+  odds_format: oddsFormat.optional(),
+  items: z.array(reviewItem).min(1).max(200),
+});
+
+export const updateStakeBody = z.object({
+  betslip_id: id,
+  stake: decimal.nullable().optional(),
+  currency: optionalCurrency,
+});
+
+// Condiciones del ticket (ver slipTerms.js); la ruta solo cambia lo que llega
+export const updateBetslipBody = z.object({
+  betslip_id: id,
+  each_way: z.boolean().optional(),
+  place_terms: optionalText,
+  place_fraction: decimal.nullable().optional()
+    .refine(v => v == null || (v > 0 && v <= 1), "Expected a fraction between 0 and 1 (1/5 = 0.2)"),
+  place_places: z.number().int().min(1).max(20).nullable().optional(),
+  free_bet: z.boolean().optional(),
+  boosted_odds: oddsInput.nullable().optional(),
+  odds_format: oddsFormat.optional(),
+}).refine(v => Object.keys(v).some(k => k !== "betslip_id" && k !== "odds_format"), {
+  message: "Send at least one of each_way, place_terms, place_fraction, place_places, free_bet, boosted_odds",
+});
+
+export const cashOutBody = z.object({
+  betslip_id: id,
+  amount: decimal.nullable().refine(v => v === null || v >= 0, "Expected a non-negative amount"),
+  stake: decimal.nullable().optional().refine(v => v == null || v > 0, "Expected a positive stake"),
+});
+
+export const closeBetslipBody = z.object({
+  betslip_id: id,
+  resultado: resultText.optional(),
+  resultado_texto: optionalText,
+});
+
+export const settleSelectionBody = z.object({
+  selection_id: id,
+  result: resultText,
+  placed: z.boolean().optional(),
+});
+
+export const deleteBetslipBody = z.object({
+  betslip_id: id,
+});
+
+export const participantBody = z.object({
+  id: z.string().trim().regex(/^[a-z0-9-]+$/, "Use lowercase letters, digits and dashes"),
+  name: z.string().trim().min(1).optional(),
+  sport: z.string().trim().toLowerCase().optional(),
+  aliases: z.array(z.string().trim().min(1)).default([]),
+});
+
+export const participantsQuery = z.object({
+  q: z.string().trim().optional(),
+  sport: z.string().trim().toLowerCase().optional(),
+  match: z.string().trim().optional(),
+});
+
+export const listBetslipsQuery = z.object({
+  tipster_id: z.string().trim().min(1),
+  odds_format: oddsFormat.optional(),
+  currency: currencyCode.optional(),
+  status: z.enum(SLIP_STATUSES).optional(),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  tournament: z.string().trim().min(1).optional(),
+  bookmaker: z.string().trim().min(1).optional(),
+  market: z.string().trim().min(1).optional(),
+  market_code: z.string().trim().min(1).optional(),
+  sport: z.string().trim().min(1).optional(),
+  min_odds: decimal.optional(),
+  max_odds: decimal.optional(),
+  sort: z.enum(SORT_FIELDS).default("created_at"),
+  order: z.enum(["asc", "desc"]).default("desc"),
+  limit: z.coerce.number().int().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+  cursor: z.string().trim().min(1).optional(),
+}).refine(v => v.min_odds == null || v.max_odds == null || v.min_odds <= v.max_odds, {
+  message: "min_odds must not exceed max_odds",
+  path: ["min_odds"],
+});
+
+export const betslipQuery = z.object({
+  odds_format: oddsFormat.optional(),
+  currency: currencyCode.optional(),
+});
+
+export const tipsterStatsQuery = z.object({
+  tipster_id: z.string().trim().min(1),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  tournament: z.string().trim().optional(),
+  market: z.string().trim().optional(),
+  market_code: z.string().trim().optional(),
+  bookmaker: z.string().trim().optional(),
+  sport: z.string().trim().optional(),
+  group_by: z.enum(STATS_GROUPS).optional(),
+  currency: currencyCode.optional(),
+});
+
+export const checkResultQuery = z.object({
+  partido: z.string().trim().min(1),
+  pick: z.string().optional(),
+  selection_id: z.string().trim().min(1).optional(),
+});
+
+export const debugEnrichQuery = z.object({
+  partido: z.string().trim().min(1),
+  sport: z.string().trim().optional(),
+});
+
+export const settlementProposalsQuery = z.object({
+  tipster_id: z.string().trim().min(1),
+});
+
+export const confirmSettlementBody = z.object({
+  selection_id: id,
+  accept: z.boolean().default(true),
+  result: resultText.optional(),
+});
+
+export const settlementRunBody = z.object({
+  dry_run: z.boolean().optional(),
+});
+
+export const exportBetslipsQuery = z.object({
+  tipster_id: z.string().trim().min(1),
+  format: z.enum(["csv", "xlsx", "json"]).default("csv"),
+  level: z.enum(["selections", "slips"]).default("selections"),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  status: z.enum(SLIP_STATUSES).optional(),
+});
+
+export const importBetslipsBody = z.object({
+  tipster_id: id,
+  csv: z.string().min(1).max(5_000_000),
+  odds_format: oddsFormat.optional(),
+  dry_run: z.boolean().optional(),
+});
+
+// Una fila del CSV de importación (mismo formato que la exportación por selecciones).
+// Las columnas calculadas (combined_odds, payout...) se ignoran y se recalculan.
+// Celdas booleanas del CSV: true/false, 1/0, sí/no
+const csvFlag = z.string().trim().toLowerCase().transform((v, ctx) => {
+  if (["true", "1", "si", "sí", "yes"].includes(v)) return true;
+  if (["false", "0", "no", ""].includes(v)) return false;
+  ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Expected true or false" });
+  return z.NEVER;
+});
+
+export const importRecord = z.object({
+  betslip_id: z.string().optional(),
+  created_at: isoDate.optional(),
+  bet_type: z.string().optional(),
+  system_name: z.string().optional(),
+  stake: decimal.optional(),
+  currency: currencyCode.optional(),
+  slip_result: resultText.optional(),
+  closed_at: isoDate.optional(),
+  cash_out_amount: decimal.optional(),
+  cash_out_stake: decimal.optional(),
+  each_way: csvFlag.optional(),
+  place_fraction: decimal.optional(),
+  place_places: z.coerce.number().int().min(1).optional(),
+  free_bet: csvFlag.optional(),
+  boosted_odds: decimal.optional(),
+  match: z.string().min(1),
+  tournament: z.string().optional(),
+  sport: z.string().optional(),
+  start_time_utc: isoDate.optional(),
+  market: z.string().optional(),
+  pick: z.string().optional(),
+  odds: z.string().min(1),
+  bookmaker: z.string().optional(),
+  result: resultText.optional(),
+  settled_at: isoDate.optional(),
+});
+
+export const exchangeRatesBody = z.object({
+  base: currencyCode.default("EUR"),
+  date: isoDate,
+  rates: z.record(z.string(), decimal.refine(v => v !== null && v > 0, "Expected a positive rate")),
+});
+
+export const exchangeRatesQuery = z.object({
+  currency: currencyCode.optional(),
+});
+
+export const tipsterSettingsQuery = z.object({
+  tipster_id: z.string().trim().min(1),
+});
+
+export const tipsterSettingsBody = z.object({
+  tipster_id: id,
+  base_currency: currencyCode.optional(),
+  timezone: timeZone.optional(),
+}).refine(v => v.base_currency || v.timezone, { message: "Send base_currency and/or timezone" });
+
+export const usageReportQuery = z.object({
+  tipster_id: z.string().trim().min(1).optional(),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+});
+
+// null vuelve a la cuota global (AI_DAILY_CALLS_PER_TIPSTER / AI_DAILY_COST_PER_TIPSTER)
+export const usageQuotaBody = z.object({
+  tipster_id: id,
+  daily_calls: z.number().int().min(0).nullable().optional(),
+  daily_cost: decimal.nullable().optional().refine(v => v == null || v >= 0, "Expected a non-negative amount"),
+}).refine(v => v.daily_calls !== undefined || v.daily_cost !== undefined, { message: "Send daily_calls and/or daily_cost" });
+
+export const betslipHistoryQuery = z.object({
+  betslip_id: z.string().trim().min(1),
+});
+
+export const revertChangeBody = z.object({
+  betslip_id: id,
+  audit_id: id,
+});
+
+// ----- Salida del extractor -----
+// El modelo a veces devuelve números donde esperamos texto: se normaliza a string
+const extractedText = z.union([z.string(), z.number()]).transform(String).nullable().optional();
+
+export const extractedSelection = z.object({
+  partido: z.union([z.string(), z.number()]).transform(String).refine(v => v.trim().length > 0, "Required"),
+  torneo: extractedText,
+  fecha_hora_texto: extractedText,
+  mercado: extractedText,
+  apuesta: extractedText,
+  cuota: extractedText,
+  casa_apuestas: extractedText,
+}).passthrough();
+
+// true/false, "sí", 1...: se interpreta en slipTerms.js
+const extractedFlag = z.union([z.boolean(), z.string(), z.number()]).nullable().optional();
+
+export const extractorPayload = z.object({
+  bookmaker: extractedText,
+  tipo_apuesta: extractedText,
+  importe: extractedText,
+  cuota_total: extractedText,
+  ganancia_potencial: extractedText,
+  cash_out: extractedText,
+  each_way: extractedFlag,
+  condiciones_colocado: extractedText,
+  apuesta_gratis: extractedFlag,
+  cuota_mejorada: extractedText,
+  selections: z.array(extractedSelection),
+}).passthrough();
+
+// ----- Utilidades -----
+export function formatIssues(error) {
+  return error.issues.map(i => ({
+    field: i.path.join(".") || null,
+    message: i.message,
+    code: i.code,
+  }));
+}
+
+/**
+ * Middleware: valida `req[source]` y lo sustituye por el valor normalizado.
+ * Si falla responde 400 con los errores por campo.
+ */
+export function validate(schema, source = "body") {
+  return (req, res, next) => {
+    const parsed = schema.safeParse(req[source] || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: "invalid request", issues: formatIssues(parsed.error) });
+    }
+    req[source] = parsed.data;
+    next();
+  };
+}
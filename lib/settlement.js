@@ -0,0 +1,165 @@
+// =====================
+// Liquidación por selección y derivación del resultado del ticket
+// =====================
+import { slipLines } from "./betTypes.js";
+import { isFullCashOut } from "./slipTerms.js";
+
+export const SELECTION_RESULTS = ["pending", "won", "lost", "void", "half_won", "half_lost"];
+
+// Etiquetas que ya usan los clientes en `betslips.resultado`
+export const RESULT_LABELS = {
+  pending: null,
+  won: "Ganada",
+  lost: "Perdida",
+  void: "Nula",
+  half_won: "Medio ganada",
+  half_lost: "Medio perdida",
+  // Solo a nivel de ticket: cash out de todo el stake
+  cashed_out: "Cash out",
+};
+
+const RESULT_ALIASES = {
+  pending: ["pending", "pendiente", "open", "abierta"],
+  won: ["won", "win", "ganada", "ganado", "acertada"],
+  lost: ["lost", "loss", "lose", "perdida", "perdido", "fallada"],
+  void: ["void", "push", "refund", "nula", "nulo", "anulada", "devuelta"],
+  half_won: ["half_won", "half won", "half-won", "medio ganada", "media ganada"],
+  half_lost: ["half_lost", "half lost", "half-lost", "medio perdida", "media perdida"],
+};
+
+export function normalizeSelectionResult(value) {
+  if (value === null || typeof value === "undefined") return null;
+  const v = String(value).toLowerCase().replace(/\s+/g, " ").trim();
+  for (const [code, aliases] of Object.entries(RESULT_ALIASES)) {
+    if (aliases.includes(v)) return code;
+  }
+  return null;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Multiplicador que aporta una pierna al retorno de una combinada
+function legFactor(result, odds) {
+  switch (result) {
+    case "won": return odds;
+    case "half_won": return (odds + 1) / 2;
+    case "void": return 1;
+    case "half_lost": return 0.5;
+    default: return 0;
+  }
+}
+
+function needsOdds(result) {
+  return result === "won" || result === "half_won";
+}
+
+// Parte "colocado" de un each way: paga una fracción de la cuota si la pierna ganó o quedó
+// colocada (`placed`); las nulas siguen contando como 1
+function placeFactor(leg, fraction) {
+  if (leg.result === "void") return 1;
+  if (needsOdds(leg.result) || leg.placed) return 1 + (leg.odds - 1) * fraction;
+  return 0;
+}
+
+// Clasifica el ticket según el retorno por unidad apostada
+function resultFromRatio(ratio, hasHalf) {
+  if (ratio === 0) return "lost";
+  if (ratio > 1) return hasHalf ? "half_won" : "won";
+  if (ratio < 1) return "half_lost";
+  return "void";
+}
+
+/**
+ * Pago y beneficio con las condiciones del ticket (`terms`, ver slipTerms.js): con cash out
+ * parcial solo corre el stake que queda y se suma lo cobrado; en apuestas gratis el stake
+ * no se devuelve ni cuenta como coste.
+ */
+function withMoney(result, ratio, stake, terms = {}) {
+  const s = Number.isFinite(stake) ? stake : null;
+  if (s === null || ratio === null) return { result, resultado: RESULT_LABELS[result], payout: null, profit: null };
+  const cashedOut = terms.cash_out_amount !== null && typeof terms.cash_out_amount !== "undefined";
+  const riding = cashedOut ? Math.max(0, s - (terms.cash_out_stake ?? s)) : s;
+  let payout = riding * ratio;
+  if (terms.free_bet) payout = Math.max(0, payout - riding);
+  if (cashedOut) payout += terms.cash_out_amount;
+  payout = round2(payout);
+  return {
+    result,
+    resultado: RESULT_LABELS[result],
+    payout,
+    profit: round2(payout - (terms.free_bet ? 0 : s)),
+  };
+}
+
+function cashOutOutcome(stake, terms) {
+  const s = Number.isFinite(stake) ? stake : null;
+  const payout = round2(terms.cash_out_amount);
+  return {
+    result: "cashed_out",
+    resultado: RESULT_LABELS.cashed_out,
+    payout,
+    profit: s !== null ? round2(payout - (terms.free_bet ? 0 : s)) : null,
+  };
+}
+
+/**
+ * Deriva resultado, retorno y beneficio del ticket a partir de sus selecciones.
+ * Las piernas nulas cuentan como cuota 1 (se caen de la combinada). En sistemas
+ * (`betType.bet_type === "system"`) el retorno es la media de sus líneas.
+ * `terms` son las condiciones del ticket (slipTerms): en each way la mitad del stake va a
+ * ganador y la otra a colocado; la cuota mejorada sustituye a la combinada si acierta entera.
+ */
+export function deriveSlipOutcome(selections, stake, betType = {}, terms = {}) {
+  if (isFullCashOut(terms, stake)) return cashOutOutcome(stake, terms);
+  const legs = (selections || []).map(s => ({
+    result: normalizeSelectionResult(s.result) || "pending",
+    odds: Number(s.odds),
+    placed: Boolean(s.placed),
+  }));
+  const isSystem = betType.bet_type === "system";
+  // En each way una pierna perdida pero colocada todavía cobra
+  const dead = l => l.result === "lost" && !(terms.each_way && l.placed);
+  if (legs.length === 0) return withMoney("pending", null, null);
+  if (!isSystem && legs.some(dead)) return withMoney("lost", 0, stake, terms);
+  if (legs.some(l => l.result === "pending")) return withMoney("pending", null, null);
+
+  const hasHalf = legs.some(l => l.result === "half_won" || l.result === "half_lost");
+  const missingOdds = legs.some(l => (needsOdds(l.result) || (terms.each_way && l.placed)) && !(l.odds > 0));
+  const missingTerms = terms.each_way && !(terms.place_fraction > 0);
+  if (missingOdds || missingTerms) {
+    // Sin cuota no hay retorno, pero el sentido del resultado sí se conoce
+    const anyWin = legs.some(l => needsOdds(l.result));
+    const result = anyWin ? (hasHalf ? "half_won" : "won") : (hasHalf ? "half_lost" : "void");
+    return withMoney(result, null, null);
+  }
+
+  const lines = slipLines(legs, betType);
+  const average = factor => lines.reduce((acc, line) => acc + line.reduce((p, l) => p * factor(l), 1), 0) / lines.length;
+  const boosted = terms.boosted_odds > 0 && !isSystem && legs.every(l => l.result === "won");
+  let ratio = boosted ? terms.boosted_odds : average(l => legFactor(l.result, l.odds));
+  if (terms.each_way) ratio = (ratio + average(l => placeFactor(l, terms.place_fraction))) / 2;
+  return withMoney(resultFromRatio(ratio, hasHalf), ratio, stake, terms);
+}
+
+/**
+ * Cierre manual del ticket completo: aplica el resultado a la cuota combinada (o a la
+ * mejorada). En each way "won" cobra ganador y colocado; "lost" no cobra nada.
+ */
+export function outcomeForWholeSlip(result, combinedOdds, stake, terms = {}) {
+  if (isFullCashOut(terms, stake)) return cashOutOutcome(stake, terms);
+  if (result === "pending" || result === "cashed_out") return withMoney(result, null, null);
+  const odds = result === "won" && terms.boosted_odds > 0 ? terms.boosted_odds : Number(combinedOdds);
+  if (needsOdds(result) && !(odds > 0)) return withMoney(result, null, null);
+  let ratio = legFactor(result, odds);
+  if (terms.each_way) {
+    if (needsOdds(result) && !(terms.place_fraction > 0)) return withMoney(result, null, null);
+    ratio = (ratio + placeFactor({ result, odds: Number(combinedOdds) }, terms.place_fraction)) / 2;
+  }
+  return withMoney(result, ratio, stake, terms);
+}
+
+export function combinedOdds(selections) {
+  const odds = (selections || []).map(s => Number(s.odds));
+  if (odds.length === 0 || odds.some(o => !(o > 0))) return null;
+  return Math.round(odds.reduce((acc, o) => acc * o, 1) * 10000) / 10000;
+}
@@ -0,0 +1,198 @@
+// =====================
+// Liquidación automática: busca selecciones pendientes cuyo partido ya debería haber
+// terminado, consulta el resultado y lo aplica (confianza alta) o lo deja propuesto.
+// =====================
+import { fold } from "./markets.js";
+import { normalizeSelectionResult } from "./settlement.js";
+
+const MINUTE = 60 * 1000;
+
+// Estados de la liquidación automática en bet_selections.settlement_status
+export const SETTLEMENT_STATUSES = [
+  "retry",                // sin resultado todavía; se vuelve a mirar en next_check_at
+  "pending_confirmation", // resultado propuesto con confianza baja
+  "auto_settled",
+  "confirmed",
+  "rejected",
+  "exhausted",            // se agotaron los intentos
+  "skipped",              // el ticket ya se cerró a mano
+];
+
+// Duración esperada (minutos) desde el inicio hasta poder consultar el resultado
+export const MATCH_DURATION_MINUTES = {
+  football: 120,
+  futbol: 120,
+  soccer: 120,
+  basketball: 150,
+  baloncesto: 150,
+  tennis: 180,
+  tenis: 180,
+  default: 180,
+};
+
+export function matchDurationMinutes(sport) {
+  return MATCH_DURATION_MINUTES[fold(sport)] ?? MATCH_DURATION_MINUTES.default;
+}
+
+// Momento a partir del cual tiene sentido buscar el resultado
+export function expectedEnd(sel) {
+  if (!sel.start_time_utc) return null;
+  const start = new Date(sel.start_time_utc).getTime();
+  if (Number.isNaN(start)) return null;
+  return new Date(start + matchDurationMinutes(sel.sport) * MINUTE);
+}
+
+/**
+ * lookup(sel, slip)   -> { finished, score, status, confidence, sources }
+ * settle(id, result)  -> { selection, betslip } (liquida la pierna y recalcula el ticket)
+ * dryRun: informa de lo que haría sin escribir nada.
+ */
+export function createSettlementWorker({
+  storage,
+  lookup,
+  settle,
+  autoConfidence = 0.85,
+  dryRun = false,
+  maxAttempts = 5,
+  retryMinutes = 60,
+  batchSize = 25,
+  intervalMinutes = 15,
+  now = () => new Date(),
+}) {
+  let timer = null;
+  let running = false;
+  let lastRun = null;
+
+  // Espera creciente: retryMinutes, 2x, 3x...
+  function retryPatch(sel, error) {
+    const attempts = (sel.settlement_attempts || 0) + 1;
+    if (attempts >= maxAttempts) {
+      return { settlement_status: "exhausted", settlement_attempts: attempts, next_check_at: null, settlement_error: error };
+    }
+    return {
+      settlement_status: "retry",
+      settlement_attempts: attempts,
+      next_check_at: new Date(now().getTime() + retryMinutes * attempts * MINUTE).toISOString(),
+      settlement_error: error,
+    };
+  }
+
+  async function processSelection(sel, slip, { dry }) {
+    const item = { selection_id: sel.id, betslip_id: sel.betslip_id, match: sel.match, pick: sel.pick };
+
+    if (slip?.closed_at) {
+      if (!dry) await storage.updateSelection(sel.id, { settlement_status: "skipped" });
+      return { ...item, action: "skipped" };
+    }
+
+    let found;
+    try {
+      found = await lookup(sel, slip);
+    } catch (e) {
+      const patch = retryPatch(sel, e.message || String(e));
+      if (!dry) await storage.updateSelection(sel.id, patch);
+      return { ...item, action: patch.settlement_status, error: patch.settlement_error };
+    }
+
+    if (!found?.finished) {
+      const patch = retryPatch(sel, "not finished");
+      if (!dry) await storage.updateSelection(sel.id, patch);
+      return { ...item, action: patch.settlement_status };
+    }
+
+    const code = normalizeSelectionResult(found.status);
+    const proposed = code && code !== "pending" ? code : null;
+    const confidence = Number(found.confidence) || 0;
+    const auto = proposed && confidence >= autoConfidence;
+    const checked = {
+      proposed_result: proposed,
+      result_confidence: confidence,
+      result_score: found.score ?? null,
+      result_sources: Array.isArray(found.sources) ? found.sources : [],
+      result_checked_at: now().toISOString(),
+      settlement_attempts: (sel.settlement_attempts || 0) + 1,
+      settlement_error: null,
+      next_check_at: null,
+    };
+    const out = { ...item, action: auto ? "auto_settled" : "pending_confirmation", result: proposed, confidence, score: checked.result_score };
+    if (dry) return out;
+
+    await storage.updateSelection(sel.id, { ...checked, settlement_status: out.action });
+    if (auto) {
+      const settled = await settle(sel.id, proposed);
+      out.betslip_result = settled?.betslip?.result ?? null;
+    }
+    return out;
+  }
+
+  async function runOnce({ dryRun: dry = dryRun } = {}) {
+    if (running) return { skipped: true, reason: "already running" };
+    running = true;
+    const started = now();
+    try {
+      // La duración mínima acota la consulta; cada deporte se filtra después
+      const minDuration = Math.min(...Object.values(MATCH_DURATION_MINUTES));
+      const candidates = await storage.listDueSelections({
+        startedBefore: new Date(started.getTime() - minDuration * MINUTE).toISOString(),
+        now: started.toISOString(),
+        limit: batchSize,
+      });
+      const due = candidates.filter(sel => {
+        const end = expectedEnd(sel);
+        return end && end <= started;
+      });
+
+      const slips = new Map();
+      const items = [];
+      for (const sel of due) {
+        if (!slips.has(sel.betslip_id)) slips.set(sel.betslip_id, await storage.getBetslip(sel.betslip_id));
+        items.push(await processSelection(sel, slips.get(sel.betslip_id), { dry }));
+      }
+
+      const count = action => items.filter(i => i.action === action).length;
+      lastRun = {
+        started_at: started.toISOString(),
+        finished_at: now().toISOString(),
+        dry_run: dry,
+        checked: items.length,
+        auto_settled: count("auto_settled"),
+        pending_confirmation: count("pending_confirmation"),
+        retry: count("retry"),
+        exhausted: count("exhausted"),
+        items,
+      };
+      return lastRun;
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    runOnce,
+
+    start() {
+      if (timer) return;
+      const tick = () => runOnce().catch(e => console.error("[settlement] run error:", e.message));
+      timer = setInterval(tick, intervalMinutes * MINUTE);
+      timer.unref?.();
+      tick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    status() {
+      return {
+        enabled: Boolean(timer),
+        running,
+        dry_run: dryRun,
+        auto_confidence: autoConfidence,
+        interval_minutes: intervalMinutes,
+        max_attempts: maxAttempts,
+        last_run: lastRun,
+      };
+    },
+  };
+}
@@ -0,0 +1,63 @@
+// =====================
+// Tickets en varias capturas: une lo extraído de cada imagen en orden y quita las piernas
+// repetidas donde las capturas se solapan (o que ya estaban en el ticket).
+// =====================
+import { legParts } from "./duplicates.js";
+
+// Casa, tipo y condiciones suelen ir en la cabecera; los totales, al pie (manda la última captura)
+const HEADER_FIRST = ["bookmaker", "tipo_apuesta", "each_way", "condiciones_colocado", "apuesta_gratis", "cuota_mejorada"];
+const HEADER_LAST = ["importe", "cuota_total", "ganancia_potencial", "cash_out"];
+const SELECTION_FIELDS = ["partido", "torneo", "fecha_hora_texto", "mercado", "apuesta", "cuota", "casa_apuestas", "bookmaker_id"];
+
+// En los indicadores (each_way, apuesta_gratis) false también cuenta como vacío
+const blank = v => v === null || typeof v === "undefined" || v === "" || v === false;
+
+// ¿Misma pierna? Lo que falta en una de las dos (captura cortada) no cuenta como diferencia
+export function sameLeg(a, b) {
+  const x = legParts(a), y = legParts(b);
+  if (!x.sides || x.sides !== y.sides) return false;
+  return ["market", "side", "price"].every(k => !x[k] || !y[k] || x[k] === y[k]);
+}
+
+// Completa los campos vacíos de `target` con los de `source` (y su confianza)
+function fillMissing(target, source) {
+  for (const f of SELECTION_FIELDS) {
+    if (!blank(target[f]) || blank(source[f])) continue;
+    target[f] = source[f];
+    if (source.confianza?.[f] !== undefined) target.confianza = { ...target.confianza, [f]: source.confianza[f] };
+  }
+}
+
+/**
+ * `parts`: extracciones validadas, una por imagen y en orden. `preview(sel)` da la pierna
+ * normalizada para comparar; `existing`, las piernas ya guardadas del ticket.
+ * Devuelve { parsed, skipped } con el payload unido y cuántas piernas se descartaron.
+ */
+export function mergeExtractions(parts, { preview, existing = [] }) {
+  const parsed = { ...parts[0] };
+  for (const f of HEADER_FIRST) parsed[f] = parts.map(p => p[f]).find(v => !blank(v)) ?? null;
+  for (const f of HEADER_LAST) parsed[f] = parts.map(p => p[f]).reverse().find(v => !blank(v)) ?? null;
+
+  const kept = [];
+  let skipped = 0;
+  parts.forEach((part, image) => {
+    for (const sel of part.selections) {
+      const leg = preview(sel);
+      if (existing.some(e => sameLeg(e, leg))) {
+        skipped++;
+        continue;
+      }
+      // Dentro de una misma captura no se deduplica: dos piernas iguales serían del ticket
+      const twin = kept.find(k => k.image !== image && sameLeg(k.leg, leg));
+      if (twin) {
+        fillMissing(twin.sel, sel);
+        twin.leg = preview(twin.sel);
+        skipped++;
+        continue;
+      }
+      kept.push({ sel: { ...sel }, leg, image });
+    }
+  });
+  parsed.selections = kept.map(k => k.sel);
+  return { parsed, skipped };
+}
@@ -0,0 +1,72 @@
+// =====================
+// Condiciones del ticket además del stake: cash out (total o parcial), each way con sus
+// condiciones de colocado, apuesta gratis (el stake no se devuelve) y cuota mejorada.
+// Columnas de betslips; settlement.js las aplica al calcular pago y beneficio.
+// =====================
+import { parseAmount } from "./betTypes.js";
+import { parseOdds } from "./odds.js";
+
+export const TERM_FIELDS = [
+  "cash_out_amount", "cash_out_stake", "cashed_out_at",
+  "each_way", "place_fraction", "place_places", "free_bet", "boosted_odds",
+];
+
+const num = v => (v === null || typeof v === "undefined" || v === "" || !Number.isFinite(Number(v))) ? null : Number(v);
+const yes = v => v === true || /^(true|si|sí|yes|1)$/i.test(String(v ?? "").trim());
+
+// Lo que necesita la liquidación, desde una fila de betslips
+export function slipTerms(slip) {
+  return {
+    each_way: Boolean(slip?.each_way),
+    place_fraction: num(slip?.place_fraction),
+    free_bet: Boolean(slip?.free_bet),
+    boosted_odds: num(slip?.boosted_odds),
+    cash_out_amount: num(slip?.cash_out_amount),
+    cash_out_stake: num(slip?.cash_out_stake),
+  };
+}
+
+// Cash out de todo el stake (sin `cash_out_stake` o con uno que lo cubre): el ticket se cierra
+export function isFullCashOut(terms, stake) {
+  if (!terms || terms.cash_out_amount === null || typeof terms.cash_out_amount === "undefined") return false;
+  const s = Number(stake);
+  return terms.cash_out_stake === null || typeof terms.cash_out_stake === "undefined" || !(s > terms.cash_out_stake);
+}
+
+/**
+ * Condiciones de colocado: "1/5 odds, 3 places", "1/4 cuota 1-2-3", "0.2" ->
+ * { place_fraction, place_places } (null lo que no aparezca).
+ */
+export function parsePlaceTerms(text) {
+  const out = { place_fraction: null, place_places: null };
+  if (text === null || typeof text === "undefined") return out;
+  const t = String(text).toLowerCase();
+  const frac = t.match(/\b(\d)\s*\/\s*(\d)\b/);
+  if (frac && Number(frac[2]) > 0) out.place_fraction = Math.round((Number(frac[1]) / Number(frac[2])) * 10000) / 10000;
+  else if (/^\s*0?[.,]\d+\s*$/.test(t)) out.place_fraction = Number(t.trim().replace(",", "."));
+  const places = t.match(/\b(\d{1,2})\s*(places?|puestos?|plazas?|posiciones|positions?)\b/);
+  const podium = t.match(/\b1(?:\s*-\s*\d{1,2})+\b/);
+  if (places) out.place_places = Number(places[1]);
+  else if (podium) out.place_places = podium[0].split("-").length;
+  return out;
+}
+
+/**
+ * Condiciones leídas del ticket (extractor o parsers de texto): cash_out, each_way,
+ * condiciones_colocado, apuesta_gratis y cuota_mejorada -> columnas de betslips.
+ */
+export function extractedTerms(parsed, { odds_format = null } = {}) {
+  const place = parsePlaceTerms(parsed?.condiciones_colocado);
+  const each_way = yes(parsed?.each_way) || place.place_fraction !== null;
+  const cash_out_amount = parseAmount(parsed?.cash_out);
+  return {
+    each_way,
+    place_fraction: each_way ? place.place_fraction : null,
+    place_places: each_way ? place.place_places : null,
+    free_bet: yes(parsed?.apuesta_gratis),
+    boosted_odds: parseOdds(parsed?.cuota_mejorada, odds_format).decimal,
+    cash_out_amount,
+    cash_out_stake: null,
+    cashed_out_at: cash_out_amount !== null ? new Date().toISOString() : null,
+  };
+}
@@ -0,0 +1,130 @@
+// =====================
+// Estadísticas del tipster (ROI, yield, acierto, rachas, curva)
+// =====================
+import { normalizeSelectionResult, outcomeForWholeSlip, combinedOdds } from "./settlement.js";
+import { slipTerms } from "./slipTerms.js";
+
+export const STATS_GROUPS = ["tournament", "market", "market_code", "bookmaker", "sport", "month"];
+const SELECTION_FILTERS = ["tournament", "market", "market_code", "bookmaker", "sport"];
+
+const round2 = n => Math.round(n * 100) / 100;
+const lower = v => (v === null || typeof v === "undefined") ? "" : String(v).toLowerCase().trim();
+const isWin = r => r === "won" || r === "half_won";
+const isLoss = r => r === "lost" || r === "half_lost";
+
+// Ticket -> { result, stake, profit, odds, date }. Sin stake se cuenta 1 unidad; una apuesta
+// gratis no cuenta como volumen apostado.
+export function slipPerformance(slip) {
+  const legs = slip.bet_selections || [];
+  const result = slip.result === "cashed_out"
+    ? "cashed_out"
+    : normalizeSelectionResult(slip.result) || normalizeSelectionResult(slip.resultado) || "pending";
+  const hasStake = Number.isFinite(Number(slip.stake)) && slip.stake !== null && Number(slip.stake) > 0;
+  const stake = hasStake ? Number(slip.stake) : 1;
+  // En sistemas la cuota guardada es la efectiva; no vale el producto de piernas
+  const odds = Number(slip.combined_odds) > 0 ? Number(slip.combined_odds) : combinedOdds(legs);
+
+  let profit = null;
+  if (result !== "pending") {
+    if (hasStake && Number.isFinite(Number(slip.profit)) && slip.profit !== null) profit = Number(slip.profit);
+    // Sin stake real lo cobrado en un cash out no se puede llevar a unidades
+    else profit = outcomeForWholeSlip(result, odds, stake, { ...slipTerms(slip), cash_out_amount: null }).profit;
+  }
+  return {
+    betslip_id: slip.id,
+    result,
+    stake: slip.free_bet ? 0 : stake,
+    profit,
+    odds,
+    date: slip.closed_at || slip.created_at || null,
+    created_at: slip.created_at || null,
+  };
+}
+
+// El ticket entra si alguna de sus piernas cumple todos los filtros
+export function matchesSelectionFilters(slip, filters = {}) {
+  const active = SELECTION_FILTERS.filter(f => filters[f]);
+  if (active.length === 0) return true;
+  return (slip.bet_selections || []).some(sel =>
+    active.every(f => lower(sel[f]) === lower(filters[f]))
+  );
+}
+
+function groupKey(slip, groupBy) {
+  if (groupBy === "month") return (slip.created_at || "").slice(0, 7) || "unknown";
+  const values = new Set((slip.bet_selections || []).map(sel => lower(sel[groupBy]) || "unknown"));
+  if (values.size === 0) return "unknown";
+  // Combinadas con piernas de distinto grupo no se reparten entre grupos
+  return values.size === 1 ? [...values][0] : "mixed";
+}
+
+export function summarize(perfs) {
+  const counts = { won: 0, lost: 0, void: 0, half_won: 0, half_lost: 0, cashed_out: 0, pending: 0 };
+  for (const p of perfs) counts[p.result] = (counts[p.result] || 0) + 1;
+
+  const settled = perfs
+    .filter(p => p.result !== "pending" && p.profit !== null)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  // Las nulas devuelven el stake: no cuentan como volumen apostado
+  const graded = settled.filter(p => p.result !== "void");
+
+  const totalStaked = graded.reduce((acc, p) => acc + p.stake, 0);
+  const profit = settled.reduce((acc, p) => acc + p.profit, 0);
+  const wins = graded.filter(p => isWin(p.result)).length;
+  const withOdds = graded.filter(p => p.odds !== null);
+
+  let winStreak = 0, lossStreak = 0, curWin = 0, curLoss = 0;
+  for (const p of graded) {
+    if (isWin(p.result)) { curWin++; curLoss = 0; }
+    else if (isLoss(p.result)) { curLoss++; curWin = 0; }
+    else { curWin = 0; curLoss = 0; }
+    winStreak = Math.max(winStreak, curWin);
+    lossStreak = Math.max(lossStreak, curLoss);
+  }
+
+  let cumulative = 0;
+  const profitCurve = settled.map(p => {
+    cumulative += p.profit;
+    return { date: p.date, betslip_id: p.betslip_id, profit: round2(p.profit), cumulative: round2(cumulative) };
+  });
+
+  return {
+    slips: perfs.length,
+    open: counts.pending,
+    settled: settled.length,
+    results: counts,
+    total_staked: round2(totalStaked),
+    profit: round2(profit),
+    roi: totalStaked > 0 ? Math.round((profit / totalStaked) * 10000) / 10000 : null,
+    yield_pct: totalStaked > 0 ? round2((profit / totalStaked) * 100) : null,
+    hit_rate: graded.length > 0 ? Math.round((wins / graded.length) * 10000) / 10000 : null,
+    avg_odds: withOdds.length > 0 ? round2(withOdds.reduce((acc, p) => acc + p.odds, 0) / withOdds.length) : null,
+    longest_win_streak: winStreak,
+    longest_loss_streak: lossStreak,
+    profit_curve: profitCurve,
+  };
+}
+
+/**
+ * Calcula las estadísticas de una lista de tickets (con `bet_selections`).
+ * `filters` admite tournament, market, market_code, bookmaker y sport; `groupBy` uno de STATS_GROUPS.
+ */
+export function computeTipsterStats(slips, { filters = {}, groupBy = null } = {}) {
+  const filtered = (slips || []).filter(s => matchesSelectionFilters(s, filters));
+  const stats = summarize(filtered.map(slipPerformance));
+  if (!groupBy) return stats;
+
+  const groups = new Map();
+  for (const slip of filtered) {
+    const key = groupKey(slip, groupBy);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(slipPerformance(slip));
+  }
+  const breakdown = [...groups.entries()]
+    .map(([key, perfs]) => {
+      const { profit_curve, ...rest } = summarize(perfs);
+      return { key, ...rest };
+    })
+    .sort((a, b) => b.profit - a.profit);
+  return { ...stats, group_by: groupBy, breakdown };
+}
@@ -0,0 +1,22 @@
+// =====================
+// Selección del backend de almacenamiento por configuración
+//   STORAGE_DRIVER=supabase|memory (por defecto supabase; sin credenciales no arranca)
+//   MEMORY_STORAGE_FILE=./data/local-db.json (opcional, persistencia del driver memory)
+// =====================
+import { createSupabaseStorage } from "./supabase.js";
+import { createMemoryStorage } from "./memory.js";
+
+export const STORAGE_DRIVERS = ["supabase", "memory"];
+
+export function createStorage(env = process.env) {
+  const key = env.SUPABASE_KEY || env.SUPABASE_SERVICE_ROLE;
+  const driver = (env.STORAGE_DRIVER || "supabase").toLowerCase();
+
+  if (driver === "supabase") {
+    return createSupabaseStorage({ url: env.SUPABASE_URL, key, bucket: env.SUPABASE_BUCKET || "betslips" });
+  }
+  if (driver === "memory") {
+    return createMemoryStorage({ file: env.MEMORY_STORAGE_FILE || null });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${STORAGE_DRIVERS.join(" | ")})`);
+}
@@ -0,0 +1,270 @@
+// =====================
+// Repositorio en memoria (desarrollo local y tests).
+// Con `file` se vuelca a un JSON tras cada escritura y se recarga al arrancar.
+// =====================
+import { randomUUID } from "node:crypto";
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { matchesListFilters, hasLegFilters, compareSlips } from "../listing.js";
+
+// Clave natural de las tablas sin id propio
+const KEYS = {
+  exchange_rates: r => `${r.currency}@${r.date}`,
+  tipster_settings: r => String(r.tipster_id),
+};
+const keyOf = (table, row) => KEYS[table] ? KEYS[table](row) : (row.id ?? row.key);
+
+const clone = v => (v === null || typeof v === "undefined") ? null : structuredClone(v);
+
+export function createMemoryStorage({ file = null } = {}) {
+  const db = {
+    betslips: new Map(),
+    bet_selections: new Map(),
+    fixture_cache: new Map(),
+    parse_jobs: new Map(),
+    exchange_rates: new Map(),
+    tipster_settings: new Map(),
+    audit_log: new Map(),
+    ai_usage: new Map(),
+    participants: new Map(),
+  };
+
+  if (file && existsSync(file)) {
+    const saved = JSON.parse(readFileSync(file, "utf8"));
+    for (const table of Object.keys(db)) {
+      for (const row of saved[table] || []) db[table].set(keyOf(table, row), row);
+    }
+  }
+  const persist = () => {
+    if (!file) return;
+    const out = {};
+    for (const [table, rows] of Object.entries(db)) out[table] = [...rows.values()];
+    writeFileSync(file, JSON.stringify(out, null, 2));
+  };
+
+  const insert = (table, row) => {
+    const full = { id: randomUUID(), created_at: new Date().toISOString(), ...clone(row) };
+    db[table].set(full.id, full);
+    persist();
+    return clone(full);
+  };
+  const update = (table, id, patch) => {
+    const row = db[table].get(id);
+    if (!row) return null;
+    Object.assign(row, clone(patch));
+    persist();
+    return clone(row);
+  };
+
+  return {
+    driver: "memory",
+
+    // ----- betslips -----
+    async insertBetslip(row) {
+      return insert("betslips", { result: "pending", ...row });
+    },
+
+    async getBetslip(id) {
+      return clone(db.betslips.get(id));
+    },
+
+    async updateBetslip(id, patch) {
+      return update("betslips", id, patch);
+    },
+
+    async listBetslips({ tipster_id, from, to, ascending = false } = {}) {
+      const rows = [...db.betslips.values()].filter(s =>
+        String(s.tipster_id) === String(tipster_id) &&
+        (!from || s.created_at >= from) &&
+        (!to || s.created_at <= to)
+      );
+      rows.sort((a, b) => ascending
+        ? a.created_at.localeCompare(b.created_at)
+        : b.created_at.localeCompare(a.created_at));
+      return rows.map(clone);
+    },
+
+    // Página del listado (lib/listing.js); `after` es la fila del cursor
+    async pageBetslips({ tipster_id, filters = {}, sort = "created_at", order = "desc", limit = 50, after = null }) {
+      const legsBySlip = new Map();
+      if (hasLegFilters(filters)) {
+        for (const sel of db.bet_selections.values()) {
+          if (!legsBySlip.has(sel.betslip_id)) legsBySlip.set(sel.betslip_id, []);
+          legsBySlip.get(sel.betslip_id).push(sel);
+        }
+      }
+      const rows = [...db.betslips.values()].filter(s =>
+        String(s.tipster_id) === String(tipster_id) &&
+        (!after || compareSlips(s, after, { sort, order }) > 0) &&
+        matchesListFilters({ ...s, bet_selections: legsBySlip.get(s.id) || [] }, filters)
+      );
+      rows.sort((a, b) => compareSlips(a, b, { sort, order }));
+      return rows.slice(0, limit).map(clone);
+    },
+
+    async deleteBetslip(id) {
+      for (const sel of [...db.bet_selections.values()]) {
+        if (sel.betslip_id === id) db.bet_selections.delete(sel.id);
+      }
+      db.betslips.delete(id);
+      persist();
+    },
+
+    // ----- bet_selections -----
+    async insertSelection(row) {
+      return insert("bet_selections", { result: "pending", ...row });
+    },
+
+    async getSelection(id) {
+      return clone(db.bet_selections.get(id));
+    },
+
+    async updateSelection(id, patch) {
+      return update("bet_selections", id, patch);
+    },
+
+    async listSelections(betslipIds) {
+      const ids = new Set(betslipIds || []);
+      return [...db.bet_selections.values()].filter(s => ids.has(s.betslip_id)).map(clone);
+    },
+
+    async settleSelection(id, result) {
+      const settled_at = result === "pending" ? null : new Date().toISOString();
+      return this.updateSelection(id, { result, settled_at });
+    },
+
+    // Cola de revisión del tipster, con los datos del ticket en `betslip`
+    async listReviewQueue({ tipster_id, limit = 100 }) {
+      const out = [];
+      for (const sel of db.bet_selections.values()) {
+        if (!sel.needs_review) continue;
+        const slip = db.betslips.get(sel.betslip_id);
+        if (!slip || String(slip.tipster_id) !== String(tipster_id)) continue;
+        out.push({
+          ...clone(sel),
+          betslip: {
+            id: slip.id,
+            tipster_id: slip.tipster_id,
+            created_at: slip.created_at,
+            source_image_url: slip.source_image_url ?? null,
+            source_text: slip.source_text ?? null
+          }
+        });
+      }
+      out.sort((a, b) => a.created_at.localeCompare(b.created_at));
+      return out.slice(0, limit);
+    },
+
+    // Pendientes ya empezadas que la liquidación automática debe mirar
+    async listDueSelections({ startedBefore, now, limit = 25 }) {
+      return [...db.bet_selections.values()]
+        .filter(s => s.result === "pending" && s.start_time_utc && s.start_time_utc <= startedBefore)
+        .filter(s => !s.settlement_status || (s.settlement_status === "retry" && s.next_check_at <= now))
+        .sort((a, b) => a.start_time_utc.localeCompare(b.start_time_utc))
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    // ----- fixture_cache -----
+    async getFixtureCache(key) {
+      return clone(db.fixture_cache.get(key));
+    },
+
+    async putFixtureCache(row) {
+      db.fixture_cache.set(row.key, clone(row));
+      persist();
+    },
+
+    async deleteFixtureCache(matchKey) {
+      for (const [key, row] of db.fixture_cache) {
+        if (row.match_key === matchKey) db.fixture_cache.delete(key);
+      }
+      persist();
+    },
+
+    // ----- parse_jobs -----
+    async insertJob(row) {
+      return insert("parse_jobs", row);
+    },
+
+    async getJob(id) {
+      return clone(db.parse_jobs.get(id));
+    },
+
+    async updateJob(id, patch) {
+      return update("parse_jobs", id, patch);
+    },
+
+    async listJobs({ statuses } = {}) {
+      return [...db.parse_jobs.values()]
+        .filter(j => !statuses || statuses.includes(j.status))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(clone);
+    },
+
+    // ----- exchange_rates / tipster_settings -----
+    async upsertExchangeRates(rows) {
+      for (const row of rows) db.exchange_rates.set(keyOf("exchange_rates", row), clone(row));
+      persist();
+    },
+
+    async listExchangeRates() {
+      return [...db.exchange_rates.values()].map(clone);
+    },
+
+    async getTipsterSettings(tipster_id) {
+      return clone(db.tipster_settings.get(String(tipster_id)));
+    },
+
+    async upsertTipsterSettings(row) {
+      const key = keyOf("tipster_settings", row);
+      const full = { ...db.tipster_settings.get(key), ...clone(row) };
+      db.tipster_settings.set(key, full);
+      persist();
+      return clone(full);
+    },
+
+    // ----- participants (ediciones sobre data/participants.json) -----
+    async listParticipants() {
+      return [...db.participants.values()].map(clone);
+    },
+
+    async upsertParticipant(row) {
+      db.participants.set(row.id, clone(row));
+      persist();
+      return clone(row);
+    },
+
+    // ----- audit_log (solo inserción) -----
+    async insertAudit(row) {
+      return insert("audit_log", row);
+    },
+
+    async listAudit(betslip_id) {
+      return [...db.audit_log.values()]
+        .filter(e => e.betslip_id === betslip_id)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(clone);
+    },
+
+    // ----- ai_usage (solo inserción) -----
+    async insertUsage(row) {
+      return insert("ai_usage", row);
+    },
+
+    // `from` incluido, `to` excluido (timestamps ISO)
+    async listUsage({ from = null, to = null, tipster_id = null } = {}) {
+      return [...db.ai_usage.values()]
+        .filter(u => (!tipster_id || String(u.tipster_id) === String(tipster_id))
+          && (!from || u.created_at >= from) && (!to || u.created_at < to))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(clone);
+    },
+
+    // ----- ficheros -----
+    async createUploadUrl() {
+      const err = new Error("uploads are not supported by the memory storage driver");
+      err.status = 501;
+      throw err;
+    },
+  };
+}
@@ -0,0 +1,236 @@
+// =====================
+// Repositorio sobre Supabase (tablas betslips / bet_selections)
+// =====================
+import { createClient } from "@supabase/supabase-js";
+import { LEG_FILTERS } from "../listing.js";
+
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+// Los ids son uuid: con otro texto Postgres falla ("invalid input syntax for type uuid").
+// Un id así no existe, igual que con el driver en memoria, y la ruta responde 404.
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const isUuid = v => UUID.test(String(v ?? ""));
+
+// Valores literales dentro de or=(...) de PostgREST
+const quote = v => `"${String(v).replace(/(["\\])/g, "\\$1")}"`;
+// ilike sin comodines: igualdad sin distinguir mayúsculas
+const escapeLike = v => String(v).replace(/[\\%_]/g, m => `\\${m}`);
+
+// Filas posteriores a `after` en el orden pedido (nulos al final, id como desempate)
+function cursorFilter(after, sort, order) {
+  const op = order === "asc" ? "gt" : "lt";
+  const id = quote(after.id);
+  if (after[sort] === null || typeof after[sort] === "undefined") return `and(${sort}.is.null,id.${op}.${id})`;
+  const v = quote(after[sort]);
+  return `${sort}.${op}.${v},and(${sort}.eq.${v},id.${op}.${id}),${sort}.is.null`;
+}
+
+export function createSupabaseStorage({ url, key, bucket = "betslips" }) {
+  if (!url || !key) throw new Error("Supabase credentials are required");
+  const supabase = createClient(url, key);
+
+  return {
+    driver: "supabase",
+
+    // ----- betslips -----
+    async insertBetslip(row) {
+      return unwrap(await supabase.from("betslips").insert(row).select("*").single());
+    },
+
+    async getBetslip(id) {
+      if (!isUuid(id)) return null;
+      return unwrap(await supabase.from("betslips").select("*").eq("id", id).maybeSingle());
+    },
+
+    async updateBetslip(id, patch) {
+      if (!isUuid(id)) return null;
+      return unwrap(await supabase.from("betslips").update(patch).eq("id", id).select("*").maybeSingle());
+    },
+
+    async listBetslips({ tipster_id, from, to, ascending = false } = {}) {
+      let query = supabase.from("betslips").select("*").eq("tipster_id", tipster_id);
+      if (from) query = query.gte("created_at", from);
+      if (to)   query = query.lte("created_at", to);
+      return unwrap(await query.order("created_at", { ascending })) || [];
+    },
+
+    // Página del listado (lib/listing.js); los filtros de pierna van con un join interno
+    async pageBetslips({ tipster_id, filters = {}, sort = "created_at", order = "desc", limit = 50, after = null }) {
+      const legFilters = LEG_FILTERS.filter(f => filters[f]);
+      let query = supabase.from("betslips")
+        .select(legFilters.length ? "*, bet_selections!inner(id)" : "*")
+        .eq("tipster_id", tipster_id);
+      for (const f of legFilters) query = query.ilike(`bet_selections.${f}`, escapeLike(filters[f]));
+
+      const { status, from, to, min_odds, max_odds } = filters;
+      if (status === "open") query = query.or("result.is.null,result.eq.pending");
+      else if (status === "settled" || status === "closed") query = query.not("result", "is", null).neq("result", "pending");
+      else if (status) query = query.eq("result", status);
+      if (from) query = query.gte("created_at", from);
+      if (to) query = query.lte("created_at", to);
+      if (min_odds != null) query = query.gte("combined_odds", min_odds);
+      if (max_odds != null) query = query.lte("combined_odds", max_odds);
+      if (after) query = query.or(cursorFilter(after, sort, order));
+
+      const rows = unwrap(await query
+        .order(sort, { ascending: order === "asc", nullsFirst: false })
+        .order("id", { ascending: order === "asc" })
+        .limit(limit)) || [];
+      return rows.map(({ bet_selections, ...slip }) => slip);
+    },
+
+    async deleteBetslip(id) {
+      if (!isUuid(id)) return;
+      unwrap(await supabase.from("bet_selections").delete().eq("betslip_id", id));
+      unwrap(await supabase.from("betslips").delete().eq("id", id));
+    },
+
+    // ----- bet_selections -----
+    async insertSelection(row) {
+      return unwrap(await supabase.from("bet_selections").insert(row).select("*").single());
+    },
+
+    async getSelection(id) {
+      if (!isUuid(id)) return null;
+      return unwrap(await supabase.from("bet_selections").select("*").eq("id", id).maybeSingle());
+    },
+
+    async updateSelection(id, patch) {
+      if (!isUuid(id)) return null;
+      return unwrap(await supabase.from("bet_selections").update(patch).eq("id", id).select("*").maybeSingle());
+    },
+
+    async listSelections(betslipIds) {
+      const ids = (betslipIds || []).filter(isUuid);
+      if (ids.length === 0) return [];
+      return unwrap(await supabase.from("bet_selections").select("*").in("betslip_id", ids)) || [];
+    },
+
+    async settleSelection(id, result) {
+      const settled_at = result === "pending" ? null : new Date().toISOString();
+      return this.updateSelection(id, { result, settled_at });
+    },
+
+    // Cola de revisión del tipster, con los datos del ticket en `betslip`
+    async listReviewQueue({ tipster_id, limit = 100 }) {
+      return unwrap(await supabase.from("bet_selections")
+        .select("*, betslip:betslips!inner(id, tipster_id, created_at, source_image_url, source_text)")
+        .eq("needs_review", true)
+        .eq("betslip.tipster_id", tipster_id)
+        .order("created_at", { ascending: true })
+        .limit(limit)) || [];
+    },
+
+    // Pendientes ya empezadas que la liquidación automática debe mirar
+    async listDueSelections({ startedBefore, now, limit = 25 }) {
+      return unwrap(await supabase.from("bet_selections").select("*")
+        .eq("result", "pending")
+        .lte("start_time_utc", startedBefore)
+        .or(`settlement_status.is.null,and(settlement_status.eq.retry,next_check_at.lte.${now})`)
+        .order("start_time_utc", { ascending: true })
+        .limit(limit)) || [];
+    },
+
+    // ----- fixture_cache -----
+    async getFixtureCache(key) {
+      return unwrap(await supabase.from("fixture_cache").select("*").eq("key", key).maybeSingle());
+    },
+
+    async putFixtureCache(row) {
+      unwrap(await supabase.from("fixture_cache").upsert(row, { onConflict: "key" }));
+    },
+
+    async deleteFixtureCache(matchKey) {
+      unwrap(await supabase.from("fixture_cache").delete().eq("match_key", matchKey));
+    },
+
+    // ----- parse_jobs -----
+    async insertJob(row) {
+      return unwrap(await supabase.from("parse_jobs").insert(row).select("*").single());
+    },
+
+    async getJob(id) {
+      if (!isUuid(id)) return null;
+      return unwrap(await supabase.from("parse_jobs").select("*").eq("id", id).maybeSingle());
+    },
+
+    async updateJob(id, patch) {
+      if (!isUuid(id)) return null;
+      return unwrap(await supabase.from("parse_jobs").update(patch).eq("id", id).select("*").maybeSingle());
+    },
+
+    async listJobs({ statuses } = {}) {
+      let query = supabase.from("parse_jobs").select("*");
+      if (statuses) query = query.in("status", statuses);
+      return unwrap(await query.order("created_at", { ascending: true })) || [];
+    },
+
+    // ----- exchange_rates / tipster_settings -----
+    async upsertExchangeRates(rows) {
+      if (rows.length === 0) return;
+      unwrap(await supabase.from("exchange_rates").upsert(rows, { onConflict: "currency,date" }));
+    },
+
+    async listExchangeRates() {
+      return unwrap(await supabase.from("exchange_rates").select("currency, date, rate").order("date")) || [];
+    },
+
+    async getTipsterSettings(tipster_id) {
+      return unwrap(await supabase.from("tipster_settings").select("*").eq("tipster_id", tipster_id).maybeSingle());
+    },
+
+    async upsertTipsterSettings(row) {
+      return unwrap(await supabase.from("tipster_settings").upsert(row, { onConflict: "tipster_id" }).select("*").single());
+    },
+
+    // ----- participants (ediciones sobre data/participants.json) -----
+    async listParticipants() {
+      return unwrap(await supabase.from("participants").select("id, name, sport, aliases")) || [];
+    },
+
+    async upsertParticipant(row) {
+      return unwrap(await supabase.from("participants").upsert(row, { onConflict: "id" }).select("*").single());
+    },
+
+    // ----- audit_log (solo inserción) -----
+    async insertAudit(row) {
+      return unwrap(await supabase.from("audit_log").insert(row).select("*").single());
+    },
+
+    async listAudit(betslip_id) {
+      if (!isUuid(betslip_id)) return [];
+      return unwrap(await supabase.from("audit_log").select("*").eq("betslip_id", betslip_id)
+        .order("created_at", { ascending: true }).order("seq", { ascending: true })) || [];
+    },
+
+    // ----- ai_usage (solo inserción) -----
+    async insertUsage(row) {
+      return unwrap(await supabase.from("ai_usage").insert(row).select("*").single());
+    },
+
+    // `from` incluido, `to` excluido; por páginas para no quedarse en el máximo de filas de PostgREST
+    async listUsage({ from = null, to = null, tipster_id = null } = {}) {
+      const PAGE = 1000;
+      const rows = [];
+      for (let offset = 0; ; offset += PAGE) {
+        let query = supabase.from("ai_usage").select("*");
+        if (tipster_id) query = query.eq("tipster_id", tipster_id);
+        if (from) query = query.gte("created_at", from);
+        if (to) query = query.lt("created_at", to);
+        const page = unwrap(await query.order("created_at", { ascending: true }).range(offset, offset + PAGE - 1)) || [];
+        rows.push(...page);
+        if (page.length < PAGE) return rows;
+      }
+    },
+
+    // ----- ficheros -----
+    async createUploadUrl(filename) {
+      const data = unwrap(await supabase.storage.from(bucket).createSignedUploadUrl(filename));
+      const publicUrl = `${url}/storage/v1/object/public/${bucket}/${filename.split("/").map(encodeURIComponent).join("/")}`;
+      return { uploadUrl: data.signedUrl, publicUrl };
+    },
+  };
+}
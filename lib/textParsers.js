@@ -0,0 +1,197 @@
+// =====================
+// Parsers deterministas para tickets compartidos como texto.
+// Devuelven el mismo payload que el extractor OCR: {bookmaker, tipo_apuesta, importe,
+// cuota_total, ganancia_potencial, selections[]} o null si el formato no encaja.
+// =====================
+import { fold } from "./markets.js";
+import { findBookmaker } from "./bookmakers.js";
+
+const MATCH_SEP = /\s+(?:v|vs\.?|versus|-|–|—|@)\s+/i;
+const ODDS = String.raw`(\d+(?:[.,]\d+)?|\d+\/\d+|[+-]\d{3,})`;
+const DATE_LINE = /(\d{1,2}[\/\-.]\d{1,2}(?:[\/\-.]\d{2,4})?\s+\d{1,2}:\d{2})|\b(hoy|mañana|today|tomorrow|lun|mar|mié|mie|jue|vie|sáb|sab|dom|mon|tue|wed|thu|fri|sat|sun)\b.*\d{1,2}:\d{2}/i;
+
+const TOTALS = [
+  { key: "importe", re: /^(?:importe|stake|apostado|apuesta total|total stake|stake total)\s*[:\-]?\s*(.+)$/i },
+  { key: "cuota_total", re: /^(?:cuota total|cuotas totales|total odds|cuota combinada|odds(?! boost))\s*[:\-]?\s*(.+)$/i },
+  { key: "ganancia_potencial", re: /^(?:ganancia potencial|posibles ganancias|ganancias potenciales|potential returns?|to return|retorno potencial|pago potencial)\s*[:\-]?\s*(.+)$/i },
+  // Cash out ya cobrado (no el que se ofrece)
+  { key: "cash_out", re: /^(?:cash ?out(?! disponible| available)|cobrado|importe cobrado)\s*[:\-]?\s*(.+)$/i },
+  { key: "cuota_mejorada", re: /^(?:cuota mejorada|cuota aumentada|supercuota|boosted odds|odds boost|price boost)\s*[:\-]?\s*(.+)$/i },
+  { key: "condiciones_colocado", re: /^(?:condiciones de colocado|place terms)\s*[:\-]?\s*(.+)$/i },
+];
+// Indicadores sin valor: la línea basta ("Each way 1/5 3 puestos", "Apuesta gratis")
+const EACH_WAY_LINE = /^(?:each[ -]way|e\/w|cada v[ií]a|ganador y colocado)\b\s*[:\-]?\s*(.*)$/i;
+const FREE_BET_LINE = /^(?:apuesta gratis|free ?bet)\b/i;
+const BET_TYPE_LINE = /^(simple|single|combinada|parlay|acumulada|accumulator|m[uú]ltiple|double|doble|treble|triple|trixie|patent|yankee|lucky ?\d{2}|canadian|super yankee|heinz|super heinz|goliath|sistema\s*\d\s*\/\s*\d|system\s*\d\s*\/\s*\d|\d\s*\/\s*\d)\b/i;
+
+const splitLines = text => String(text || "")
+  .replace(/\r/g, "")
+  .split("\n")
+  .map(l => l.replace(/\s+/g, " ").trim());
+
+const isMatchLine = l => MATCH_SEP.test(l) && !new RegExp(`@\\s*${ODDS}\\s*$`).test(l) && l.length <= 120;
+
+// Nombre canónico de la casa mencionada en el texto (ver bookmakers.js)
+export function detectBookmakerInText(text) {
+  return findBookmaker(text)?.name || null;
+}
+
+// Línea que es solo el nombre de la casa ("Bet365")
+function isBookmakerLine(line) {
+  const profile = findBookmaker(line);
+  return Boolean(profile) && [profile.id, ...profile.aliases].map(fold).includes(fold(line));
+}
+
+// Totales y tipo de apuesta, comunes a todos los formatos
+function readSlipHeader(lines) {
+  const out = {
+    tipo_apuesta: null, importe: null, cuota_total: null, ganancia_potencial: null,
+    cash_out: null, cuota_mejorada: null, condiciones_colocado: null, each_way: false, apuesta_gratis: false,
+  };
+  for (const line of lines) {
+    for (const { key, re } of TOTALS) {
+      const m = line.match(re);
+      if (m && out[key] === null) out[key] = m[1].trim();
+    }
+    const ew = line.match(EACH_WAY_LINE);
+    if (ew) {
+      out.each_way = true;
+      if (ew[1] && out.condiciones_colocado === null) out.condiciones_colocado = ew[1].trim();
+    }
+    if (FREE_BET_LINE.test(line)) out.apuesta_gratis = true;
+    const bt = line.match(BET_TYPE_LINE);
+    if (bt && out.tipo_apuesta === null) out.tipo_apuesta = bt[1];
+  }
+  return out;
+}
+
+const isHeaderLine = line =>
+  TOTALS.some(({ re }) => re.test(line)) || BET_TYPE_LINE.test(line) || EACH_WAY_LINE.test(line) ||
+  FREE_BET_LINE.test(line) || isBookmakerLine(line);
+
+/**
+ * Formato "pick @ cuota" (Bet365, Bwin y la mayoría de apps al compartir):
+ *   Real Madrid v Barcelona
+ *   Resultado final
+ *   Real Madrid @ 1.85
+ */
+export function parseAtOddsFormat(text) {
+  const lines = splitLines(text);
+  const pickRe = new RegExp(`^(.+?)\\s*@\\s*${ODDS}$`);
+  const selections = [];
+
+  lines.forEach((line, i) => {
+    const m = line.match(pickRe);
+    if (!m) return;
+    let partido = null, mercado = null, fecha = null;
+    // Contexto hacia atrás hasta la pierna anterior o una línea vacía
+    for (let j = i - 1; j >= 0 && lines[j] && !pickRe.test(lines[j]); j--) {
+      const prev = lines[j];
+      if (!fecha && DATE_LINE.test(prev)) { fecha = prev; continue; }
+      if (isMatchLine(prev)) { partido = prev; break; }
+      if (!mercado && !isHeaderLine(prev)) mercado = prev;
+    }
+    // La fecha suele ir justo después de la cuota
+    const next = lines[i + 1];
+    if (!fecha && next && DATE_LINE.test(next) && !isMatchLine(next)) fecha = next;
+    if (!partido) return;
+    selections.push({
+      partido,
+      torneo: null,
+      fecha_hora_texto: fecha,
+      mercado,
+      apuesta: m[1].trim(),
+      cuota: m[2],
+    });
+  });
+
+  return selections.length ? selections : null;
+}
+
+/**
+ * Una línea por pierna separada por barras (formato típico de tipsters / Codere):
+ *   Real Madrid - Barcelona | 1X2 | Real Madrid | 1,85 | 26/10/2025 16:15
+ */
+export function parsePipeFormat(text) {
+  const selections = [];
+  for (const line of splitLines(text)) {
+    const parts = line.split("|").map(p => p.trim()).filter(Boolean);
+    if (parts.length < 4 || !isMatchLine(parts[0])) continue;
+    const oddsIdx = parts.findIndex((p, i) => i >= 2 && new RegExp(`^${ODDS}$`).test(p));
+    if (oddsIdx < 0) continue;
+    const rest = parts.slice(oddsIdx + 1);
+    selections.push({
+      partido: parts[0],
+      torneo: null,
+      fecha_hora_texto: rest.find(p => DATE_LINE.test(p)) || null,
+      mercado: oddsIdx >= 3 ? parts[1] : null,
+      apuesta: parts[oddsIdx - 1],
+      cuota: parts[oddsIdx],
+    });
+  }
+  return selections.length ? selections : null;
+}
+
+/**
+ * Bloques con etiquetas (ES/EN), separados por línea vacía:
+ *   Partido: Real Madrid - Barcelona
+ *   Competición: LaLiga
+ *   Mercado: 1X2
+ *   Selección: Real Madrid
+ *   Cuota: 1,85
+ */
+const LABELS = {
+  partido: /^(?:partido|evento|event|match)\s*:\s*(.+)$/i,
+  torneo: /^(?:competici[oó]n|torneo|liga|tournament|competition|league)\s*:\s*(.+)$/i,
+  fecha_hora_texto: /^(?:fecha|hora|inicio|date|kick[- ]?off|start)\s*:\s*(.+)$/i,
+  mercado: /^(?:mercado|market|tipo)\s*:\s*(.+)$/i,
+  apuesta: /^(?:selecci[oó]n|apuesta|pron[oó]stico|pick|selection|bet)\s*:\s*(.+)$/i,
+  cuota: new RegExp(`^(?:cuota|odds|price)\\s*:\\s*${ODDS}$`, "i"),
+};
+
+export function parseLabeledFormat(text) {
+  const selections = [];
+  let current = {};
+  const flush = () => {
+    if (current.partido && current.cuota) selections.push({ torneo: null, fecha_hora_texto: null, mercado: null, apuesta: null, ...current });
+    current = {};
+  };
+  for (const line of splitLines(text)) {
+    if (!line) { flush(); continue; }
+    for (const [field, re] of Object.entries(LABELS)) {
+      const m = line.match(re);
+      if (!m) continue;
+      if (field === "partido" && current.partido) flush();
+      current[field] = m[1].trim();
+      break;
+    }
+  }
+  flush();
+  return selections.length ? selections : null;
+}
+
+export const TEXT_PARSERS = {
+  labeled: parseLabeledFormat,
+  pipe: parsePipeFormat,
+  at_odds: parseAtOddsFormat,
+};
+
+/**
+ * Prueba los parsers en orden. Devuelve { parser, payload } o null si ninguno encaja.
+ */
+export function parseSlipText(text) {
+  const lines = splitLines(text);
+  for (const [parser, fn] of Object.entries(TEXT_PARSERS)) {
+    const selections = fn(text);
+    if (!selections) continue;
+    return {
+      parser,
+      payload: {
+        bookmaker: detectBookmakerInText(text),
+        ...readSlipHeader(lines),
+        selections,
+      },
+    };
+  }
+  return null;
+}
@@ -0,0 +1,132 @@
+// =====================
+// Consumo de IA: cada llamada al modelo queda en `ai_usage` con modelo, tokens, búsquedas web,
+// coste estimado, tipster y ruta. La ruta y el tipster salen del contexto de la petición (o del
+// trabajo/worker que la lanza) sin pasarlos por todas las funciones.
+// =====================
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// USD por millón de tokens (entrada / salida)
+export const DEFAULT_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+};
+// USD por búsqueda web
+export const DEFAULT_WEB_SEARCH_PRICE = 0.025;
+
+const round6 = n => Math.round(n * 1e6) / 1e6;
+
+/**
+ * AI_PRICES: JSON `{ "<modelo>": { "input": usd_por_millón, "output": usd_por_millón } }` que
+ * se mezcla con los precios por defecto. Un JSON inválido se ignora con un aviso.
+ */
+export function parsePrices(spec) {
+  if (!spec) return { ...DEFAULT_PRICES };
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(spec) };
+  } catch {
+    console.warn("[usage] AI_PRICES is not valid JSON: using default prices");
+    return { ...DEFAULT_PRICES };
+  }
+}
+
+// Coste estimado en USD; un modelo sin precio solo cuenta las búsquedas
+export function estimateCost(usage, { prices = DEFAULT_PRICES, webSearchPrice = DEFAULT_WEB_SEARCH_PRICE } = {}) {
+  const price = prices[usage?.model] || { input: 0, output: 0 };
+  const tokens = (Number(usage?.input_tokens) || 0) * price.input + (Number(usage?.output_tokens) || 0) * price.output;
+  return round6(tokens / 1e6 + (Number(usage?.tool_calls) || 0) * webSearchPrice);
+}
+
+// Inicio del día UTC de `date` y del siguiente (las cuotas diarias se reinician a las 00:00 UTC)
+export function utcDay(date = new Date()) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return { start: start.toISOString(), end: new Date(start.getTime() + 86400000).toISOString() };
+}
+
+function addTo(bucket, row) {
+  bucket.calls += 1;
+  bucket.input_tokens += Number(row.input_tokens) || 0;
+  bucket.output_tokens += Number(row.output_tokens) || 0;
+  bucket.tool_calls += Number(row.tool_calls) || 0;
+  bucket.cost_usd = round6(bucket.cost_usd + (Number(row.cost_usd) || 0));
+}
+
+const emptyBucket = () => ({ calls: 0, input_tokens: 0, output_tokens: 0, tool_calls: 0, cost_usd: 0 });
+
+/**
+ * Agrega filas de `ai_usage`: totales y desglose por tipster, ruta y modelo
+ * (ordenados por coste, de mayor a menor).
+ */
+export function usageReport(rows) {
+  const totals = emptyBucket();
+  const groups = { tipster_id: new Map(), route: new Map(), model: new Map() };
+  for (const row of rows || []) {
+    addTo(totals, row);
+    for (const [field, map] of Object.entries(groups)) {
+      const key = row[field] ?? null;
+      if (!map.has(key)) map.set(key, { [field]: key, ...emptyBucket() });
+      addTo(map.get(key), row);
+    }
+  }
+  const list = map => [...map.values()].sort((a, b) => b.cost_usd - a.cost_usd || b.calls - a.calls);
+  return {
+    totals,
+    by_tipster: list(groups.tipster_id),
+    by_route: list(groups.route),
+    by_model: list(groups.model),
+  };
+}
+
+/**
+ * Medidor de consumo.
+ * - `run(ctx, fn)`: ejecuta `fn` con contexto `{ route, tipster_id }` (trabajos y worker).
+ * - `middleware`: abre el contexto de cada petición; ruta y tipster se leen al registrar.
+ * - `record(method, usage)`: guarda una llamada; los fallos de escritura solo se avisan.
+ * - `today(tipster_id)`: llamadas y coste del día UTC en curso.
+ */
+export function createUsageMeter(storage, { prices = DEFAULT_PRICES, webSearchPrice = DEFAULT_WEB_SEARCH_PRICE } = {}) {
+  const als = new AsyncLocalStorage();
+
+  function current() {
+    const ctx = als.getStore() || {};
+    const req = ctx.req;
+    const tipster_id = ctx.tipster_id ?? req?.auth?.tipster_id ?? req?.body?.tipster_id ?? req?.query?.tipster_id ?? null;
+    const route = ctx.route ?? (req ? (req.route?.path || req.path) : null);
+    return { tipster_id: tipster_id === null ? null : String(tipster_id), route };
+  }
+
+  return {
+    run(ctx, fn) {
+      return als.run(ctx, fn);
+    },
+
+    middleware(req, _res, next) {
+      als.run({ req }, next);
+    },
+
+    async record(method, usage) {
+      const { tipster_id, route } = current();
+      const row = {
+        tipster_id,
+        route: route || "unknown",
+        method,
+        model: usage?.model || null,
+        input_tokens: Number(usage?.input_tokens) || 0,
+        output_tokens: Number(usage?.output_tokens) || 0,
+        tool_calls: Number(usage?.tool_calls) || 0,
+        cost_usd: estimateCost(usage, { prices, webSearchPrice }),
+      };
+      try {
+        return await storage.insertUsage(row);
+      } catch (e) {
+        console.warn("[usage] could not record AI usage:", e.message || e);
+        return null;
+      }
+    },
+
+    async today(tipster_id) {
+      const { start, end } = utcDay();
+      const { totals } = usageReport(await storage.listUsage({ tipster_id: String(tipster_id), from: start, to: end }));
+      return { calls: totals.calls, cost_usd: totals.cost_usd, resets_at: end };
+    },
+  };
+}
@@ -0,0 +1,33 @@
+-- Esquema base de tickets y selecciones (Supabase / Postgres)
+create extension if not exists pgcrypto;
+
+create table if not exists betslips (
+  id               uuid primary key default gen_random_uuid(),
+  tipster_id       text not null,
+  source_image_url text,
+  parsed_at        timestamptz,
+  created_at       timestamptz not null default now(),
+  stake            numeric,
+  currency         text,
+  resultado        text,
+  resultado_texto  text,
+  closed_at        timestamptz
+);
+
+create index if not exists betslips_tipster_created_idx on betslips (tipster_id, created_at desc);
+
+create table if not exists bet_selections (
+  id              uuid primary key default gen_random_uuid(),
+  betslip_id      uuid not null references betslips (id) on delete cascade,
+  created_at      timestamptz not null default now(),
+  match           text,
+  tournament      text,
+  start_time_utc  timestamptz,
+  start_time_text text,
+  market          text,
+  pick            text,
+  odds            numeric,
+  bookmaker       text
+);
+
+create index if not exists bet_selections_betslip_idx on bet_selections (betslip_id);
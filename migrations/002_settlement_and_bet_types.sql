@@ -0,0 +1,20 @@
+-- Liquidación por selección, estadísticas por deporte y tipo de apuesta
+alter table bet_selections
+  add column if not exists sport      text,
+  add column if not exists result     text not null default 'pending'
+    check (result in ('pending', 'won', 'lost', 'void', 'half_won', 'half_lost')),
+  add column if not exists settled_at timestamptz;
+
+alter table betslips
+  add column if not exists result           text not null default 'pending',
+  add column if not exists payout           numeric,
+  add column if not exists profit           numeric,
+  add column if not exists bet_type         text check (bet_type in ('single', 'accumulator', 'system')),
+  add column if not exists system_name      text,
+  add column if not exists system_sizes     jsonb,
+  add column if not exists lines            integer,
+  add column if not exists combined_odds    numeric,
+  add column if not exists potential_return numeric,
+  add column if not exists printed_odds     numeric,
+  add column if not exists printed_return   numeric,
+  add column if not exists odds_mismatch    boolean not null default false;
@@ -0,0 +1,3 @@
+-- Tickets ingeridos como texto pegado (/parse-text)
+alter table betslips
+  add column if not exists source_text text;
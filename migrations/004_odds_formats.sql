@@ -0,0 +1,5 @@
+-- Cuota original del ticket (texto y formato detectado); `odds` queda siempre en decimal
+alter table bet_selections
+  add column if not exists odds_text   text,
+  add column if not exists odds_format text
+    check (odds_format in ('decimal', 'fractional', 'american', 'hongkong', 'malay', 'indonesian'));
@@ -0,0 +1,8 @@
+-- Mercado canónico y pick estructurado (lib/markets.js)
+alter table bet_selections
+  add column if not exists market_code      text,
+  add column if not exists pick_side        text,
+  add column if not exists pick_line        numeric,
+  add column if not exists pick_participant text;
+
+create index if not exists bet_selections_market_code_idx on bet_selections (market_code);
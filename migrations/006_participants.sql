@@ -0,0 +1,8 @@
+-- Participantes canónicos de cada selección (lib/entities.js)
+alter table bet_selections
+  add column if not exists home_id   text,
+  add column if not exists away_id   text,
+  add column if not exists home_name text,
+  add column if not exists away_name text;
+
+create index if not exists bet_selections_fixture_idx on bet_selections (home_id, away_id, start_time_utc);
@@ -0,0 +1,14 @@
+-- Caché de partidos verificados por búsqueda web (lib/fixtureCache.js)
+create table if not exists fixture_cache (
+  key        text primary key,          -- match_key + "@" + ventana de fechas
+  match_key  text not null,             -- deporte:participantes ordenados
+  sport      text,
+  tournament text,
+  start_iso  timestamptz,
+  tz         text,
+  source_url text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists fixture_cache_match_idx on fixture_cache (match_key);
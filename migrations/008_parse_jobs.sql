@@ -0,0 +1,21 @@
+-- Trabajos de parseo asíncronos (lib/jobs.js)
+create table if not exists parse_jobs (
+  id              uuid primary key default gen_random_uuid(),
+  kind            text not null check (kind in ('image', 'text')),
+  tipster_id      text not null,
+  payload         jsonb not null,
+  status          text not null default 'queued'
+    check (status in ('queued', 'running', 'succeeded', 'failed')),
+  attempts        integer not null default 0,
+  progress        jsonb,
+  rows            jsonb,
+  betslip_id      uuid references betslips (id) on delete set null,
+  error           text,
+  callback_url    text,
+  callback_status text,
+  created_at      timestamptz not null default now(),
+  updated_at      timestamptz,
+  finished_at     timestamptz
+);
+
+create index if not exists parse_jobs_status_idx on parse_jobs (status, created_at);
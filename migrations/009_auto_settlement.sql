@@ -0,0 +1,14 @@
+-- Liquidación automática (lib/settlementWorker.js): resultado propuesto y control de reintentos
+alter table bet_selections add column if not exists settlement_status   text
+  check (settlement_status in ('retry', 'pending_confirmation', 'auto_settled', 'confirmed', 'rejected', 'exhausted', 'skipped'));
+alter table bet_selections add column if not exists proposed_result     text;
+alter table bet_selections add column if not exists result_confidence   numeric;
+alter table bet_selections add column if not exists result_score        text;
+alter table bet_selections add column if not exists result_sources      jsonb;
+alter table bet_selections add column if not exists result_checked_at   timestamptz;
+alter table bet_selections add column if not exists settlement_attempts integer not null default 0;
+alter table bet_selections add column if not exists settlement_error    text;
+alter table bet_selections add column if not exists next_check_at       timestamptz;
+
+create index if not exists bet_selections_due_idx
+  on bet_selections (start_time_utc) where result = 'pending';
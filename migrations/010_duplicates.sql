@@ -0,0 +1,8 @@
+-- Detección de duplicados (lib/duplicates.js)
+alter table betslips add column if not exists image_hash            text;  -- dHash 64 bits en hex
+alter table betslips add column if not exists selection_fingerprint text;  -- sha1 de las piernas normalizadas
+
+create index if not exists betslips_tipster_fingerprint_idx on betslips (tipster_id, selection_fingerprint);
+
+-- Un trabajo que se detiene por duplicado guarda aquí el ticket existente
+alter table parse_jobs add column if not exists duplicate jsonb;
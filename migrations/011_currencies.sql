@@ -0,0 +1,13 @@
+-- Monedas: tipos de cambio fechados (unidades por 1 EUR) y moneda base por tipster (lib/currency.js)
+create table if not exists exchange_rates (
+  currency   text not null,
+  date       date not null,
+  rate       numeric not null check (rate > 0),
+  primary key (currency, date)
+);
+
+create table if not exists tipster_settings (
+  tipster_id    text primary key,
+  base_currency text not null default 'EUR',
+  updated_at    timestamptz not null default now()
+);
@@ -0,0 +1,34 @@
+-- Registro de cambios manuales (lib/audit.js). Solo inserción: sin FK para que el
+-- historial sobreviva al borrado del ticket.
+create table if not exists audit_log (
+  id                uuid primary key default gen_random_uuid(),
+  seq               bigint generated always as identity,
+  betslip_id        uuid not null,
+  tipster_id        text,
+  entity            text not null check (entity in ('betslip', 'selection')),
+  entity_id         uuid not null,
+  action            text not null,
+  actor_role        text,
+  actor_id          text,
+  changes           jsonb,             -- { campo: { old, new } }
+  before            jsonb,             -- fila completa en los borrados
+  suspicious        boolean not null default false,
+  suspicious_reason text,
+  note              text,
+  created_at        timestamptz not null default now()
+);
+
+create index if not exists audit_log_betslip_idx on audit_log (betslip_id, created_at, seq);
+
+-- Nadie puede reescribir el historial
+create or replace function audit_log_append_only() returns trigger as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists audit_log_no_update on audit_log;
+create trigger audit_log_no_update before update or delete on audit_log
+  for each row execute function audit_log_append_only();
+
+alter table betslips add column if not exists edited_after_start boolean not null default false;
@@ -0,0 +1,7 @@
+-- Fechas del ticket (lib/dates.js): zona horaria del tipster y confianza/origen de la hora
+alter table tipster_settings add column if not exists timezone text;
+
+alter table bet_selections add column if not exists start_time_confidence numeric
+  check (start_time_confidence is null or (start_time_confidence >= 0 and start_time_confidence <= 1));
+alter table bet_selections add column if not exists start_time_source text
+  check (start_time_source is null or start_time_source in ('ticket', 'web', 'manual'));
@@ -0,0 +1,7 @@
+-- Listado paginado (lib/listing.js): orden por campo + id dentro de cada tipster
+create index if not exists betslips_tipster_created_id_idx on betslips (tipster_id, created_at desc, id desc);
+-- El de 001 (sin id) es prefijo de este y sobra
+drop index if exists betslips_tipster_created_idx;
+create index if not exists betslips_tipster_odds_idx on betslips (tipster_id, combined_odds, id);
+create index if not exists betslips_tipster_stake_idx on betslips (tipster_id, stake, id);
+create index if not exists betslips_tipster_result_idx on betslips (tipster_id, result);
@@ -0,0 +1,17 @@
+-- Confianza y procedencia por campo (lib/review.js) y cola de revisión.
+-- Sustituye a start_time_confidence / start_time_source de 013.
+alter table bet_selections add column if not exists field_confidence jsonb not null default '{}'::jsonb;
+alter table bet_selections add column if not exists field_source     jsonb not null default '{}'::jsonb;
+alter table bet_selections add column if not exists needs_review     boolean not null default false;
+alter table bet_selections add column if not exists review_fields    jsonb not null default '[]'::jsonb;
+alter table bet_selections add column if not exists reviewed_at      timestamptz;
+
+update bet_selections
+   set field_confidence = jsonb_build_object('start_time_utc', start_time_confidence),
+       field_source     = jsonb_build_object('start_time_utc', start_time_source)
+ where start_time_confidence is not null;
+
+alter table bet_selections drop column if exists start_time_confidence;
+alter table bet_selections drop column if exists start_time_source;
+
+create index if not exists bet_selections_review_idx on bet_selections (created_at) where needs_review;
@@ -0,0 +1,7 @@
+-- Tickets en varias capturas (lib/slipMerge.js): todas las imágenes en orden,
+-- [{ url, image_hash, position }]. source_image_url / image_hash siguen siendo la primera.
+alter table betslips add column if not exists source_images jsonb;
+
+update betslips
+   set source_images = jsonb_build_array(jsonb_build_object('url', source_image_url, 'image_hash', image_hash, 'position', 0))
+ where source_images is null and source_image_url is not null;
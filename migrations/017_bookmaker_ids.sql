@@ -0,0 +1,38 @@
+-- Casa canónica de cada selección (perfiles de lib/bookmakers.js).
+alter table bet_selections add column if not exists bookmaker_id text;
+create index if not exists bet_selections_bookmaker_idx on bet_selections (bookmaker_id);
+
+-- Las que ya coinciden con un alias pasan al id y al nombre canónico.
+-- Copia puntual de los alias de lib/bookmakers.js al crear la migración; no se mantiene al día.
+-- El emparejamiento en ejecución usa solo lib/bookmakers.js.
+update bet_selections s
+   set bookmaker_id = m.id,
+       bookmaker    = m.name
+  from (values
+  ('bet365', 'Bet365', 'bet365'),
+  ('bet365', 'Bet365', 'bet 365'),
+  ('bet365', 'Bet365', 'b365'),
+  ('codere', 'Codere', 'codere'),
+  ('bwin', 'Bwin', 'bwin'),
+  ('bwin', 'Bwin', 'bwin.es'),
+  ('betfair', 'Betfair', 'betfair'),
+  ('betfair', 'Betfair', 'betfair exchange'),
+  ('betfair', 'Betfair', 'betfair sportsbook'),
+  ('williamhill', 'William Hill', 'williamhill'),
+  ('williamhill', 'William Hill', 'william hill'),
+  ('williamhill', 'William Hill', 'will hill'),
+  ('sportium', 'Sportium', 'sportium'),
+  ('888sport', '888sport', '888sport'),
+  ('888sport', '888sport', '888 sport'),
+  ('luckia', 'Luckia', 'luckia'),
+  ('marcaapuestas', 'MARCA Apuestas', 'marcaapuestas'),
+  ('marcaapuestas', 'MARCA Apuestas', 'marca apuestas'),
+  ('betway', 'Betway', 'betway'),
+  ('pokerstars', 'PokerStars', 'pokerstars'),
+  ('pokerstars', 'PokerStars', 'pokerstars sports'),
+  ('retabet', 'Retabet', 'retabet'),
+  ('kirolbet', 'Kirolbet', 'kirolbet'),
+  ('paf', 'Paf', 'paf')
+  ) as m(id, name, alias)
+ where s.bookmaker_id is null
+   and lower(trim(s.bookmaker)) = m.alias;
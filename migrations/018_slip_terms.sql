@@ -0,0 +1,12 @@
+-- Condiciones del ticket (lib/slipTerms.js): cash out, each way, apuesta gratis y cuota mejorada.
+alter table betslips add column if not exists cash_out_amount numeric;
+alter table betslips add column if not exists cash_out_stake  numeric;
+alter table betslips add column if not exists cashed_out_at   timestamptz;
+alter table betslips add column if not exists each_way        boolean not null default false;
+alter table betslips add column if not exists place_fraction  numeric;
+alter table betslips add column if not exists place_places    integer;
+alter table betslips add column if not exists free_bet        boolean not null default false;
+alter table betslips add column if not exists boosted_odds    numeric;
+
+-- En each way, si la pierna quedó colocada
+alter table bet_selections add column if not exists placed boolean;
@@ -0,0 +1,20 @@
+-- Consumo de IA por llamada (lib/usage.js) y cuotas diarias por tipster.
+create table if not exists ai_usage (
+  id            uuid primary key default gen_random_uuid(),
+  created_at    timestamptz not null default now(),
+  tipster_id    text,
+  route         text not null,
+  method        text not null,
+  model         text,
+  input_tokens  integer not null default 0,
+  output_tokens integer not null default 0,
+  tool_calls    integer not null default 0,
+  cost_usd      numeric not null default 0
+);
+
+create index if not exists ai_usage_tipster_created_idx on ai_usage (tipster_id, created_at);
+create index if not exists ai_usage_created_idx on ai_usage (created_at);
+
+-- Cuotas propias del tipster; null usa AI_DAILY_CALLS_PER_TIPSTER / AI_DAILY_COST_PER_TIPSTER
+alter table tipster_settings add column if not exists ai_daily_calls integer;
+alter table tipster_settings add column if not exists ai_daily_cost  numeric;
@@ -0,0 +1,9 @@
+-- Altas y alias de participantes hechos con POST /participants (lib/entities.js).
+-- data/participants.json es la semilla; estas filas se aplican encima al arrancar.
+create table if not exists participants (
+  id         text primary key,
+  name       text not null,
+  sport      text,
+  aliases    jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
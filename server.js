@@ -1,27 +1,131 @@
 import express from "express";
 import cors from "cors";
-import OpenAI from "openai";
-import { createClient } from "@supabase/supabase-js";
+import { createStorage } from "./lib/storage/index.js";
+import { createAiProvider } from "./lib/ai/index.js";
+import {
+  SELECTION_RESULTS,
+  normalizeSelectionResult,
+  deriveSlipOutcome,
+  outcomeForWholeSlip
+} from "./lib/settlement.js";
+import { computeTipsterStats } from "./lib/stats.js";
+import {
+  validate,
+  formatIssues,
+  extractorPayload,
+  uploadUrlBody,
+  parseRowsBody,
+  parseTextBody,
+  updateSelectionBody,
+  updateStakeBody,
+  updateBetslipBody,
+  cashOutBody,
+  closeBetslipBody,
+  settleSelectionBody,
+  deleteBetslipBody,
+  participantBody,
+  participantsQuery,
+  listBetslipsQuery,
+  betslipQuery,
+  reviewQueueQuery,
+  reviewQueueBody,
+  tipsterStatsQuery,
+  checkResultQuery,
+  debugEnrichQuery,
+  settlementProposalsQuery,
+  confirmSettlementBody,
+  settlementRunBody,
+  exportBetslipsQuery,
+  importBetslipsBody,
+  exchangeRatesBody,
+  exchangeRatesQuery,
+  tipsterSettingsQuery,
+  tipsterSettingsBody,
+  usageReportQuery,
+  usageQuotaBody,
+  betslipHistoryQuery,
+  revertChangeBody
+} from "./lib/schemas.js";
+import { parseSlipText } from "./lib/textParsers.js";
+import { parseOdds, fromDecimal } from "./lib/odds.js";
+import { isMarketLabel, normalizeMarket } from "./lib/markets.js";
+import { BOOKMAKERS, findBookmaker, bookmakerHint, applyBookmakerProfile } from "./lib/bookmakers.js";
+import { createEntityResolver } from "./lib/entities.js";
+import { createFixtureCache, fixtureMatchKey, dateWindow } from "./lib/fixtureCache.js";
+import { createJobQueue } from "./lib/jobs.js";
+import { createCallbackPolicy, parseCallbackHosts } from "./lib/callbacks.js";
+import { createSettlementWorker } from "./lib/settlementWorker.js";
+import { imageHash, selectionFingerprint, findDuplicate } from "./lib/duplicates.js";
+import { mergeExtractions } from "./lib/slipMerge.js";
+import { createAuth, assertOwner } from "./lib/auth.js";
+import { createAuditLog } from "./lib/audit.js";
+import { detectCurrency, createFxTable, readRatesFile } from "./lib/currency.js";
+import { parseTicketDate, isValidTimeZone } from "./lib/dates.js";
+import { extractedConfidence, fieldProvenance, reviewFlags, manualProvenance, REVIEW_FIELDS } from "./lib/review.js";
+import { historySheets, historyCsv, historyXlsx, parseImportCsv } from "./lib/history.js";
+import { matchesStatus, encodeCursor, decodeCursor } from "./lib/listing.js";
+import { detectBetType, computeSlipOdds, checkPrintedTotals, parseAmount } from "./lib/betTypes.js";
+import { TERM_FIELDS, slipTerms, extractedTerms, parsePlaceTerms } from "./lib/slipTerms.js";
+import { createUsageMeter, parsePrices, usageReport, utcDay, DEFAULT_WEB_SEARCH_PRICE } from "./lib/usage.js";
+import { createRateLimiter } from "./lib/limiter.js";
 
 // =====================
 // Config
 // =====================
 const app = express();
-app.use(cors({ origin: true }));
+
+// Solo los orígenes de CORS_ORIGINS (separados por comas) pueden llamar desde el navegador
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, exposedHeaders: ["X-Next-Cursor", "X-Skipped-Legs", "Retry-After", "X-RateLimit-Limit", "X-RateLimit-Remaining"] }));
 app.use(express.json({ limit: "25mb" }));
 
+const auth = createAuth({
+  apiKeys: process.env.API_KEYS || "",
+  jwtSecret: process.env.JWT_SECRET || null,
+  disabled: (process.env.AUTH_DISABLED || "false").toLowerCase() === "true"
+});
+if (!auth.enabled) console.warn("[auth] AUTH_DISABLED=true: every request is treated as admin");
+else if (!process.env.API_KEYS && !process.env.JWT_SECRET) console.warn("[auth] no API_KEYS or JWT_SECRET configured: all requests will be rejected");
+
 const USE_WEB = (process.env.USE_WEB_ENRICH || "false").toLowerCase() === "true";
 
-if (!process.env.OPENAI_API_KEY) throw new Error("OPENAI_API_KEY is required");
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
-if (!process.env.SUPABASE_URL || !(process.env.SUPABASE_KEY || process.env.SUPABASE_SERVICE_ROLE)) {
-  throw new Error("Supabase credentials are required");
-}
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY || process.env.SUPABASE_SERVICE_ROLE
-);
+const storage = createStorage();
+console.log(`[storage] driver: ${storage.driver}`);
+
+const entities = createEntityResolver({ file: process.env.ENTITIES_FILE || "data/participants.json", storage });
+
+// Cada llamada al modelo se mide (lib/usage.js); las rutas con IA pasan por aiGuard
+const usage = createUsageMeter(storage, {
+  prices: parsePrices(process.env.AI_PRICES),
+  webSearchPrice: Number(process.env.AI_WEB_SEARCH_PRICE || DEFAULT_WEB_SEARCH_PRICE)
+});
+const ai = createAiProvider(process.env, { onUsage: usage.record });
+console.log(`[ai] provider: ${ai.name}`);
+
+const aiRateLimiter = createRateLimiter({
+  limit: Number(process.env.AI_RATE_LIMIT || 30),
+  windowMs: Number(process.env.AI_RATE_WINDOW_SECONDS || 60) * 1000
+});
+const optionalLimit = v => (v === undefined || v === "" || !Number.isFinite(Number(v))) ? null : Number(v);
+const AI_DAILY_CALLS = optionalLimit(process.env.AI_DAILY_CALLS_PER_TIPSTER);
+const AI_DAILY_COST = optionalLimit(process.env.AI_DAILY_COST_PER_TIPSTER);
+
+const fx = createFxTable(storage);
+const audit = createAuditLog(storage);
+const DEFAULT_BASE_CURRENCY = process.env.DEFAULT_BASE_CURRENCY || "EUR";
+const DEFAULT_TIMEZONE = isValidTimeZone(process.env.DEFAULT_TIMEZONE) ? process.env.DEFAULT_TIMEZONE : "Europe/Madrid";
+// Por debajo de esta confianza la hora del ticket se contrasta en la web
+const TICKET_TIME_MIN_CONFIDENCE = Number(process.env.TICKET_TIME_MIN_CONFIDENCE || 0.8);
+// Selecciones con algún campo por debajo de este umbral van a la cola de revisión
+const REVIEW_THRESHOLD = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || 0.7);
+// Confianza de los campos que el extractor no puntúa (los parsers deterministas dan 1)
+const EXTRACTOR_DEFAULT_CONFIDENCE = 0.8;
+
+const fixtureCache = createFixtureCache(storage, {
+  ttlHours: Number(process.env.FIXTURE_CACHE_TTL_HOURS || 24),
+  negativeTtlHours: Number(process.env.FIXTURE_CACHE_NEGATIVE_TTL_HOURS || 2)
+});
 
 // =====================
 // Helpers comunes
@@ -32,35 +136,6 @@ function cleanPartido(input) {
   return input.replace(/%20/g, " ").replace(/\s+/g, " ").trim();
 }
 
-function searchVariantsFor(partido) {
-  const base = partido;
-  const noInitials = partido.replace(/\b[A-Z]\.\s*/g, "").replace(/\s+/g, " ").trim();
-  const swapped = noInitials.includes(" vs ") ? noInitials.split(" vs ").reverse().join(" vs ") : noInitials;
-  const set = new Set([base, noInitials, swapped]);
-  return Array.from(set);
-}
-
-function toISOFromES(text) {
-  if (!text) return null;
-  const m = text.match(/(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})\s+(\d{1,2}):(\d{2})/);
-  if (!m) return null;
-  const [, d, M, y, h, min] = m.map(Number);
-  const local = new Date(y, M - 1, d, h, min, 0, 0);
-  return new Date(local.getTime() - local.getTimezoneOffset() * 60000).toISOString();
-}
-
-function resolveRelativeDate(text) {
-  if (!text) return null;
-  const lower = text.toLowerCase();
-  const hm = text.match(/(\d{1,2}):(\d{2})/);
-  if (!hm) return null;
-  const [, h, m] = hm.map(Number);
-  const now = new Date();
-  let local = new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m, 0, 0);
-  if (/mañana/.test(lower)) local = new Date(local.getTime() + 24 * 60 * 60 * 1000);
-  return new Date(local.getTime() - local.getTimezoneOffset() * 60000).toISOString();
-}
-
 function cleanBookmaker(name, tipsterId) {
   if (!name) return null;
   const n = ("" + name).toLowerCase().trim();
@@ -69,6 +144,21 @@ function cleanBookmaker(name, tipsterId) {
   return name;
 }
 
+// Casa de cada pierna (la suya, la del ticket o `profile`, la indicada en la petición) con su
+// perfil aplicado: nombre canónico, bookmaker_id y reglas de mercados y fechas del operador
+function applyBookmakers(parsed, { tipster_id, profile = null }) {
+  const slipName = cleanBookmaker(parsed.bookmaker, tipster_id);
+  const slipProfile = slipName ? findBookmaker(slipName) : profile;
+  const selections = parsed.selections.map(sel => {
+    const own = cleanBookmaker(sel?.casa_apuestas, tipster_id);
+    const found = own ? findBookmaker(own) : slipProfile;
+    const out = applyBookmakerProfile(sel, found);
+    if (!found) out.casa_apuestas = own || slipName || null;
+    return out;
+  });
+  return { ...parsed, bookmaker: slipProfile?.name || slipName || null, selections };
+}
+
 async function fetchImageAsDataUrl(url) {
   const resp = await fetch(url);
   if (!resp.ok) throw new Error(`Error descargando imagen (${resp.status})`);
@@ -158,40 +248,11 @@ Formato JSON:
   "sourceUrl": "url o null"
 }`;
 
-  const r = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: "gpt-4o",
-      input: prompt,
-      tools: [{ type: "web_search", user_location: { type: "approximate", country: "ES", timezone: "Europe/Madrid" } }],
-      tool_choice: "auto",
-      temperature: 0.1
-    })
-  });
-
-  if (!r.ok) {
-    const t = await r.text();
-    console.error("[verified enrich] HTTP", r.status, t);
-    return { tournament:null,startIso:null,tz:null,sourceUrl:null };
-  }
-
-  const j = await r.json();
-  let text=""; try {
-    const out = j.output || [];
-    const msg = out.find(o=>o.type==="message") || out[out.length-1] || {};
-    text = (msg.content?.find(c=>c.type==="output_text")?.text || "").trim();
-  } catch {}
-
-  const s = text.indexOf("{"), e = text.lastIndexOf("}");
-  if (s<0 || e<=s) return { tournament:null,startIso:null,tz:null,sourceUrl:null };
-
-  const obj = JSON.parse(text.slice(s,e+1));
-  if (!obj?.sourceUrl || !obj?.startIso) return { tournament:null,startIso:null,tz:null,sourceUrl:null };
-  if (!isAllowed(obj.sourceUrl, domains)) return { tournament:null,startIso:null,tz:null,sourceUrl:null };
+  const EMPTY = { tournament:null,startIso:null,tz:null,sourceUrl:null };
+  const { text } = await ai.lookupFixture({ partido, sport, prompt });
+  const obj = safeParseJson(text || "");
+  if (!obj?.sourceUrl || !obj?.startIso) return EMPTY;
+  if (!isAllowed(obj.sourceUrl, domains)) return EMPTY;
 
   return {
     tournament: obj.tournament || null,
@@ -201,12 +262,36 @@ Formato JSON:
   };
 }
 
-async function enrichViaWeb(partido, horaTexto = null, sport = null) {
+// Clave de caché de la selección ya guardada (para invalidar al corregir la hora)
+function selectionMatchKey(sel) {
+  const teams = sel.home_id && sel.away_id ? { home: { id: sel.home_id }, away: { id: sel.away_id } } : null;
+  return fixtureMatchKey(sel.match, sel.sport || "football", teams);
+}
+
+// Si la hora de una pierna cambia a mano (edición o reversión), lo cacheado para ese partido
+// deja de ser fiable y la liquidación automática vuelve a empezar con la hora nueva
+async function startTimeChanged(before, after) {
+  if (!after || before.start_time_utc === after.start_time_utc) return;
+  await fixtureCache.invalidateMatch(selectionMatchKey(after));
+  if (after.result === "pending" && after.settlement_status) {
+    await storage.updateSelection(after.id, { settlement_status: null, settlement_attempts: 0, next_check_at: null });
+  }
+}
+
+async function enrichViaWeb(partido, dateIso = null, sport = null, teams = null) {
   if (!USE_WEB) return null;
   try {
     const inputOrder = cleanPartido(partido);
-    const found = await findFixtureVerified(partido, sport);
-    if (!found) return null;
+    const matchKey = fixtureMatchKey(inputOrder, sport, teams);
+    const key = `${matchKey}@${dateWindow(dateIso)}`;
+
+    let found = await fixtureCache.get(key);
+    const cache = found ? "hit" : "miss";
+    if (!found) {
+      found = await findFixtureVerified(partido, sport);
+      if (!found) return null;
+      await fixtureCache.put({ key, matchKey, sport, found });
+    }
     let tz = found.tz && found.tz !== "UTC" ? found.tz : inferTzFromTournament(found.tournament) || null;
     const startLocal = (found.startIso && tz) ? toLocalInTz(found.startIso, tz) : null;
     return {
@@ -216,7 +301,9 @@ async function enrichViaWeb(partido, horaTexto = null, sport = null) {
       startIso: found.startIso || null,
       confidence: found.startIso ? 0.9 : 0.0,
       sources: found.sourceUrl ? [found.sourceUrl] : [],
-      partido_input: inputOrder
+      partido_input: inputOrder,
+      cache,
+      cache_key: key
     };
   } catch (err) {
     console.error("[enrichViaWeb] error:", err.message);
@@ -227,171 +314,820 @@ async function enrichViaWeb(partido, horaTexto = null, sport = null) {
 // =====================
 // Helpers para OCR sucio
 // =====================
-function isAmbiguousDate(text) {
-  if (!text) return true;
-  const t = String(text).toLowerCase().trim();
-  const hasYear = /\b(20\d{2})\b/.test(t);
-  const hasESlike = /\b(\d{1,2})\s*(\/|-)\s*(\d{1,2})\s*(\/|-)\s*(20\d{2})\b/.test(t);
-  const hasWeekday = /\b(lun|mar|mié|mie|jue|vie|sáb|sab|dom|mon|tue|wed|thu|fri|sat|sun)\b/.test(t);
-  return (!hasYear && !hasESlike) || hasWeekday;
-}
-
+// El OCR a veces pone el mercado ("1X2", "Hándicap por sets") en el campo torneo
 function sanitizeTournamentAndMarket(torneo, mercado) {
-  const BAD_AS_TOURNAMENT = [
-    "1x2","ganador","handicap","hándicap","handicap por sets",
-    "moneyline","over/under","ou","total goles","especiales","specials"
-  ].map(s=>s.toLowerCase());
-  const tor = (torneo||"").toLowerCase().trim();
-  if (tor && BAD_AS_TOURNAMENT.includes(tor)) {
+  if (torneo && isMarketLabel(torneo)) {
     return { torneo: null, mercado: mercado || torneo };
   }
   return { torneo, mercado };
 }
 
 // =====================
-// OCR con OpenAI (imagen)
+// OCR con el proveedor de IA (imagen)
 // =====================
-async function parseImageWithOpenAI(image_url_or_data_url) {
-  const prompt = `Extrae las selecciones del ticket en JSON con campos:
+const EXTRACTION_FIELDS = `Extrae las selecciones del ticket en JSON con campos:
   partido, torneo, fecha_hora_texto, mercado, apuesta, cuota, casa_apuestas.
-  Responde SOLO con JSON: {"bookmaker":"...","selections":[...]}`;
-  const resp = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    temperature: 0.2,
-    messages: [
-      { role: "system", content: "Eres un extractor OCR+IE muy preciso." },
-      {
-        role: "user",
-        content: [
-          { type: "text", text: prompt },
-          { type: "image_url", image_url: { url: image_url_or_data_url } }
-        ]
-      }
-    ]
+  La cuota cópiala tal como aparece (1.85, 5/2, +150, 0.85...), sin convertirla.
+  Del ticket completo extrae también (null si no aparece):
+  tipo_apuesta (simple, combinada, o el sistema tal cual: Trixie, Yankee, 2/3...),
+  importe (stake total), cuota_total y ganancia_potencial impresas,
+  cash_out (importe cobrado si se cerró con cash out), each_way (true si es apuesta each way /
+  ganador y colocado) con condiciones_colocado tal cual ("1/5 3 puestos"), apuesta_gratis (true si
+  es apuesta gratis o freebet) y cuota_mejorada (supercuota o cuota aumentada).
+  En cada selección añade confianza: {"partido":0..1,"torneo":0..1,...} con lo seguro que estás de
+  cada campo (1 = se lee sin dudas; baja si está cortado, borroso o lo has deducido).
+  Responde SOLO con JSON: {"bookmaker":"...","tipo_apuesta":"...","importe":"...","cuota_total":"...","ganancia_potencial":"...","cash_out":null,"each_way":false,"condiciones_colocado":null,"apuesta_gratis":false,"cuota_mejorada":null,"selections":[...]}`;
+
+async function parseImageWithAI(image_url_or_data_url, profile = null) {
+  const { text } = await ai.extractSlip({
+    system: "Eres un extractor OCR+IE muy preciso.",
+    prompt: EXTRACTION_FIELDS + bookmakerHint(profile),
+    image: image_url_or_data_url
+  });
+  return validateExtraction(text || "{}");
+}
+
+// Texto pegado por el usuario cuando ningún parser determinista lo reconoce
+async function parseTextWithAI(ticketText, profile = null) {
+  const { text } = await ai.complete({
+    system: "Eres un extractor de información de tickets de apuestas muy preciso.",
+    prompt: `${EXTRACTION_FIELDS}${bookmakerHint(profile)}
+
+Ticket (texto compartido desde la casa de apuestas):
+"""
+${ticketText}
+"""`
+  });
+  return validateExtraction(text || "{}");
+}
+
+// Valida la salida del modelo; si no cumple el esquema, una única pasada de reparación
+async function validateExtraction(raw) {
+  const first = extractorPayload.safeParse(safeParseJson(raw));
+  if (first.success) return first.data;
+
+  const issues = formatIssues(first.error);
+  console.warn("[extractor] salida inválida, reintento de reparación:", JSON.stringify(issues));
+  const fixed = await repairExtractorOutput(raw, issues);
+  const second = extractorPayload.safeParse(safeParseJson(fixed));
+  if (second.success) return second.data;
+
+  const err = new Error("Extractor output failed validation");
+  err.status = 502;
+  err.issues = formatIssues(second.error);
+  throw err;
+}
+
+async function repairExtractorOutput(raw, issues) {
+  const { text } = await ai.complete({
+    system: "Corriges JSON para que cumpla un esquema. Responde SOLO con JSON.",
+    prompt: `Este JSON de un ticket no cumple el esquema
+{"bookmaker":string|null,"tipo_apuesta":string|null,"importe":string|null,"cuota_total":string|null,"ganancia_potencial":string|null,
+ "cash_out":string|null,"each_way":boolean|null,"condiciones_colocado":string|null,"apuesta_gratis":boolean|null,"cuota_mejorada":string|null,
+ "selections":[{"partido":string,"torneo":string|null,"fecha_hora_texto":string|null,"mercado":string|null,"apuesta":string|null,"cuota":string|null,"casa_apuestas":string|null,"confianza":{campo:number}|null}]}
+Errores: ${JSON.stringify(issues)}
+JSON original:
+${raw}`
   });
-  const raw = resp.choices?.[0]?.message?.content || "{}";
-  return safeParseJson(raw) || {};
+  return text || "{}";
 }
 
 // =====================
-// Rutas
+// Liquidación
 // =====================
-app.get("/health", (_req, res) => res.send("ok"));
+// Recalcula cuota combinada, retorno potencial y resultado del ticket a partir
+// de sus piernas y lo guarda. Un cierre manual con piernas abiertas se respeta.
+async function recomputeBetslip(betslip_id) {
+  const slip = await storage.getBetslip(betslip_id);
+  if (!slip) return null;
+  const legs = await storage.listSelections([betslip_id]);
+
+  const betType = { bet_type: slip.bet_type, system_sizes: slip.system_sizes };
+  const terms = slipTerms(slip);
+  const odds = computeSlipOdds(legs, betType, slip.stake, terms);
+  // Con cuota mejorada lo impreso es la mejorada
+  const check = checkPrintedTotals(
+    { ...odds, combined_odds: terms.boosted_odds || odds.combined_odds },
+    { odds: slip.printed_odds ?? null, return: slip.printed_return ?? null }
+  );
+
+  let outcome = deriveSlipOutcome(legs, slip.stake, betType, terms);
+  const manuallyClosed = slip.closed_at && slip.result && slip.result !== "pending";
+  if (outcome.result === "pending" && manuallyClosed) {
+    outcome = outcomeForWholeSlip(slip.result, odds.combined_odds, slip.stake, terms);
+  }
+  const settled = outcome.result !== "pending";
+
+  return storage.updateBetslip(betslip_id, {
+    combined_odds: odds.combined_odds,
+    potential_return: odds.potential_return,
+    lines: odds.lines,
+    odds_mismatch: check.odds_mismatch,
+    result: outcome.result,
+    resultado: outcome.resultado,
+    payout: outcome.payout,
+    profit: outcome.profit,
+    closed_at: settled ? (slip.closed_at || slip.cashed_out_at || new Date().toISOString()) : null
+  });
+}
 
-app.post("/upload-url", async (req, res) => {
-  const { filename } = req.body || {};
-  if (!filename) return res.status(400).json({ error: "missing filename" });
-  const bucket = process.env.SUPABASE_BUCKET || "betslips";
-  const { data, error } = await supabase.storage.from(bucket).createSignedUploadUrl(filename);
-  if (error) return res.status(500).json({ error: error.message });
-  const publicUrl = `${process.env.SUPABASE_URL}/storage/v1/object/public/${bucket}/${encodeURIComponent(filename)}`;
-  res.json({ uploadUrl: data.signedUrl, publicUrl });
-});
+// `placed`: en each way, si la pierna quedó colocada (cobra la parte colocado aunque pierda)
+async function settleSelection(selection_id, result, { placed } = {}) {
+  if (typeof placed === "boolean") await storage.updateSelection(selection_id, { placed });
+  const sel = await storage.settleSelection(selection_id, result);
+  if (!sel) return null;
+  const betslip = await recomputeBetslip(sel.betslip_id);
+  return { selection: sel, betslip };
+}
 
-app.post("/parse-rows", async (req, res) => {
-  try {
-    const { image_url, tipster_id, sport } = req.body || {};
-    if (!image_url || !tipster_id) return res.status(400).json({ error: "missing fields" });
+// Busca el resultado de un partido; con la fecha de inicio no se limita a hoy/ayer
+async function lookupMatchResult({ partido, pick = null, start_time_utc = null }) {
+  const when = start_time_utc
+    ? `que empezó el ${new Date(start_time_utc).toISOString()} (UTC)`
+    : "HOY o AYER";
+  const prompt = `Busca si el partido "${partido}" ${when} ya terminó.
+Devuelve SOLO JSON:
+{"finished":true|false,"score":"x-y|null","status":"Ganada|Perdida|Nula|Medio ganada|Medio perdida|null","confidence":0..1,"sources":["url1","url2"]}
 
-    const imageSource = image_url.startsWith("data:")
-      ? image_url
-      : await fetchImageAsDataUrl(image_url);
+Reglas:
+- Si no terminó: finished=false, el resto null.
+- Determina status respecto al pick del apostante (si se proporciona: "${pick || ""}").
+- Si no puedes determinar, status=null.`;
 
-    const parsed = await parseImageWithOpenAI(imageSource);
-    if (!Array.isArray(parsed.selections)) return res.json([]);
+  const { text } = await ai.lookupResult({ partido, pick, prompt });
+  return safeParseJson(text || "") || { finished: false, score: null, status: null, confidence: 0, sources: [] };
+}
 
-    const { data: slip, error: slipErr } = await supabase
-      .from("betslips")
-      .insert({
-        tipster_id,
-        source_image_url: image_url,
-        parsed_at: new Date().toISOString()
-      })
-      .select("id")
-      .single();
-    if (slipErr) throw slipErr;
-    const betslip_id = slip.id;
+// Ticket/selección solo si pertenecen al llamante (admin ve todo); null si no existen
+async function ownedBetslip(req, betslip_id) {
+  const slip = await storage.getBetslip(betslip_id);
+  if (slip) assertOwner(req.auth, slip.tipster_id);
+  return slip;
+}
 
-    const rows = [];
-    for (const sel of parsed.selections) {
-      let { partido, torneo, fecha_hora_texto, mercado, apuesta, cuota } = sel || {};
-      partido = cleanPartido(partido);
+async function ownedSelection(req, selection_id) {
+  const sel = await storage.getSelection(selection_id);
+  if (!sel) return null;
+  const slip = await storage.getBetslip(sel.betslip_id);
+  assertOwner(req.auth, slip?.tipster_id);
+  return sel;
+}
 
-      // corrige "1x2" mal en torneo
-      ({ torneo, mercado } = sanitizeTournamentAndMarket(torneo, mercado));
+// Registra un cambio manual hecho por el llamante
+async function auditChange(req, { slip, entity, entity_id, action, before, after, fields, legs, note }) {
+  return audit.record({
+    betslip_id: slip.id,
+    tipster_id: slip.tipster_id,
+    entity,
+    entity_id,
+    action,
+    actor: req.auth,
+    before,
+    after,
+    fields,
+    legs: legs || await storage.listSelections([slip.id]),
+    note
+  });
+}
 
-      const casa_raw = sel?.casa_apuestas || parsed.bookmaker || null;
-      const casa_apuestas = cleanBookmaker(casa_raw, tipster_id);
+// Agrupa selecciones por ticket con un Map (evita filter por cada ticket)
+async function attachSelections(slips) {
+  if (!slips || slips.length === 0) return [];
+  const selections = await storage.listSelections(slips.map(s => s.id));
+  const bySlip = new Map();
+  for (const sel of selections) {
+    if (!bySlip.has(sel.betslip_id)) bySlip.set(sel.betslip_id, []);
+    bySlip.get(sel.betslip_id).push(sel);
+  }
+  return slips.map(s => ({ ...s, bet_selections: bySlip.get(s.id) || [] }));
+}
 
-      // Hora desde imagen sólo si no es ambigua
-      let fecha_hora_iso = null;
-      if (!isAmbiguousDate(fecha_hora_texto)) {
-        fecha_hora_iso = toISOFromES(fecha_hora_texto) || resolveRelativeDate(fecha_hora_texto);
-      }
+// Añade las cuotas convertidas al formato que pide el cliente
+function withOddsDisplay(slip, format) {
+  return {
+    ...slip,
+    odds_display_format: format,
+    combined_odds_display: fromDecimal(slip.combined_odds, format),
+    bet_selections: (slip.bet_selections || []).map(sel => ({ ...sel, odds_display: fromDecimal(sel.odds, format) }))
+  };
+}
+
+// Moneda base del tipster (tipster_settings) o la global
+async function baseCurrencyFor(tipster_id) {
+  const settings = await storage.getTipsterSettings(tipster_id);
+  return settings?.base_currency || DEFAULT_BASE_CURRENCY;
+}
+
+// Zona horaria en la que el tipster lee sus tickets
+async function timeZoneFor(tipster_id) {
+  const settings = await storage.getTipsterSettings(tipster_id);
+  return settings?.timezone || DEFAULT_TIMEZONE;
+}
+
+// Añade los importes convertidos a la moneda base con el tipo de la fecha del ticket.
+// Sin moneda se asume la base; sin tipo disponible los *_base quedan a null.
+function withBaseAmounts(slip, base) {
+  const from = slip.currency || base;
+  const conv = fx.convert(1, from, base, slip.created_at);
+  const toBase = v => fx.convert(v, from, base, slip.created_at)?.amount ?? null;
+  return {
+    ...slip,
+    base_currency: base,
+    fx_rate: conv?.rate ?? null,
+    fx_date: conv?.date ?? null,
+    fx_missing: !conv,
+    stake_base: toBase(slip.stake),
+    potential_return_base: toBase(slip.potential_return),
+    payout_base: toBase(slip.payout),
+    profit_base: toBase(slip.profit)
+  };
+}
+
+// =====================
+// Ingesta: payload del extractor (imagen o texto) -> betslip + selecciones
+// =====================
+// Pierna normalizada sin enriquecimiento web: basta para comparar tickets
+function previewLeg(sel, { sport = null, odds_format = null } = {}) {
+  const partido = cleanPartido(sel?.partido);
+  const teams = entities.resolveMatch(partido, sport);
+  const { mercado } = sanitizeTournamentAndMarket(sel?.torneo, sel?.mercado);
+  return {
+    match: partido || null,
+    home_id: teams.home?.id || null,
+    away_id: teams.away?.id || null,
+    market: mercado || null,
+    pick: sel?.apuesta || null,
+    ...normalizeMarket(mercado, sel?.apuesta, partido),
+    odds: parseOdds(sel?.cuota, odds_format).decimal
+  };
+}
+
+function previewLegs(parsed, opts = {}) {
+  return parsed.selections.map(sel => previewLeg(sel, opts));
+}
+
+// `hooks.onSlip(betslip_id, total)` y `hooks.onRow(row, done, total)` informan del avance.
+// `uploaded_at` es la referencia para "hoy", "sáb" o fechas sin año del ticket;
+// `default_confidence`, la de los campos que el extractor no puntúa
+async function ingestParsedSlip(parsed, { tipster_id, sport = null, odds_format = null, source_image_url = null, source_images = null, source_text = null, image_hash = null, uploaded_at = null, default_confidence = EXTRACTOR_DEFAULT_CONFIDENCE }, hooks = {}) {
+  const betType = detectBetType(parsed.tipo_apuesta, parsed.selections.length);
+  const stake = parseAmount(parsed.importe);
+
+  const slip = await storage.insertBetslip({
+    currency: detectCurrency(parsed.importe),
+    tipster_id,
+    source_image_url,
+    source_images,
+    source_text,
+    image_hash,
+    selection_fingerprint: selectionFingerprint(previewLegs(parsed, { sport, odds_format })),
+    parsed_at: new Date().toISOString(),
+    stake,
+    bet_type: betType.bet_type,
+    system_name: betType.system_name,
+    system_sizes: betType.system_sizes,
+    lines: betType.lines,
+    printed_odds: parseOdds(parsed.cuota_total, odds_format).decimal,
+    printed_return: parseAmount(parsed.ganancia_potencial),
+    ...extractedTerms(parsed, { odds_format })
+  });
+  if (hooks.onSlip) await hooks.onSlip(slip.id, parsed.selections.length);
+
+  const rows = await insertParsedSelections(slip.id, parsed, { tipster_id, sport, odds_format, uploaded_at, default_confidence }, hooks);
+  return finishSlipRows(slip.id, rows);
+}
+
+// Campos de una pierna añadida que se guardan en el historial
+const APPENDED_LEG_FIELDS = ["match", "tournament", "start_time_utc", "market", "pick", "odds", "bookmaker"];
+
+// Solo se añaden capturas a tickets pendientes: una pierna nueva reabriría uno ya liquidado o cerrado
+function assertOpenForAppend(slip) {
+  if ((slip.result && slip.result !== "pending") || slip.closed_at) {
+    const err = new Error("betslip is already settled or closed; screenshots can only be added to pending slips");
+    err.status = 409;
+    throw err;
+  }
+}
+
+/**
+ * Añade a un ticket existente las piernas de nuevas capturas (ya sin repetidas) y las imágenes.
+ * El tipo de apuesta se recalcula con el total de piernas. Los totales impresos de las capturas
+ * nuevas sustituyen a los anteriores; el stake solo se rellena si faltaba.
+ * Queda en el historial como cambio de `actor`: una entrada por pierna y otra para el ticket.
+ */
+async function appendParsedSlip(slip, parsed, { images, tipster_id, sport = null, odds_format = null, uploaded_at = null, default_confidence = EXTRACTOR_DEFAULT_CONFIDENCE, actor = null }, hooks = {}) {
+  assertOpenForAppend(slip);
+  const existing = await storage.listSelections([slip.id]);
+  const betType = detectBetType(parsed.tipo_apuesta || slip.system_name, existing.length + parsed.selections.length);
+  const known = slip.source_images || [];
+  // Cash out, each way, etc. de las capturas nuevas solo si el ticket no los tenía
+  const terms = extractedTerms(parsed, { odds_format });
+
+  const patch = {
+    ...Object.fromEntries(TERM_FIELDS.map(f => [f, slip[f] || terms[f]])),
+    source_images: [...known, ...images.map((img, i) => ({ ...img, position: known.length + i }))],
+    source_image_url: slip.source_image_url || images[0]?.url || null,
+    image_hash: slip.image_hash || images[0]?.image_hash || null,
+    stake: slip.stake ?? parseAmount(parsed.importe),
+    currency: slip.currency || detectCurrency(parsed.importe),
+    bet_type: betType.bet_type,
+    system_name: betType.system_name,
+    system_sizes: betType.system_sizes,
+    lines: betType.lines,
+    printed_odds: parseOdds(parsed.cuota_total, odds_format).decimal ?? slip.printed_odds ?? null,
+    printed_return: parseAmount(parsed.ganancia_potencial) ?? slip.printed_return ?? null,
+    parsed_at: new Date().toISOString()
+  };
+  const after = await storage.updateBetslip(slip.id, patch);
+  if (hooks.onSlip) await hooks.onSlip(slip.id, parsed.selections.length);
+
+  const rows = await insertParsedSelections(slip.id, parsed, { tipster_id, sport, odds_format, uploaded_at, default_confidence }, hooks);
+  const legs = await storage.listSelections([slip.id]);
+  await storage.updateBetslip(slip.id, { selection_fingerprint: selectionFingerprint(legs) });
+
+  // Con todas las piernas: añadir con algún partido ya empezado se marca como sospechoso
+  const by = { auth: actor };
+  const existingIds = new Set(existing.map(l => String(l.id)));
+  for (const leg of legs.filter(l => !existingIds.has(String(l.id)))) {
+    await auditChange(by, {
+      slip, entity: "selection", entity_id: leg.id, action: "append_selection",
+      before: null, after: leg, fields: APPENDED_LEG_FIELDS, legs
+    });
+  }
+  await auditChange(by, {
+    slip, entity: "betslip", entity_id: slip.id, action: "append_images",
+    before: slip, after, fields: Object.keys(patch).filter(f => f !== "parsed_at"), legs
+  });
+  return finishSlipRows(slip.id, rows);
+}
 
-      // Enrichment web si falta torneo u hora
-      if (partido && (!torneo || !fecha_hora_iso)) {
-        const web = await enrichViaWeb(partido, fecha_hora_texto, sport || "football");
-        if (web) {
-          if (!torneo && web.tournament) torneo = web.tournament;
-          if (!fecha_hora_iso && web.startIso) fecha_hora_iso = web.startIso;
+// Inserta las piernas extraídas (con enriquecimiento web y confianza) y devuelve sus filas
+async function insertParsedSelections(betslip_id, parsed, { tipster_id, sport, odds_format, uploaded_at, default_confidence }, hooks = {}) {
+  const timeZone = await timeZoneFor(tipster_id);
+  const reference = uploaded_at ? new Date(uploaded_at) : new Date();
+  const total = parsed.selections.length;
+
+  const rows = [];
+  for (const sel of parsed.selections) {
+    let { partido, torneo, fecha_hora_texto, mercado, apuesta, cuota } = sel || {};
+    partido = cleanPartido(partido);
+    const teams = entities.resolveMatch(partido, sport);
+
+    // corrige "1x2" mal en torneo
+    ({ torneo, mercado } = sanitizeTournamentAndMarket(torneo, mercado));
+
+    // Casa ya resuelta por applyBookmakers
+    const casa_apuestas = sel?.casa_apuestas || null;
+
+    // Confianza de lo leído y, para la hora, la de interpretarla en la zona del tipster
+    const confidence = extractedConfidence(sel, default_confidence);
+    const sources = {};
+    // Las piernas entran pendientes: "jue 20:00" es el próximo jueves, no el pasado
+    const ticketTime = parseTicketDate(fecha_hora_texto, { timeZone, reference, prefer: "future" });
+    let fecha_hora_iso = ticketTime.iso;
+    confidence.start_time_utc = Math.min(confidence.start_time_utc ?? 1, ticketTime.confidence);
+    const timeIsWeak = confidence.start_time_utc < TICKET_TIME_MIN_CONFIDENCE;
+
+    // Enrichment web si falta torneo o la hora es dudosa
+    if (partido && (!torneo || timeIsWeak)) {
+      const web = await enrichViaWeb(teams.canonical || partido, fecha_hora_iso, sport || "football", teams);
+      if (web) {
+        if (!torneo && web.tournament) {
+          torneo = web.tournament;
+          confidence.tournament = web.confidence;
+          sources.tournament = "web";
+        }
+        if (timeIsWeak && web.startIso && web.confidence > confidence.start_time_utc) {
+          fecha_hora_iso = web.startIso;
+          confidence.start_time_utc = web.confidence;
+          sources.start_time_utc = "web";
         }
       }
+    }
 
-      const oddsNumber = parseFloat(String(cuota || "").replace(",", "."));
-      const insertObj = {
-        betslip_id,
-        match: partido || null,
-        tournament: torneo || null,
-        start_time_utc: fecha_hora_iso || null,
-        start_time_text: fecha_hora_iso ? null : (fecha_hora_texto || null),
-        market: mercado || null,
-        pick: apuesta || null,
-        odds: Number.isFinite(oddsNumber) ? oddsNumber : null,
-        bookmaker: casa_apuestas || null
-      };
-
-      const { data: selIns, error: selErr } = await supabase
-        .from("bet_selections")
-        .insert(insertObj)
-        .select("id, match, tournament, start_time_utc, start_time_text, market, pick, odds, bookmaker")
-        .single();
-      if (selErr) throw selErr;
-
-      rows.push({
-        "Partido": selIns.match,
-        "Torneo": selIns.tournament,
-        "Fecha y hora": selIns.start_time_utc
-          ? new Date(selIns.start_time_utc).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })
-          : selIns.start_time_text,
-        "Mercado": selIns.market,
-        "Apuesta": selIns.pick,
-        "Cuota": selIns.odds,
-        "Casa de apuestas": selIns.bookmaker,
-        _betslip_id: betslip_id,
-        _selection_id: selIns.id
-      });
+    // Se guarda la cuota en decimal junto al texto y formato originales
+    const odds = parseOdds(cuota, odds_format);
+    const insertObj = {
+      betslip_id,
+      match: partido || null,
+      home_id: teams.home?.id || null,
+      away_id: teams.away?.id || null,
+      home_name: teams.home?.name || null,
+      away_name: teams.away?.name || null,
+      tournament: torneo || null,
+      start_time_utc: fecha_hora_iso || null,
+      // El texto original se guarda mientras la hora no sea fiable
+      start_time_text: confidence.start_time_utc >= TICKET_TIME_MIN_CONFIDENCE ? null : (fecha_hora_texto || null),
+      market: mercado || null,
+      pick: apuesta || null,
+      ...normalizeMarket(mercado, apuesta, partido),
+      odds: odds.decimal,
+      odds_text: odds.text,
+      odds_format: odds.format,
+      bookmaker: casa_apuestas,
+      bookmaker_id: sel?.bookmaker_id || null,
+      sport: sport || null
+    };
+    Object.assign(insertObj, fieldProvenance(insertObj, confidence, sources));
+    Object.assign(insertObj, reviewFlags(insertObj, { threshold: REVIEW_THRESHOLD }));
+
+    const selIns = await storage.insertSelection(insertObj);
+
+    rows.push({
+      "Partido": selIns.match,
+      "Torneo": selIns.tournament,
+      "Fecha y hora": selIns.start_time_utc
+        ? toLocalInTz(selIns.start_time_utc, timeZone)
+        : selIns.start_time_text,
+      "Mercado": selIns.market,
+      "Apuesta": selIns.pick,
+      "Cuota": selIns.odds,
+      "Casa de apuestas": selIns.bookmaker,
+      _bookmaker_id: selIns.bookmaker_id,
+      _betslip_id: betslip_id,
+      _selection_id: selIns.id,
+      _field_confidence: selIns.field_confidence,
+      _needs_review: selIns.needs_review
+    });
+    if (hooks.onRow) await hooks.onRow(rows[rows.length - 1], rows.length, total);
+  }
+
+  return rows;
+}
+
+// Cuota combinada / retorno calculados y contrastados con lo impreso
+async function finishSlipRows(betslip_id, rows) {
+  const betslip = await recomputeBetslip(betslip_id);
+  for (const row of rows) {
+    row["Tipo"] = betslip.system_name || betslip.bet_type;
+    row["Cuota total"] = betslip.combined_odds;
+    row["Retorno potencial"] = betslip.potential_return;
+    row._odds_mismatch = betslip.odds_mismatch;
+  }
+  return rows;
+}
+
+// Inserta un ticket importado desde CSV (sin enriquecimiento web) y lo recalcula
+async function insertImportedSlip(group, { tipster_id }) {
+  const legs = group.legs.map(leg => {
+    const partido = cleanPartido(leg.match);
+    const teams = entities.resolveMatch(partido, leg.sport);
+    return {
+      match: partido || leg.match,
+      home_id: teams.home?.id || null,
+      away_id: teams.away?.id || null,
+      home_name: teams.home?.name || null,
+      away_name: teams.away?.name || null,
+      tournament: leg.tournament,
+      start_time_utc: leg.start_time_utc,
+      market: leg.market,
+      pick: leg.pick,
+      ...normalizeMarket(leg.market, leg.pick, partido),
+      odds: leg.odds.decimal,
+      odds_text: leg.odds.text,
+      odds_format: leg.odds.format,
+      bookmaker: findBookmaker(leg.bookmaker)?.name || leg.bookmaker,
+      bookmaker_id: findBookmaker(leg.bookmaker)?.id || null,
+      sport: leg.sport,
+      result: leg.result,
+      // Las fechas del CSV se conservan; sin ellas, la de la importación
+      settled_at: leg.result === "pending" ? null : leg.settled_at || new Date().toISOString()
+    };
+  });
+
+  const betType = detectBetType(group.slip.bet_type, legs.length);
+  const slip = await storage.insertBetslip({
+    tipster_id,
+    ...(group.slip.created_at ? { created_at: group.slip.created_at } : {}),
+    // Si el ticket queda cerrado al recalcular, conserva la fecha de cierre del CSV
+    ...(group.slip.closed_at ? { closed_at: group.slip.closed_at } : {}),
+    parsed_at: new Date().toISOString(),
+    stake: group.slip.stake,
+    currency: group.slip.currency,
+    bet_type: betType.bet_type,
+    system_name: betType.system_name,
+    system_sizes: betType.system_sizes,
+    lines: betType.lines,
+    ...group.slip.terms,
+    selection_fingerprint: selectionFingerprint(legs)
+  });
+  // Si falla a medias no queda un ticket sin todas sus piernas (igual que al reintentar un trabajo)
+  try {
+    for (const leg of legs) await storage.insertSelection({ betslip_id: slip.id, ...leg });
+
+    // Resultado del ticket indicado en el CSV: se respeta como un cierre manual
+    if (group.slip.result) {
+      await storage.updateBetslip(slip.id, { result: group.slip.result, closed_at: group.slip.closed_at || new Date().toISOString() });
+    }
+    return await recomputeBetslip(slip.id);
+  } catch (e) {
+    await storage.deleteBetslip(slip.id).catch(err => console.error("import cleanup error:", err.message));
+    throw e;
+  }
+}
+
+// Flujos completos de parseo; los usan las rutas síncronas y la cola de trabajos
+// Ticket del mismo tipster que probablemente ya se subió (null si no hay o con force)
+function checkDuplicate(parsed, { tipster_id, sport, odds_format, image_hashes = [], force = false }) {
+  if (force) return null;
+  return findDuplicate(storage, {
+    tipster_id,
+    image_hashes,
+    legs: previewLegs(parsed, { sport, odds_format }),
+    windowDays: Number(process.env.DUPLICATE_WINDOW_DAYS || 14),
+    imageThreshold: Number(process.env.DUPLICATE_IMAGE_THRESHOLD || 6)
+  });
+}
+
+// Lo mismo solo con las capturas, antes de pagar la lectura del modelo
+function checkImageDuplicate(image_hashes, { tipster_id, force = false }) {
+  if (force) return null;
+  return findDuplicate(storage, {
+    tipster_id,
+    image_hashes,
+    windowDays: Number(process.env.DUPLICATE_WINDOW_DAYS || 14),
+    imageThreshold: Number(process.env.DUPLICATE_IMAGE_THRESHOLD || 6)
+  });
+}
+
+function duplicateResponse(res, duplicate) {
+  return res.status(409).json({
+    error: "possible duplicate",
+    warning: "This betslip looks like one already uploaded by the same tipster; resend with force=true to insert it anyway",
+    duplicate_of: duplicate.betslip_id,
+    ...duplicate
+  });
+}
+
+// Una o varias capturas del mismo ticket, en orden; con `betslip_id` se añaden a ese ticket
+// `actor` (req.auth de quien lo pidió) firma en el historial lo que se añade a un ticket existente
+async function runImageParse({ image_url, image_urls, betslip_id = null, tipster_id, sport = null, odds_format = null, bookmaker = null, force = false, uploaded_at = null, actor = null }, hooks = {}) {
+  const target = betslip_id ? await storage.getBetslip(betslip_id) : null;
+  if (betslip_id && !target) {
+    const err = new Error("betslip_id not found");
+    err.status = 404;
+    throw err;
+  }
+  if (target) assertOpenForAppend(target);
+
+  const profile = findBookmaker(bookmaker);
+  // La misma captura dos veces (o una ya guardada en el ticket) no se vuelve a leer.
+  // Se compara la URL exacta: el hash perceptual puede coincidir en capturas distintas
+  const seen = new Set([target?.source_image_url, ...(target?.source_images || []).map(img => img.url)].filter(Boolean));
+  const images = [];
+  const sources = [];
+  for (const url of image_urls || [image_url]) {
+    if (seen.has(url)) continue;
+    seen.add(url);
+    const imageSource = url.startsWith("data:") ? url : await fetchImageAsDataUrl(url);
+    images.push({ url, image_hash: imageHash(imageSource) });
+    sources.push(imageSource);
+  }
+  if (images.length === 0) return { betslip_id: target?.id || null, rows: [], skipped: 0 };
+
+  const image_hashes = images.map(img => img.image_hash).filter(Boolean);
+  if (!target) {
+    const duplicate = await checkImageDuplicate(image_hashes, { tipster_id, force });
+    if (duplicate) return { betslip_id: null, rows: [], duplicate };
+  }
+
+  const parts = [];
+  for (const imageSource of sources) {
+    parts.push(applyBookmakers(await parseImageWithAI(imageSource, profile), { tipster_id, profile }));
+  }
+
+  const opts = { sport, odds_format };
+  const existing = target ? await storage.listSelections([target.id]) : [];
+  const { parsed, skipped } = mergeExtractions(parts, { preview: sel => previewLeg(sel, opts), existing });
+  if (parsed.selections.length === 0) return { betslip_id: target?.id || null, rows: [], skipped };
+
+  const ctx = { tipster_id, sport, odds_format, uploaded_at };
+  if (target) {
+    const rows = await appendParsedSlip(target, parsed, { ...ctx, images, actor }, hooks);
+    return { betslip_id: target.id, rows, skipped };
+  }
+
+  const duplicate = await checkDuplicate(parsed, { tipster_id, sport, odds_format, image_hashes, force });
+  if (duplicate) return { betslip_id: null, rows: [], duplicate };
+
+  let new_id = null;
+  const rows = await ingestParsedSlip(parsed, {
+    ...ctx,
+    source_image_url: images[0].url,
+    source_images: images.map((img, position) => ({ ...img, position })),
+    image_hash: images[0].image_hash
+  }, {
+    ...hooks,
+    onSlip: (id, total) => { new_id = id; return hooks.onSlip?.(id, total); }
+  });
+  return { betslip_id: new_id, rows, skipped };
+}
+
+async function runTextParse({ text, tipster_id, sport = null, odds_format = null, bookmaker = null, force = false, uploaded_at = null }, hooks = {}) {
+  const profile = findBookmaker(bookmaker) || findBookmaker(text);
+  const detected = parseSlipText(text);
+  const parser = detected ? detected.parser : "ai";
+  const extracted = detected
+    ? await validateExtraction(JSON.stringify(detected.payload))
+    : await parseTextWithAI(text, profile);
+  const parsed = applyBookmakers(extracted, { tipster_id, profile });
+  if (parsed.selections.length === 0) return { betslip_id: null, rows: [], parser };
+
+  const duplicate = await checkDuplicate(parsed, { tipster_id, sport, odds_format, force });
+  if (duplicate) return { betslip_id: null, rows: [], parser, duplicate };
+
+  let betslip_id = null;
+  const rows = await ingestParsedSlip(parsed, {
+    tipster_id, sport, odds_format, source_text: text, uploaded_at,
+    default_confidence: detected ? 1 : EXTRACTOR_DEFAULT_CONFIDENCE
+  }, {
+    ...hooks,
+    onSlip: (id, total) => { betslip_id = id; return hooks.onSlip?.(id, total); }
+  });
+  return { betslip_id, rows: rows.map(r => ({ ...r, _parser: parser })), parser };
+}
+
+// =====================
+// Trabajos asíncronos de parseo
+// =====================
+// Cada intento parte de cero: si uno anterior dejó un ticket a medias, se borra.
+// Al añadir capturas a un ticket existente no: las piernas ya guardadas se descartan al unir.
+function jobHandler(run, route) {
+  return async (payload, { job, progress }) => usage.run({ route, tipster_id: job.tipster_id }, async () => {
+    if (job.betslip_id && String(job.betslip_id) !== String(payload.betslip_id ?? "")) {
+      await storage.deleteBetslip(job.betslip_id);
+    }
+    const rows = [];
+    const result = await run({ ...payload, uploaded_at: job.created_at }, {
+      onSlip: (betslip_id, total) => progress({ betslip_id, rows: [], progress: { done: 0, total } }),
+      onRow: (row, done, total) => {
+        rows.push(row);
+        return progress({ rows, progress: { done, total } });
+      }
+    });
+    return { betslip_id: result.betslip_id, rows: result.rows, duplicate: result.duplicate || null, skipped: result.skipped || 0 };
+  });
+}
+
+// Webhooks solo a los hosts de CALLBACK_HOSTS y nunca a la red interna
+const callbacks = createCallbackPolicy({ hosts: parseCallbackHosts(process.env.CALLBACK_HOSTS) });
+
+const jobs = createJobQueue({
+  storage,
+  callbacks,
+  handlers: { image: jobHandler(runImageParse, "/parse-rows"), text: jobHandler(runTextParse, "/parse-text") },
+  concurrency: Number(process.env.JOBS_CONCURRENCY || 2),
+  maxAttempts: Number(process.env.JOBS_MAX_ATTEMPTS || 3)
+});
+
+async function enqueueParse(kind, req, res) {
+  const { async: _async, callback_url, ...payload } = req.body;
+  if (callback_url) await callbacks.check(callback_url);
+  const job = await jobs.enqueue({ kind, tipster_id: payload.tipster_id, payload: { ...payload, actor: req.auth }, callback_url: callback_url || null });
+  res.status(202).json({ ok: true, job_id: job.id, status: job.status, status_url: `/parse-jobs/${job.id}` });
+}
+
+// =====================
+// Liquidación automática
+// =====================
+const settlementWorker = createSettlementWorker({
+  storage,
+  lookup: (sel, slip) => usage.run({ route: "settlement-worker", tipster_id: slip?.tipster_id ?? null },
+    () => lookupMatchResult({ partido: sel.match, pick: sel.pick, start_time_utc: sel.start_time_utc })),
+  settle: settleSelection,
+  autoConfidence: Number(process.env.SETTLEMENT_AUTO_CONFIDENCE || 0.85),
+  dryRun: (process.env.SETTLEMENT_DRY_RUN || "false").toLowerCase() === "true",
+  maxAttempts: Number(process.env.SETTLEMENT_MAX_ATTEMPTS || 5),
+  retryMinutes: Number(process.env.SETTLEMENT_RETRY_MINUTES || 60),
+  batchSize: Number(process.env.SETTLEMENT_BATCH_SIZE || 25),
+  intervalMinutes: Number(process.env.SETTLEMENT_INTERVAL_MINUTES || 15)
+});
+
+// =====================
+// Consumo de IA: cuotas diarias y límite de peticiones
+// =====================
+// Cuota del tipster (la suya en tipster_settings o la global) frente a lo gastado hoy (UTC)
+async function usageStatus(tipster_id) {
+  const settings = await storage.getTipsterSettings(tipster_id);
+  const quota = {
+    calls: settings?.ai_daily_calls ?? AI_DAILY_CALLS,
+    cost_usd: settings?.ai_daily_cost ?? AI_DAILY_COST
+  };
+  const { calls, cost_usd, resets_at } = await usage.today(tipster_id);
+  const exceeded = (quota.calls !== null && calls >= quota.calls) || (quota.cost_usd !== null && cost_usd >= quota.cost_usd);
+  return { tipster_id: String(tipster_id), quota, used: { calls, cost_usd }, resets_at, exceeded };
+}
+
+const retryAfter = until => Math.max(1, Math.ceil((new Date(until).getTime() - Date.now()) / 1000));
+
+// Antes de las rutas que llaman al modelo: límite por tipster (o IP) y cuota diaria
+async function aiGuard(req, res, next) {
+  const tipster_id = req.auth?.tipster_id ?? req.body?.tipster_id ?? req.query?.tipster_id ?? null;
+  const rate = aiRateLimiter.hit(tipster_id ? `tipster:${tipster_id}` : `ip:${req.ip}`);
+  res.set({ "X-RateLimit-Limit": String(rate.limit), "X-RateLimit-Remaining": String(rate.remaining) });
+  if (!rate.allowed) {
+    const wait = retryAfter(rate.reset_at);
+    res.set("Retry-After", String(wait));
+    return res.status(429).json({ error: "rate limit exceeded", limit: rate.limit, retry_after_seconds: wait });
+  }
+  if (!tipster_id) return next();
+  try {
+    const status = await usageStatus(tipster_id);
+    if (!status.exceeded) return next();
+    res.set("Retry-After", String(retryAfter(status.resets_at)));
+    const { exceeded, ...rest } = status;
+    res.status(429).json({ error: "daily AI quota exceeded", ...rest });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+}
+
+// =====================
+// Rutas
+// =====================
+app.get("/health", (_req, res) => res.send("ok"));
+
+// Todo lo demás requiere API key o JWT
+app.use(auth.authenticate);
+app.use(usage.middleware);
+
+// Solo firma rutas dentro de la carpeta del tipster: "<tipster_id>/<fichero>"
+app.post("/upload-url", auth.scopeTipster(), validate(uploadUrlBody), async (req, res) => {
+  try {
+    const folder = String(req.body.tipster_id);
+    const name = req.body.filename.startsWith(`${folder}/`)
+      ? req.body.filename.slice(folder.length + 1)
+      : req.body.filename;
+    if (!name || /[\/\\]|\.\./.test(name)) {
+      return res.status(400).json({ error: "filename must be a plain file name inside your folder", filename: req.body.filename });
     }
+    res.json(await storage.createUploadUrl(`${folder}/${name}`));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
 
+app.post("/parse-rows", auth.scopeTipster(), validate(parseRowsBody), aiGuard, async (req, res) => {
+  try {
+    // Capturas para un ticket ya subido: tiene que ser del mismo tipster
+    if (req.body.betslip_id) {
+      const slip = await ownedBetslip(req, req.body.betslip_id);
+      if (!slip || String(slip.tipster_id) !== String(req.body.tipster_id)) {
+        return res.status(404).json({ error: "betslip_id not found", betslip_id: req.body.betslip_id });
+      }
+      assertOpenForAppend(slip);
+    }
+    if (req.body.async || req.body.callback_url) return await enqueueParse("image", req, res);
+    const { rows, duplicate, skipped } = await runImageParse({ ...req.body, actor: req.auth });
+    if (duplicate) return duplicateResponse(res, duplicate);
+    if (skipped) res.set("X-Skipped-Legs", String(skipped));
     res.json(rows);
   } catch (e) {
     console.error("parse-rows error:", e);
-    res.status(500).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.message, ...(e.issues ? { issues: e.issues } : {}) });
+  }
+});
+
+// Ticket compartido como texto: parsers deterministas y, si fallan, el modelo
+app.post("/parse-text", auth.scopeTipster(), validate(parseTextBody), aiGuard, async (req, res) => {
+  try {
+    if (req.body.async || req.body.callback_url) return await enqueueParse("text", req, res);
+    const { rows, duplicate } = await runTextParse(req.body);
+    if (duplicate) return duplicateResponse(res, duplicate);
+    res.json(rows);
+  } catch (e) {
+    console.error("parse-text error:", e);
+    res.status(e.status || 500).json({ error: e.message, ...(e.issues ? { issues: e.issues } : {}) });
+  }
+});
+
+// Estado de un trabajo de parseo (progreso y filas parciales)
+app.get("/parse-jobs/:id", async (req, res) => {
+  try {
+    const job = await jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: "job not found", job_id: req.params.id });
+    assertOwner(req.auth, job.tipster_id);
+    const { payload, ...rest } = job;
+    res.json(rest);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
   }
 });
 
 // Debug enrichment
-app.get("/debug-enrich-web", async (req, res) => {
+app.get("/debug-enrich-web", auth.requireRole("admin"), validate(debugEnrichQuery, "query"), aiGuard, async (req, res) => {
   try {
-    const raw = req.query.partido || "";
-    const partido = cleanPartido(raw);
+    const partido = cleanPartido(req.query.partido);
     const sport = req.query.sport || null;
     if (!partido) return res.status(400).json({ error: "missing partido" });
 
-    const found = await enrichViaWeb(partido, null, sport);
+    const teams = entities.resolveMatch(partido, sport);
+    const found = await enrichViaWeb(teams.canonical || partido, null, sport, teams);
     res.json({
       ok: true,
       partido: partido,
+      web_enrich: USE_WEB,
+      cache: found ? found.cache : null,
       found: found || {
         tournament: null,
         tournamentTz: null,
@@ -406,227 +1142,794 @@ app.get("/debug-enrich-web", async (req, res) => {
   }
 });
 
+// =====================
+// Edición manual de selecciones (update-selection y cola de revisión)
+// =====================
+function invalidField(field, message) {
+  const err = new Error("invalid request");
+  err.status = 400;
+  err.issues = [{ field, message, code: "custom" }];
+  return err;
+}
+
+/**
+ * Aplica `changes` (undefined = sin tocar) a `current`. Lo editado pasa a procedencia manual
+ * con confianza 1; con `confirm` los demás campos dudosos se dan por buenos. Después se
+ * recalcula la marca de revisión. Devuelve { selection, betslip } (betslip si cambió la cuota).
+ */
+async function editSelection(req, current, changes, { tipster_id = null, odds_format = null, confirm = false, action = "update_selection" } = {}) {
+  const patch = {};
+  if (typeof changes.match !== "undefined") {
+    const partido = cleanPartido(changes.match);
+    if (!partido) throw invalidField("match", "Match cannot be empty");
+    const teams = entities.resolveMatch(partido, current.sport);
+    Object.assign(patch, {
+      match: partido,
+      home_id: teams.home?.id || null,
+      away_id: teams.away?.id || null,
+      home_name: teams.home?.name || null,
+      away_name: teams.away?.name || null
+    });
+  }
+
+  if (typeof changes.tournament !== "undefined") patch.tournament = changes.tournament || null;
+
+  if (typeof changes.startIso !== "undefined") {
+    patch.start_time_utc = changes.startIso ? new Date(changes.startIso).toISOString() : null;
+    if (patch.start_time_utc) patch.start_time_text = null;
+  }
+
+  if (typeof changes.market !== "undefined") patch.market = changes.market || null;
+  if (typeof changes.pick   !== "undefined") patch.pick   = changes.pick   || null;
+
+  if (typeof changes.odds !== "undefined") {
+    const parsedOdds = parseOdds(changes.odds, odds_format);
+    if (parsedOdds.text && parsedOdds.decimal === null) {
+      throw invalidField("odds", `Unrecognized odds "${parsedOdds.text}"`);
+    }
+    patch.odds = parsedOdds.decimal;
+    patch.odds_text = parsedOdds.text;
+    patch.odds_format = parsedOdds.format;
+  }
+
+  if (typeof changes.bookmaker !== "undefined") {
+    const name = cleanBookmaker(changes.bookmaker, tipster_id);
+    const profile = findBookmaker(name);
+    patch.bookmaker = profile?.name || name || null;
+    patch.bookmaker_id = profile?.id || null;
+  }
+
+  if (Object.keys(patch).length === 0 && !confirm) {
+    const err = new Error("no fields to update");
+    err.status = 400;
+    throw err;
+  }
+
+  // Mercado y pick se vuelven a clasificar con lo que ya tenía la selección
+  if ("match" in patch || "market" in patch || "pick" in patch) {
+    const market = "market" in patch ? patch.market : current.market;
+    const pick = "pick" in patch ? patch.pick : current.pick;
+    Object.assign(patch, normalizeMarket(market, pick, patch.match || current.match));
+  }
+
+  const edited = REVIEW_FIELDS.filter(f => f in patch);
+  const accepted = confirm ? (current.review_fields || []).filter(f => !edited.includes(f)) : [];
+  const provenance = manualProvenance(manualProvenance(current, edited), accepted, null);
+  Object.assign(patch, provenance, reviewFlags({ ...current, ...patch, ...provenance }, { threshold: REVIEW_THRESHOLD }));
+  if (confirm) patch.reviewed_at = new Date().toISOString();
+
+  const data = await storage.updateSelection(current.id, patch);
+  if (!data) {
+    const err = new Error("selection_id not found");
+    err.status = 404;
+    throw err;
+  }
+  await auditChange(req, {
+    slip: await storage.getBetslip(data.betslip_id),
+    entity: "selection",
+    entity_id: current.id,
+    action,
+    before: current,
+    after: data,
+    fields: Object.keys(patch),
+    // Confirmar sin cambiar valores no cuenta como edición tras el inicio
+    legs: edited.length ? [current] : []
+  });
+
+  if ("start_time_utc" in patch) await startTimeChanged(current, data);
+
+  // La cuota cambia la cuota combinada y, si está liquidada, el retorno del ticket
+  const betslip = "odds" in patch ? await recomputeBetslip(data.betslip_id) : undefined;
+  return { selection: data, betslip };
+}
+
 // Actualiza selección (robusto ES/EN)
-app.post("/update-selection", async (req, res) => {
+app.post("/update-selection", auth.scopeTipster(), validate(updateSelectionBody), async (req, res) => {
   try {
     const {
       selection_id,
       tipster_id,
-      torneo, fecha_hora_iso, mercado, apuesta, cuota, casa_apuestas,
-      tournament, start_time_utc, market, pick, odds, bookmaker
-    } = req.body || {};
+      odds_format,
+      partido, torneo, fecha_hora_iso, mercado, apuesta, cuota, casa_apuestas,
+      match, tournament, start_time_utc, market, pick, odds, bookmaker
+    } = req.body;
 
-    if (!selection_id) return res.status(400).json({ error: "missing selection_id" });
+    const current = await ownedSelection(req, selection_id);
+    if (!current) return res.status(404).json({ error: "selection_id not found", selection_id });
 
-    const norm = {
+    const { selection, betslip } = await editSelection(req, current, {
+      match      : typeof partido        !== "undefined" ? partido        : match,
       tournament : typeof torneo         !== "undefined" ? torneo         : tournament,
       startIso   : typeof fecha_hora_iso !== "undefined" ? fecha_hora_iso : start_time_utc,
       market     : typeof mercado        !== "undefined" ? mercado        : market,
       pick       : typeof apuesta        !== "undefined" ? apuesta        : pick,
       odds       : typeof cuota          !== "undefined" ? cuota          : odds,
       bookmaker  : typeof casa_apuestas  !== "undefined" ? casa_apuestas  : bookmaker,
-    };
+    }, { tipster_id, odds_format });
 
-    const patch = {};
-    if (typeof norm.tournament !== "undefined") patch.tournament = norm.tournament || null;
+    return res.json({ ok: true, selection, ...(betslip ? { betslip } : {}) });
+  } catch (e) {
+    console.error("update-selection fatal:", e);
+    return res.status(e.status || 500).json({ error: e.message || String(e), ...(e.issues ? { issues: e.issues } : {}) });
+  }
+});
+
+// Cola de revisión: selecciones marcadas needs_review de todos los tickets del tipster
+app.get("/review-queue", auth.scopeTipster("query"), validate(reviewQueueQuery, "query"), async (req, res) => {
+  try {
+    const { tipster_id, limit } = req.query;
+    const items = await storage.listReviewQueue({ tipster_id, limit });
+    res.json({ tipster_id, threshold: REVIEW_THRESHOLD, count: items.length, items });
+  } catch (e) {
+    console.error("review-queue error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
 
-    if (typeof norm.startIso !== "undefined") {
-      patch.start_time_utc = norm.startIso ? new Date(norm.startIso).toISOString() : null;
-      if (patch.start_time_utc) patch.start_time_text = null;
+// Confirma y/o corrige varias selecciones de la cola; un fallo no detiene al resto
+app.post("/review-queue", auth.scopeTipster(), validate(reviewQueueBody), async (req, res) => {
+  try {
+    const { tipster_id, odds_format, items } = req.body;
+    const results = [];
+    for (const { selection_id, confirm, start_time_utc, ...changes } of items) {
+      try {
+        const current = await ownedSelection(req, selection_id);
+        const slip = current ? await storage.getBetslip(current.betslip_id) : null;
+        if (!slip || String(slip.tipster_id) !== String(tipster_id)) {
+          results.push({ selection_id, ok: false, status: 404, error: "selection_id not found" });
+          continue;
+        }
+        const { selection, betslip } = await editSelection(req, current, { ...changes, startIso: start_time_utc }, {
+          tipster_id, odds_format, confirm, action: confirm ? "review_confirm" : "review_correct"
+        });
+        results.push({ selection_id, ok: true, selection, ...(betslip ? { betslip } : {}) });
+      } catch (e) {
+        results.push({ selection_id, ok: false, status: e.status || 500, error: e.message || String(e), ...(e.issues ? { issues: e.issues } : {}) });
+      }
     }
+    const failed = results.filter(r => !r.ok).length;
+    res.json({ ok: failed === 0, updated: results.length - failed, failed, results });
+  } catch (e) {
+    console.error("review-queue error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
 
-    if (typeof norm.market !== "undefined") patch.market = norm.market || null;
-    if (typeof norm.pick   !== "undefined") patch.pick   = norm.pick   || null;
+// Actualiza stake/moneda en betslips
+app.post("/update-stake", validate(updateStakeBody), async (req, res) => {
+  try {
+    const { betslip_id, stake, currency } = req.body;
+    const before = await ownedBetslip(req, betslip_id);
+    if (!before) return res.status(404).json({ error: "betslip_id not found", betslip_id });
 
-    if (typeof norm.odds !== "undefined") {
-      const v = typeof norm.odds === "number" ? norm.odds : parseFloat(String(norm.odds).replace(",", "."));
-      patch.odds = Number.isFinite(v) ? v : null;
-    }
+    const data = await storage.updateBetslip(betslip_id, {
+      stake: typeof stake === "number" ? stake : null,
+      currency: currency || null
+    });
+    if (!data) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+    await auditChange(req, {
+      slip: before, entity: "betslip", entity_id: betslip_id, action: "update_stake",
+      before, after: data, fields: ["stake", "currency"]
+    });
+
+    const betslip = await recomputeBetslip(betslip_id);
+    return res.json({ ok: true, betslip });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
 
-    if (typeof norm.bookmaker !== "undefined") {
-      const n = String(norm.bookmaker || "").toLowerCase();
-      if (tipster_id && n.includes(String(tipster_id).toLowerCase())) patch.bookmaker = null;
-      else if (n.includes("tipster")) patch.bookmaker = null;
-      else patch.bookmaker = norm.bookmaker || null;
+// Condiciones del ticket: each way (place_terms "1/5 3 puestos" o place_fraction/place_places),
+// apuesta gratis y cuota mejorada. Solo cambia lo que se envía
+app.post("/update-betslip", validate(updateBetslipBody), async (req, res) => {
+  try {
+    const { betslip_id, place_terms, ...changes } = req.body;
+    const before = await ownedBetslip(req, betslip_id);
+    if (!before) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+
+    const { odds_format, ...patch } = changes;
+    if (typeof patch.boosted_odds !== "undefined") {
+      const boosted = parseOdds(patch.boosted_odds, odds_format);
+      if (boosted.text && boosted.decimal === null) {
+        return res.status(400).json({ error: `Unrecognized boosted_odds "${boosted.text}"` });
+      }
+      patch.boosted_odds = boosted.decimal;
     }
+    if (typeof place_terms !== "undefined") {
+      const parsed = parsePlaceTerms(place_terms);
+      if (place_terms && parsed.place_fraction === null) {
+        return res.status(400).json({ error: "Unrecognized place_terms; expected something like \"1/5 3 places\"", place_terms });
+      }
+      patch.place_fraction ??= parsed.place_fraction;
+      patch.place_places ??= parsed.place_places;
+    }
+    if (patch.place_fraction > 0 && typeof patch.each_way === "undefined") patch.each_way = true;
+    if (patch.each_way === false) Object.assign(patch, { place_fraction: null, place_places: null });
+
+    const data = await storage.updateBetslip(betslip_id, patch);
+    if (!data) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+    await auditChange(req, {
+      slip: before, entity: "betslip", entity_id: betslip_id, action: "update_betslip",
+      before, after: data, fields: Object.keys(patch)
+    });
 
-    if (Object.keys(patch).length === 0) {
-      return res.status(400).json({ error: "no fields to update" });
+    const betslip = await recomputeBetslip(betslip_id);
+    return res.json({ ok: true, betslip });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// Cash out: `amount` cobrado por todo el stake o, con `stake`, por esa parte (el resto sigue
+// en juego). `amount: null` lo anula
+app.post("/cash-out-betslip", validate(cashOutBody), async (req, res) => {
+  try {
+    const { betslip_id, amount, stake } = req.body;
+    const before = await ownedBetslip(req, betslip_id);
+    if (!before) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+    if (amount !== null && stake != null && before.stake != null && stake > Number(before.stake)) {
+      return res.status(400).json({ error: "stake exceeds the betslip stake", stake, betslip_stake: before.stake });
     }
 
-    const { data, error } = await supabase
-      .from("bet_selections")
-      .update(patch)
-      .eq("id", selection_id)
-      .select("id, betslip_id, match, tournament, start_time_utc, start_time_text, market, pick, odds, bookmaker")
-      .maybeSingle();
+    const patch = amount === null
+      ? { cash_out_amount: null, cash_out_stake: null, cashed_out_at: null }
+      : { cash_out_amount: amount, cash_out_stake: stake ?? null, cashed_out_at: new Date().toISOString() };
+    // Si el cierre era el propio cash out, el ticket vuelve a depender de sus piernas
+    if (amount === null && before.result === "cashed_out") Object.assign(patch, { result: "pending", closed_at: null });
+    // Un cash out total cierra el ticket aunque tuviera un cierre manual anterior
+    else if (amount !== null && (stake == null || !(Number(before.stake) > stake))) patch.closed_at = null;
+
+    const data = await storage.updateBetslip(betslip_id, patch);
+    if (!data) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+    await auditChange(req, {
+      slip: before, entity: "betslip", entity_id: betslip_id, action: "cash_out",
+      before, after: data, fields: ["cash_out_amount", "cash_out_stake", "cashed_out_at"]
+    });
 
-    if (error) return res.status(500).json({ error: error.message });
-    if (!data)  return res.status(404).json({ error: "selection_id not found", selection_id });
+    const betslip = await recomputeBetslip(betslip_id);
+    return res.json({ ok: true, betslip });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// Listar apuestas del tipster (con selecciones)
+// Página de tickets con filtros; el cursor de la siguiente va en la cabecera X-Next-Cursor
+app.get("/list-betslips", auth.scopeTipster("query"), validate(listBetslipsQuery, "query"), async (req, res) => {
+  try {
+    const { tipster_id, odds_format, currency, sort, order, limit, cursor, from, to, ...filters } = req.query;
+    const page = { sort, order };
+
+    // Se pide uno de más para saber si hay otra página
+    const rows = await storage.pageBetslips({
+      tipster_id,
+      filters: {
+        ...filters,
+        from: from ? new Date(from).toISOString() : null,
+        to: to ? new Date(to).toISOString() : null
+      },
+      ...page,
+      limit: limit + 1,
+      after: cursor ? decodeCursor(cursor, page) : null
+    });
+    const slips = rows.slice(0, limit);
+    if (rows.length > limit) res.set("X-Next-Cursor", encodeCursor(slips[slips.length - 1], page));
+
+    const base = currency || await baseCurrencyFor(tipster_id);
+    const grouped = (await attachSelections(slips)).map(slip => withBaseAmounts(slip, base));
+    if (odds_format) return res.json(grouped.map(slip => withOddsDisplay(slip, odds_format)));
+    return res.json(grouped);
+  } catch (err) {
+    console.error("list-betslips fatal:", err);
+    return res.status(err.status || 500).json({ error: err.message || "Unknown server error" });
+  }
+});
 
-    return res.json({ ok: true, selection: data });
+// Un ticket con sus selecciones, la imagen o el texto de origen y el estado de la liquidación
+app.get("/betslips/:id", validate(betslipQuery, "query"), async (req, res) => {
+  try {
+    const { odds_format, currency } = req.query;
+    const slip = await ownedBetslip(req, req.params.id);
+    if (!slip) return res.status(404).json({ error: "betslip_id not found", betslip_id: req.params.id });
+
+    const base = currency || await baseCurrencyFor(slip.tipster_id);
+    let full = withBaseAmounts((await attachSelections([slip]))[0], base);
+    if (odds_format) full = withOddsDisplay(full, odds_format);
+    const legs = full.bet_selections;
+
+    res.json({
+      ...full,
+      source: {
+        image_url: slip.source_image_url || null,
+        image_hash: slip.image_hash || null,
+        images: slip.source_images || [],
+        text: slip.source_text || null
+      },
+      settlement: {
+        result: slip.result || "pending",
+        payout: slip.payout ?? null,
+        profit: slip.profit ?? null,
+        closed_at: slip.closed_at || null,
+        pending_selections: legs.filter(l => (l.result || "pending") === "pending").length,
+        awaiting_confirmation: legs.filter(l => l.settlement_status === "pending_confirmation").map(l => l.id),
+        edited_after_start: Boolean(slip.edited_after_start)
+      }
+    });
   } catch (e) {
-    console.error("update-selection fatal:", e);
-    return res.status(500).json({ error: e.message || String(e) });
+    console.error("betslip error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
   }
 });
 
-// Actualiza stake/moneda en betslips
-app.post("/update-stake", async (req, res) => {
-  try {
-    const { betslip_id, stake, currency } = req.body || {};
-    if (!betslip_id) return res.status(400).json({ error: "missing betslip_id" });
-
-    const stakeNum =
-      stake === null || typeof stake === "undefined"
-        ? null
-        : (typeof stake === "number" ? stake : parseFloat(String(stake).replace(",", ".")));
-
-    const { data, error } = await supabase
-      .from("betslips")
-      .update({
-        stake: stakeNum !== null && Number.isFinite(stakeNum) ? stakeNum : null,
-        currency: currency || null
-      })
-      .eq("id", betslip_id)
-      .select("id, stake, currency")
-      .single();
-
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ ok: true, betslip: data });
+// Estadísticas del tipster (filtros por torneo, mercado, casa, deporte y fechas)
+app.get("/tipster-stats", auth.scopeTipster("query"), validate(tipsterStatsQuery, "query"), async (req, res) => {
+  try {
+    const { tipster_id, from, to, tournament, market, market_code, bookmaker, sport, group_by, currency } = req.query;
+
+    const slips = await storage.listBetslips({
+      tipster_id,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null,
+      ascending: true
+    });
+    const withLegs = await attachSelections(slips);
+    const filters = { tournament, market, market_code, bookmaker, sport };
+
+    // Las cifras principales van en la moneda base; sin tipo de cambio el ticket se excluye
+    const base = currency || await baseCurrencyFor(tipster_id);
+    const converted = withLegs.map(slip => withBaseAmounts(slip, base));
+    const inBase = converted
+      .filter(slip => !slip.fx_missing)
+      .map(slip => ({ ...slip, stake: slip.stake_base, payout: slip.payout_base, profit: slip.profit_base }));
+    const stats = computeTipsterStats(inBase, { filters, groupBy: group_by || null });
+
+    // Y por moneda original, sin convertir
+    const byCurrency = new Map();
+    for (const slip of withLegs) {
+      const code = slip.currency || base;
+      if (!byCurrency.has(code)) byCurrency.set(code, []);
+      byCurrency.get(code).push(slip);
+    }
+    const by_currency = [...byCurrency.entries()].map(([code, list]) => {
+      const { slips: count, settled, total_staked, profit, roi, yield_pct } = computeTipsterStats(list, { filters });
+      return { currency: code, slips: count, settled, total_staked, profit, roi, yield_pct };
+    });
+
+    res.json({
+      tipster_id,
+      from: from || null,
+      to: to || null,
+      base_currency: base,
+      ...stats,
+      by_currency,
+      fx_missing: converted.filter(slip => slip.fx_missing).map(slip => slip.id)
+    });
   } catch (e) {
-    return res.status(500).json({ error: e.message || String(e) });
+    console.error("tipster-stats error:", e);
+    res.status(500).json({ error: e.message || String(e) });
   }
 });
 
-// Listar apuestas del tipster (con selecciones)
-app.get("/list-betslips", async (req, res) => {
+// Tipos de cambio (unidades por 1 `base` en `date`)
+app.get("/exchange-rates", validate(exchangeRatesQuery, "query"), (req, res) => {
+  res.json({ pivot: "EUR", rates: fx.list(req.query.currency || null) });
+});
+
+app.post("/exchange-rates", auth.requireRole("admin"), validate(exchangeRatesBody), async (req, res) => {
   try {
-    const { tipster_id } = req.query;
-    if (!tipster_id) return res.status(400).json({ error: "missing tipster_id" });
+    const rows = await fx.upsert(req.body);
+    res.json({ ok: true, stored: rows });
+  } catch (e) {
+    console.error("exchange-rates error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
 
-    const { data: slips, error: slipsError } = await supabase
-      .from("betslips")
-      .select("id, tipster_id, created_at, stake, currency, resultado, resultado_texto, closed_at")
-      .eq("tipster_id", tipster_id)
-      .order("created_at", { ascending: false });
+// Moneda base y zona horaria del tipster
+app.get("/tipster-settings", auth.scopeTipster("query"), validate(tipsterSettingsQuery, "query"), async (req, res) => {
+  try {
+    const settings = await storage.getTipsterSettings(req.query.tipster_id);
+    res.json({
+      tipster_id: req.query.tipster_id,
+      ...settings,
+      base_currency: settings?.base_currency || DEFAULT_BASE_CURRENCY,
+      timezone: settings?.timezone || DEFAULT_TIMEZONE
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
 
-    if (slipsError) return res.status(500).json({ error: slipsError.message });
-    if (!slips || slips.length === 0) return res.json([]);
+app.post("/tipster-settings", auth.scopeTipster(), validate(tipsterSettingsBody), async (req, res) => {
+  try {
+    const { tipster_id, base_currency, timezone } = req.body;
+    const settings = await storage.upsertTipsterSettings({
+      tipster_id: String(tipster_id),
+      ...(base_currency ? { base_currency } : {}),
+      ...(timezone ? { timezone } : {}),
+      updated_at: new Date().toISOString()
+    });
+    res.json({ ok: true, settings });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
 
-    const slipIds = slips.map(s => s.id).filter(Boolean);
-    const { data: selections, error: selError } = await supabase
-      .from("bet_selections")
-      .select("id, betslip_id, match, tournament, start_time_utc, start_time_text, market, pick, odds, bookmaker")
-      .in("betslip_id", slipIds);
+// Consumo de IA agregado por tipster, ruta y modelo; con tipster_id, también su cuota de hoy.
+// `to` sin hora incluye el día entero
+app.get("/usage-report", auth.scopeTipster("query"), validate(usageReportQuery, "query"), async (req, res) => {
+  try {
+    const { tipster_id, from, to } = req.query;
+    const rows = await storage.listUsage({
+      tipster_id: tipster_id || null,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? (/^\d{4}-\d{2}-\d{2}$/.test(to) ? utcDay(new Date(to)).end : new Date(to).toISOString()) : null
+    });
+    res.json({
+      from: from || null,
+      to: to || null,
+      tipster_id: tipster_id || null,
+      ...usageReport(rows),
+      ...(tipster_id ? { today: await usageStatus(tipster_id) } : {})
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
 
-    if (selError) {
-      console.error("Supabase selections error:", selError.message);
-      return res.json(slips.map(s => ({ ...s, bet_selections: [] })));
-    }
+// Cuota diaria de IA de un tipster (solo admin)
+app.post("/usage-quotas", auth.requireRole("admin"), validate(usageQuotaBody), async (req, res) => {
+  try {
+    const { tipster_id, daily_calls, daily_cost } = req.body;
+    await storage.upsertTipsterSettings({
+      tipster_id: String(tipster_id),
+      ...(daily_calls !== undefined ? { ai_daily_calls: daily_calls } : {}),
+      ...(daily_cost !== undefined ? { ai_daily_cost: daily_cost } : {}),
+      updated_at: new Date().toISOString()
+    });
+    res.json({ ok: true, ...(await usageStatus(tipster_id)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
 
-    const grouped = slips.map(slip => ({
-      ...slip,
-      bet_selections: selections.filter(sel => sel.betslip_id === slip.id)
-    }));
+// Diccionario de equipos/jugadores (alias)
+app.get("/participants", validate(participantsQuery, "query"), (req, res) => {
+  const { q, sport, match } = req.query;
+  if (match) return res.json(entities.resolveMatch(match, sport || null));
+  res.json(entities.list({ q: q || null, sport: sport || null }));
+});
 
-    return res.json(grouped);
-  } catch (err) {
-    console.error("list-betslips fatal:", err);
-    return res.status(500).json({ error: err.message || "Unknown server error" });
+app.post("/participants", auth.requireRole("admin"), validate(participantBody), async (req, res) => {
+  try {
+    res.json({ ok: true, participant: await entities.upsert(req.body) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
   }
 });
 
+// Casas con perfil (ids que acepta `bookmaker` y que se guardan en bookmaker_id)
+app.get("/bookmakers", (req, res) => {
+  res.json(BOOKMAKERS.map(({ id, name, aliases }) => ({ id, name, aliases })));
+});
+
 // Eliminar apuesta completa
-app.delete("/delete-betslip", async (req, res) => {
+app.delete("/delete-betslip", validate(deleteBetslipBody), async (req, res) => {
   try {
-    const { betslip_id } = req.body || {};
-    if (!betslip_id) return res.status(400).json({ error: "missing betslip_id" });
-    await supabase.from("bet_selections").delete().eq("betslip_id", betslip_id);
-    await supabase.from("betslips").delete().eq("id", betslip_id);
+    const { betslip_id } = req.body;
+    const slip = await ownedBetslip(req, betslip_id);
+    if (!slip) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+    const legs = await storage.listSelections([betslip_id]);
+    await auditChange(req, {
+      slip, entity: "betslip", entity_id: betslip_id, action: "delete",
+      before: { ...slip, bet_selections: legs }, legs
+    });
+    await storage.deleteBetslip(betslip_id);
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.message });
   }
 });
 
 // Buscar resultado en internet
-app.get("/check-result", async (req, res) => {
+app.get("/check-result", validate(checkResultQuery, "query"), aiGuard, async (req, res) => {
   console.log("🟢 /check-result");
   try {
-    const { partido, pick } = req.query;
-    if (!partido) return res.status(400).json({ error: "missing partido" });
+    const { partido, pick, selection_id } = req.query;
+    const current = selection_id ? await ownedSelection(req, selection_id) : null;
+    if (selection_id && !current) return res.status(404).json({ error: "selection_id not found", selection_id });
+
+    const out = await lookupMatchResult({ partido: decodeURIComponent(partido), pick });
+
+    // Con selection_id, el resultado encontrado se guarda en la pierna
+    const code = out.finished ? normalizeSelectionResult(out.status) : null;
+    if (selection_id && code) {
+      const settled = await settleSelection(selection_id, code);
+      if (!settled) return res.status(404).json({ error: "selection_id not found", selection_id });
+      await auditChange(req, {
+        slip: settled.betslip, entity: "selection", entity_id: selection_id, action: "check_result",
+        before: current, after: settled.selection, fields: ["result"], legs: [], note: "result looked up"
+      });
+      return res.json({ ...out, result: code, ...settled });
+    }
 
-    const prompt = `Busca si el partido "${decodeURIComponent(
-      partido
-    )}" ya terminó HOY o AYER.
-Devuelve SOLO JSON:
-{"finished":true|false,"score":"x-y|null","status":"Ganada|Perdida|Nula|null","confidence":0..1,"sources":["url1","url2"]}
+    res.json(out);
+  } catch (err) {
+    console.error("❌ /check-result error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-Reglas:
-- Si no terminó: finished=false, el resto null.
-- Determina status respecto al pick del apostante (si se proporciona: "${pick || ""}"). 
-- Si no puedes determinar, status=null.`;
+// Liquidar una selección (won, lost, void, half_won, half_lost, pending)
+app.post("/settle-selection", validate(settleSelectionBody), async (req, res) => {
+  try {
+    const { selection_id, result, placed } = req.body;
+    const code = normalizeSelectionResult(result);
+    if (!code) return res.status(400).json({ error: "invalid result", allowed: SELECTION_RESULTS });
+    const current = await ownedSelection(req, selection_id);
+    if (!current) return res.status(404).json({ error: "selection_id not found", selection_id });
+
+    const settled = await settleSelection(selection_id, code, { placed });
+    if (!settled) return res.status(404).json({ error: "selection_id not found", selection_id });
+    await auditChange(req, {
+      slip: settled.betslip, entity: "selection", entity_id: selection_id, action: "settle_selection",
+      before: current, after: settled.selection, fields: typeof placed === "boolean" ? ["result", "placed"] : ["result"],
+      // Liquidar tras el partido es lo normal; cambiar un resultado ya puesto, no
+      legs: current.result !== "pending" ? [current] : []
+    });
+    res.json({ ok: true, ...settled });
+  } catch (e) {
+    console.error("settle-selection error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
 
-    const response = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "gpt-4o",
-        input: prompt,
-        tools: [
-          { type: "web_search", user_location: { type: "approximate", country: "ES", timezone: "Europe/Madrid" } }
-        ],
-        tool_choice: "auto",
-        temperature: 0.2,
-      }),
+// Cerrar apuesta con resultado confirmado.
+// Sin `resultado`, se deriva de las selecciones ya liquidadas.
+app.post("/close-betslip", validate(closeBetslipBody), async (req, res) => {
+  try {
+    const { betslip_id, resultado, resultado_texto } = req.body;
+
+    const slip = await ownedBetslip(req, betslip_id);
+    if (!slip) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+    const legs = await storage.listSelections([betslip_id]);
+
+    let outcome;
+    if (resultado) {
+      const code = normalizeSelectionResult(resultado);
+      if (!code || code === "pending") return res.status(400).json({ error: "invalid resultado" });
+      const betType = { bet_type: slip.bet_type, system_sizes: slip.system_sizes };
+      outcome = outcomeForWholeSlip(code, computeSlipOdds(legs, betType).combined_odds, slip.stake, slipTerms(slip));
+    } else {
+      outcome = deriveSlipOutcome(legs, slip.stake, { bet_type: slip.bet_type, system_sizes: slip.system_sizes }, slipTerms(slip));
+      if (outcome.result === "pending") {
+        return res.status(409).json({ error: "selections still pending", betslip_id });
+      }
+    }
+
+    const data = await storage.updateBetslip(betslip_id, {
+      result: outcome.result,
+      resultado: outcome.resultado,
+      resultado_texto,
+      payout: outcome.payout,
+      profit: outcome.profit,
+      closed_at: new Date().toISOString(),
     });
+    await auditChange(req, {
+      slip, entity: "betslip", entity_id: betslip_id, action: "close_betslip",
+      before: slip, after: data, fields: ["result", "resultado", "resultado_texto", "payout", "profit"],
+      legs: slip.result && slip.result !== "pending" ? legs : []
+    });
+    res.json({ ok: true, betslip: data });
+  } catch (e) {
+    console.error("close-betslip error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// Exporta el historial: csv (por selecciones o por tickets), xlsx (dos hojas) o json
+app.get("/export-betslips", auth.scopeTipster("query"), validate(exportBetslipsQuery, "query"), async (req, res) => {
+  try {
+    const { tipster_id, format, level, from, to, status } = req.query;
+    const slips = (await storage.listBetslips({
+      tipster_id,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null,
+      ascending: true
+    }))
+      .filter(slip => matchesStatus(slip, status));
+    const sheets = historySheets(await attachSelections(slips));
+
+    if (format === "json") {
+      return res.json({ tipster_id, betslips: sheets.betslips, selections: sheets.selections });
+    }
+    const name = `betslips-${String(tipster_id).replace(/[^\w-]+/g, "_")}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.xlsx"`);
+      return res.send(await historyXlsx(sheets));
+    }
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+    res.send(historyCsv(sheets, level));
+  } catch (e) {
+    console.error("export-betslips error:", e);
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
 
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`OpenAI error: ${text}`);
+// Importa tickets desde un CSV con el formato de la exportación por selecciones
+app.post("/import-betslips", auth.scopeTipster(), validate(importBetslipsBody), async (req, res) => {
+  try {
+    const { tipster_id, csv, odds_format, dry_run } = req.body;
+    const { groups, errors, rows } = parseImportCsv(csv, { odds_format });
+
+    const betslip_ids = [];
+    let selections = dry_run ? groups.reduce((n, g) => n + g.legs.length, 0) : 0;
+    if (!dry_run) {
+      for (const group of groups) {
+        try {
+          const slip = await insertImportedSlip(group, { tipster_id });
+          betslip_ids.push(slip.id);
+          selections += group.legs.length;
+        } catch (e) {
+          errors.push({ line: group.lines[0], ref: group.ref, field: null, message: e.message || String(e) });
+        }
+      }
     }
 
-    const result = await response.json();
-    let text = "";
-    try {
-      const out = result.output || [];
-      const msg = out.find(o => o.type === "message") || out[out.length - 1] || {};
-      text = (msg.content?.find(c => c.type === "output_text")?.text || "").trim();
-    } catch (err) {
-      console.warn("⚠️ parse text failed:", err);
+    res.json({
+      ok: errors.length === 0,
+      dry_run: Boolean(dry_run),
+      rows,
+      betslips: dry_run ? groups.length : betslip_ids.length,
+      selections,
+      betslip_ids,
+      errors
+    });
+  } catch (e) {
+    console.error("import-betslips error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// Historial de cambios manuales de un ticket (también de los borrados)
+app.get("/betslip-history", validate(betslipHistoryQuery, "query"), async (req, res) => {
+  try {
+    const { betslip_id } = req.query;
+    const entries = await audit.history(betslip_id);
+    const slip = await storage.getBetslip(betslip_id);
+    if (!slip && entries.length === 0) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+    assertOwner(req.auth, slip ? slip.tipster_id : entries[0].tipster_id);
+    res.json({
+      betslip_id,
+      deleted: !slip,
+      suspicious: entries.some(e => e.suspicious),
+      entries
+    });
+  } catch (e) {
+    console.error("betslip-history error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// Vuelve al estado anterior a un cambio del historial; la reversión queda registrada
+app.post("/revert-change", validate(revertChangeBody), async (req, res) => {
+  try {
+    const { betslip_id, audit_id } = req.body;
+    const slip = await ownedBetslip(req, betslip_id);
+    if (!slip) return res.status(404).json({ error: "betslip_id not found", betslip_id });
+
+    const plan = audit.revertPlan(await audit.history(betslip_id), audit_id);
+    if (!plan) return res.status(404).json({ error: "audit_id not found for this betslip", audit_id });
+
+    const legs = await storage.listSelections([betslip_id]);
+    const note = `revert to before ${audit_id}`;
+    for (const { entity, entity_id, patch } of plan) {
+      if (entity === "selection") {
+        const before = legs.find(l => String(l.id) === String(entity_id));
+        if (!before) continue;
+        if ("result" in patch) patch.settled_at = patch.result === "pending" ? null : new Date().toISOString();
+        const after = await storage.updateSelection(entity_id, patch);
+        if ("start_time_utc" in patch) await startTimeChanged(before, after);
+        await auditChange(req, { slip, entity, entity_id, action: "revert", before, after, fields: Object.keys(patch), legs: [before], note });
+      } else {
+        const before = await storage.getBetslip(betslip_id);
+        const after = await storage.updateBetslip(betslip_id, patch);
+        await auditChange(req, { slip, entity, entity_id, action: "revert", before, after, fields: Object.keys(patch), legs, note });
+      }
     }
 
-    const s = text.indexOf("{");
-    const e = text.lastIndexOf("}");
-    const parsed = s >= 0 && e > s ? JSON.parse(text.slice(s, e + 1)) : null;
+    const betslip = await recomputeBetslip(betslip_id);
+    const [withLegs] = await attachSelections([betslip]);
+    res.json({ ok: true, reverted: plan, betslip: withLegs });
+  } catch (e) {
+    console.error("revert-change error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// Resultados propuestos por la liquidación automática pendientes de confirmar
+app.get("/settlement-proposals", auth.scopeTipster("query"), validate(settlementProposalsQuery, "query"), async (req, res) => {
+  try {
+    const slips = await attachSelections(await storage.listBetslips({ tipster_id: req.query.tipster_id }));
+    const proposals = slips.flatMap(slip => slip.bet_selections
+      .filter(sel => sel.result === "pending" && sel.settlement_status === "pending_confirmation")
+      .map(sel => ({ ...sel, betslip: { id: slip.id, stake: slip.stake, bet_type: slip.bet_type } })));
+    res.json({ tipster_id: req.query.tipster_id, proposals });
+  } catch (e) {
+    console.error("settlement-proposals error:", e);
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
 
-    res.json(parsed || { finished:false, score:null, status:null, confidence:0, sources:[] });
-  } catch (err) {
-    console.error("❌ /check-result error:", err);
-    res.status(500).json({ error: err.message });
+// Acepta la propuesta (o la corrige con `result`) o la rechaza con accept=false
+app.post("/confirm-settlement", validate(confirmSettlementBody), async (req, res) => {
+  try {
+    const { selection_id, accept, result } = req.body;
+    const sel = await ownedSelection(req, selection_id);
+    if (!sel) return res.status(404).json({ error: "selection_id not found", selection_id });
+
+    if (!accept && !result) {
+      const selection = await storage.updateSelection(selection_id, { settlement_status: "rejected" });
+      if (!selection) return res.status(404).json({ error: "selection_id not found", selection_id });
+      return res.json({ ok: true, selection });
+    }
+
+    const code = normalizeSelectionResult(result || sel.proposed_result);
+    if (!code || code === "pending") {
+      return res.status(400).json({ error: "no result to confirm", allowed: SELECTION_RESULTS });
+    }
+    await storage.updateSelection(selection_id, { settlement_status: "confirmed" });
+    const settled = await settleSelection(selection_id, code);
+    if (!settled) return res.status(404).json({ error: "selection_id not found", selection_id });
+    await auditChange(req, {
+      slip: settled.betslip, entity: "selection", entity_id: selection_id, action: "confirm_settlement",
+      before: sel, after: settled.selection, fields: ["result"], legs: []
+    });
+    res.json({ ok: true, ...settled });
+  } catch (e) {
+    console.error("confirm-settlement error:", e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
   }
 });
 
-// Cerrar apuesta con resultado confirmado
-app.post("/close-betslip", async (req, res) => {
-  const { betslip_id, resultado, resultado_texto } = req.body || {};
-  if (!betslip_id || !resultado) return res.status(400).json({ error: "missing params" });
-  const { data, error } = await supabase
-    .from("betslips")
-    .update({
-      resultado,
-      resultado_texto,
-      closed_at: new Date().toISOString(),
-    })
-    .eq("id", betslip_id)
-    .select("id, resultado, resultado_texto, closed_at")
-    .single();
-  if (error) return res.status(500).json({ error: error.message });
-  res.json({ ok: true, betslip: data });
+// Estado del worker y ejecución manual (dry_run no escribe nada)
+app.get("/settlement-worker", auth.requireRole("admin"), (req, res) => {
+  res.json(settlementWorker.status());
+});
+
+app.post("/settlement-worker/run", auth.requireRole("admin"), validate(settlementRunBody), async (req, res) => {
+  try {
+    const report = await settlementWorker.runOnce(
+      typeof req.body.dry_run === "boolean" ? { dryRun: req.body.dry_run } : {}
+    );
+    if (report.skipped) return res.status(409).json({ error: report.reason });
+    res.json(report);
+  } catch (e) {
+    console.error("settlement-worker run error:", e);
+    res.status(500).json({ error: e.message || String(e) });
+  }
 });
 
 // =====================
@@ -634,3 +1937,23 @@ app.post("/close-betslip", async (req, res) => {
 // =====================
 const port = process.env.PORT || 3000;
 app.listen(port, () => console.log(`✅ Server running on port ${port}`));
+
+if ((process.env.SETTLEMENT_WORKER || "false").toLowerCase() === "true") {
+  settlementWorker.start();
+  console.log("[settlement] worker enabled");
+}
+
+// Tipos de cambio: los guardados y, si existe, el fichero local (EXCHANGE_RATES_FILE)
+fx.load()
+  .then(async () => {
+    for (const entry of readRatesFile(process.env.EXCHANGE_RATES_FILE || "data/exchange_rates.json")) await fx.upsert(entry);
+  })
+  .catch(e => console.error("[fx] load error:", e.message));
+
+// Participantes: la semilla de ENTITIES_FILE y encima las ediciones guardadas
+entities.load()
+  .catch(e => console.error("[entities] load error:", e.message));
+
+jobs.resume()
+  .then(n => { if (n) console.log(`[jobs] ${n} trabajo(s) reanudados`); })
+  .catch(e => console.error("[jobs] resume error:", e.message));
@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAiProvider } from "../lib/ai/index.js";
+import { startServer } from "./helpers/server.js";
+
+test("the fake provider has to be asked for", async () => {
+  assert.throws(() => createAiProvider({}), /OPENAI_API_KEY is required/);
+  assert.throws(() => createAiProvider({ AI_PROVIDER: "other", OPENAI_API_KEY: "sk-test" }), /Unknown AI_PROVIDER/);
+
+  const calls = [];
+  const ai = createAiProvider({ AI_PROVIDER: "fake" }, { onUsage: (method, usage) => calls.push([method, usage.model]) });
+  const out = await ai.extractSlip({ system: "", prompt: "", image: "data:image/png;base64," });
+  assert.match(out.text, /Bet365/);
+  assert.deepEqual(calls, [["extractSlip", "fake"]]);
+});
+
+test("the server does not start without a key or an explicit fake", async () => {
+  await assert.rejects(startServer({ AI_PROVIDER: "", OPENAI_API_KEY: "" }), /OPENAI_API_KEY is required/);
+});
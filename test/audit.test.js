@@ -0,0 +1,121 @@
+import { test, before, after } from "node:test";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import assert from "node:assert/strict";
+import { createAuditLog, diffFields, startedLeg } from "../lib/audit.js";
+import { createMemoryStorage } from "../lib/storage/memory.js";
+import { startServer, pngDataUrl } from "./helpers/server.js";
+
+const PAST = "2020-01-01T12:00:00.000Z";
+const FUTURE = "2999-01-01T12:00:00.000Z";
+
+test("diffs only the fields that change", () => {
+  assert.deepEqual(diffFields({ stake: 10, odds: 2 }, { stake: 20, odds: 2 }, ["stake", "odds"]), { stake: { old: 10, new: 20 } });
+  assert.equal(startedLeg([{ start_time_utc: FUTURE }, { start_time_utc: null }], new Date().toISOString()), null);
+});
+
+test("records changes and flags the ones made after the start", async () => {
+  const storage = createMemoryStorage();
+  const audit = createAuditLog(storage);
+  const slip = await storage.insertBetslip({ tipster_id: "t1", stake: 10 });
+  const base = { betslip_id: slip.id, tipster_id: "t1", entity: "betslip", entity_id: slip.id, actor: { role: "tipster", tipster_id: "t1" } };
+
+  assert.equal(await audit.record({ ...base, action: "update_stake", before: { stake: 10 }, after: { stake: 10 }, fields: ["stake"] }), null);
+
+  const early = await audit.record({ ...base, action: "update_stake", before: { stake: 10 }, after: { stake: 20 }, fields: ["stake"], legs: [{ start_time_utc: FUTURE }] });
+  assert.equal(early.suspicious, false);
+  assert.equal(early.actor_id, "t1");
+
+  const late = await audit.record({ ...base, action: "update_stake", before: { stake: 20 }, after: { stake: 50 }, fields: ["stake"], legs: [{ match: "A - B", start_time_utc: PAST }] });
+  assert.equal(late.suspicious, true);
+  assert.match(late.suspicious_reason, /A - B/);
+  assert.equal((await storage.getBetslip(slip.id)).edited_after_start, true);
+
+  // Volver a antes del primer cambio deja el valor más antiguo de cada campo
+  const entries = await audit.history(slip.id);
+  assert.deepEqual(audit.revertPlan(entries, early.id), [{ entity: "betslip", entity_id: slip.id, patch: { stake: 10 } }]);
+  assert.equal(audit.revertPlan(entries, "missing"), null);
+
+  // Las piernas añadidas con capturas no tienen estado previo: no se revierte por encima
+  const appended = await audit.record({ ...base, action: "append_images", before: { source_images: [] }, after: { source_images: [{ url: "x" }] }, fields: ["source_images"] });
+  const later = await audit.record({ ...base, action: "update_stake", before: { stake: 50 }, after: { stake: 60 }, fields: ["stake"] });
+  const withAppend = await audit.history(slip.id);
+  assert.throws(() => audit.revertPlan(withAppend, early.id), err => err.status === 409);
+  assert.throws(() => audit.revertPlan(withAppend, appended.id), err => err.status === 409);
+  assert.deepEqual(audit.revertPlan(withAppend, later.id), [{ entity: "betslip", entity_id: slip.id, patch: { stake: 50 } }]);
+});
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+test("manual edits can be listed and reverted", async () => {
+  const [row] = (await server.request("POST", "/parse-rows", { tipster_id: "au1", image_url: pngDataUrl(61) })).body;
+  const id = row._betslip_id;
+  await server.request("POST", "/update-stake", { betslip_id: id, stake: 50 });
+
+  const history = (await server.request("GET", `/betslip-history?betslip_id=${id}`)).body;
+  const [entry] = history.entries;
+  assert.equal(entry.action, "update_stake");
+  assert.deepEqual(entry.changes.stake, { old: 10, new: 50 });
+  // El derbi del fixture se jugó en 2025
+  assert.equal(history.suspicious, true);
+
+  const res = await server.request("POST", "/revert-change", { betslip_id: id, audit_id: entry.id });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.betslip.stake, 10);
+  const after = (await server.request("GET", `/betslip-history?betslip_id=${id}`)).body;
+  assert.deepEqual(after.entries.map(e => e.action), ["update_stake", "revert"]);
+});
+
+test("deleted slips keep their history", async () => {
+  const [row] = (await server.request("POST", "/parse-rows", { tipster_id: "au2", image_url: pngDataUrl(63) })).body;
+  assert.equal((await server.request("DELETE", "/delete-betslip", { betslip_id: row._betslip_id })).status, 200);
+  const history = (await server.request("GET", `/betslip-history?betslip_id=${row._betslip_id}`)).body;
+  assert.equal(history.deleted, true);
+  assert.equal(history.entries[0].action, "delete");
+  assert.equal(history.entries[0].before.stake, 10);
+});
+
+test("changes before appended screenshots cannot be reverted", async () => {
+  const text = "Bet365\nSevilla vs Betis\nResultado Final\nSevilla @ 2.10\nImporte 10€";
+  const [row] = (await server.request("POST", "/parse-text", { tipster_id: "au3", text })).body;
+  const id = row._betslip_id;
+  await server.request("POST", "/update-stake", { betslip_id: id, stake: 20 });
+  const added = await server.request("POST", "/parse-rows", { tipster_id: "au3", betslip_id: id, image_url: pngDataUrl(65) });
+  assert.ok(added.body.length > 0);
+
+  const { entries } = (await server.request("GET", `/betslip-history?betslip_id=${id}`)).body;
+  const res = await server.request("POST", "/revert-change", { betslip_id: id, audit_id: entries[0].id });
+  assert.equal(res.status, 409);
+  assert.equal((await server.request("GET", `/betslips/${id}`)).body.stake, 20);
+});
+
+test("reverting a start time drops the cached fixture lookup", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "audit-"));
+  const file = join(dir, "db.json");
+  const web = await startServer({ USE_WEB_ENRICH: "true", MEMORY_STORAGE_FILE: file });
+  const cachedKeys = async () => JSON.parse(await readFile(file, "utf8")).fixture_cache.map(r => r.match_key);
+  try {
+    // "sáb 14:00" es una hora dudosa: el partido de tenis se busca en la web y se cachea
+    const rows = (await web.request("POST", "/parse-rows", { tipster_id: "au4", image_url: pngDataUrl(67) })).body;
+    const tennis = rows.find(r => r.Partido === "C. Alcaraz - J. Sinner");
+    const key = (await cachedKeys()).find(k => /alcaraz/i.test(k));
+    assert.ok(key);
+
+    await web.request("POST", "/update-selection", { selection_id: tennis._selection_id, start_time_utc: "2025-11-01T13:00:00Z" });
+    assert.equal((await cachedKeys()).includes(key), false);
+    // Otro tipster con el mismo ticket vuelve a llenar la caché
+    await web.request("POST", "/parse-rows", { tipster_id: "au5", image_url: pngDataUrl(69) });
+    assert.ok((await cachedKeys()).includes(key));
+
+    const { entries } = (await web.request("GET", `/betslip-history?betslip_id=${tennis._betslip_id}`)).body;
+    const res = await web.request("POST", "/revert-change", { betslip_id: tennis._betslip_id, audit_id: entries[0].id });
+    assert.equal(res.status, 200);
+    assert.equal((await cachedKeys()).includes(key), false);
+  } finally {
+    web.stop();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
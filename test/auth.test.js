@@ -0,0 +1,65 @@
+// =====================
+// API keys, JWT y propiedad de los tickets por tipster
+// =====================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { signJwt, verifyJwt } from "../lib/auth.js";
+import { startServer, pngDataUrl } from "./helpers/server.js";
+
+const SECRET = "test-secret";
+
+let server;
+before(async () => {
+  server = await startServer({
+    AUTH_DISABLED: "false",
+    API_KEYS: "adm-key:admin;t1-key:tipster:t1;t2-key:tipster:t2",
+    JWT_SECRET: SECRET
+  });
+});
+after(() => server?.stop());
+
+const as = key => ({ "X-API-Key": key });
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+test("requests without credentials are rejected", async () => {
+  const res = await server.request("GET", "/list-betslips?tipster_id=t1");
+  assert.equal(res.status, 401);
+  assert.equal((await server.request("GET", "/list-betslips?tipster_id=t1", undefined, as("nope"))).status, 401);
+});
+
+test("a tipster only touches their own slips", async () => {
+  const rows = (await server.request("POST", "/parse-rows", { image_url: pngDataUrl(31) }, as("t1-key"))).body;
+  const id = rows[0]._betslip_id;
+
+  assert.equal((await server.request("POST", "/update-stake", { betslip_id: id, stake: 5 }, as("t2-key"))).status, 403);
+  assert.equal((await server.request("POST", "/update-stake", { betslip_id: id, stake: 5 }, as("t1-key"))).status, 200);
+  assert.equal((await server.request("POST", "/update-stake", { betslip_id: id, stake: 6 }, as("adm-key"))).status, 200);
+  assert.equal((await server.request("GET", `/betslips/${id}`, undefined, as("t1-key"))).status, 200);
+  assert.equal((await server.request("GET", `/betslips/${id}`, undefined, as("t2-key"))).status, 403);
+});
+
+test("a tipster cannot act on another tipster", async () => {
+  const res = await server.request("GET", "/list-betslips?tipster_id=t1", undefined, as("t2-key"));
+  assert.equal(res.status, 403);
+});
+
+test("admin-only routes need the admin role", async () => {
+  const res = await server.request("POST", "/exchange-rates", { date: "2025-01-01", rates: { USD: 1.1 } }, as("t1-key"));
+  assert.equal(res.status, 403);
+  const quota = await server.request("POST", "/usage-quotas", { tipster_id: "t1", daily_calls: 5 }, as("t1-key"));
+  assert.equal(quota.status, 403);
+});
+
+test("signed tokens identify the tipster", async () => {
+  const token = signJwt({ sub: "t1" }, SECRET);
+  assert.equal(verifyJwt(token, SECRET).sub, "t1");
+  assert.equal((await server.request("GET", "/list-betslips?tipster_id=t1", undefined, bearer(token))).status, 200);
+  assert.equal((await server.request("GET", "/list-betslips?tipster_id=t2", undefined, bearer(token))).status, 403);
+
+  const expired = signJwt({ sub: "t1" }, SECRET, { expiresInSec: -10 });
+  assert.equal((await server.request("GET", "/list-betslips?tipster_id=t1", undefined, bearer(expired))).status, 401);
+  const forever = signJwt({ sub: "t1", exp: undefined }, SECRET);
+  assert.throws(() => verifyJwt(forever, SECRET), /no expiry/);
+  assert.equal((await server.request("GET", "/list-betslips?tipster_id=t1", undefined, bearer(forever))).status, 401);
+  assert.equal((await server.request("GET", "/list-betslips?tipster_id=t1", undefined, bearer(signJwt({ sub: "t1" }, "other")))).status, 401);
+});
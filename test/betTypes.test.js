@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectBetType, computeSlipOdds, checkPrintedTotals, parseAmount } from "../lib/betTypes.js";
+
+test("detects singles, accumulators and systems", () => {
+  assert.equal(detectBetType(null, 1).bet_type, "single");
+  assert.equal(detectBetType("Combinada", 3).bet_type, "accumulator");
+  assert.deepEqual(detectBetType("Trixie", 3), { bet_type: "system", system_name: "trixie", system_sizes: [2, 3], lines: 4 });
+  assert.equal(detectBetType("Sistema 2/4", 4).lines, 6);
+  assert.equal(detectBetType("Yankee", 3).bet_type, "accumulator");
+});
+
+test("computes combined odds and potential return", () => {
+  assert.deepEqual(computeSlipOdds([{ odds: 1.85 }, { odds: 2 }], { bet_type: "accumulator" }, 10),
+    { combined_odds: 3.7, potential_return: 37, lines: 1 });
+  const trixie = computeSlipOdds([{ odds: 2 }, { odds: 2 }, { odds: 2 }], detectBetType("Trixie", 3), 8);
+  assert.equal(trixie.potential_return, 40);
+  assert.equal(computeSlipOdds([{ odds: null }], {}, 10).combined_odds, null);
+});
+
+test("flags printed totals that do not match", () => {
+  const computed = { combined_odds: 3.7, potential_return: 37 };
+  assert.equal(checkPrintedTotals(computed, { odds: 3.7, return: 37 }).odds_mismatch, false);
+  assert.equal(checkPrintedTotals(computed, { odds: 3.7, return: 50 }).odds_mismatch, true);
+});
+
+test("parses amounts", () => {
+  assert.equal(parseAmount("12,50 €"), 12.5);
+  assert.equal(parseAmount("10"), 10);
+  assert.equal(parseAmount(7.5), 7.5);
+  assert.equal(parseAmount(""), null);
+  assert.equal(parseAmount("€"), null);
+});
+
+test("parses amounts with thousands separators in both locales", () => {
+  assert.equal(parseAmount("1.000 €"), 1000);
+  assert.equal(parseAmount("1.234,56 €"), 1234.56);
+  assert.equal(parseAmount("1,234.56"), 1234.56);
+  assert.equal(parseAmount("$1,000"), 1000);
+  assert.equal(parseAmount("1.234.567,8"), 1234567.8);
+  assert.equal(parseAmount("0.5"), 0.5);
+  assert.equal(parseAmount("0.125"), 0.125);
+  assert.equal(parseAmount("1.0825"), 1.0825);
+});
+
+test("printed totals of 1,000 or more do not misfire odds_mismatch", () => {
+  const computed = computeSlipOdds([{ odds: 2 }], { bet_type: "single" }, parseAmount("1.000 €"));
+  assert.equal(computed.potential_return, 2000);
+  assert.equal(checkPrintedTotals(computed, { odds: 2, return: parseAmount("2.000,00 €") }).odds_mismatch, false);
+});
@@ -0,0 +1,45 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { findBookmaker, getBookmaker, applyBookmakerProfile, bookmakerHint } from "../lib/bookmakers.js";
+import { startServer, pngDataUrl } from "./helpers/server.js";
+
+test("finds the bookmaker by id or alias as a whole word", () => {
+  assert.equal(findBookmaker("B365")?.id, "bet365");
+  assert.equal(findBookmaker("Apostado en William Hill ayer")?.id, "williamhill");
+  assert.equal(findBookmaker("MARCA Apuestas")?.id, "marcaapuestas");
+  assert.equal(findBookmaker("Betfair Exchange")?.name, "Betfair");
+  assert.equal(findBookmaker("papafrita"), null);
+  assert.equal(findBookmaker(""), null);
+  assert.equal(getBookmaker("codere")?.name, "Codere");
+  assert.equal(getBookmaker("nope"), null);
+});
+
+test("applies each operator's market and date rules", () => {
+  const codere = applyBookmakerProfile({ casa_apuestas: "codere.es", mercado: "MARCARÁN AMBOS EQUIPOS", fecha_hora_texto: "25/10 - 18:00" }, getBookmaker("codere"));
+  assert.equal(codere.casa_apuestas, "Codere");
+  assert.equal(codere.bookmaker_id, "codere");
+  assert.equal(codere.mercado, "Ambos marcan");
+
+  const bwin = applyBookmakerProfile({ mercado: "Resultado", fecha_hora_texto: "Hoy / 21:00" }, getBookmaker("bwin"));
+  assert.equal(bwin.mercado, "Resultado");
+  assert.equal(bwin.fecha_hora_texto, "Hoy 21:00");
+
+  assert.deepEqual(applyBookmakerProfile({ casa_apuestas: "Casa X" }, null), { casa_apuestas: "Casa X", bookmaker_id: null });
+  assert.match(bookmakerHint(getBookmaker("williamhill")), /William Hill.*fracción/);
+  assert.equal(bookmakerHint(null), "");
+});
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+test("stored legs carry the canonical bookmaker", async () => {
+  const list = (await server.request("GET", "/bookmakers")).body;
+  assert.ok(list.some(b => b.id === "bet365" && b.aliases.includes("b365")));
+
+  const rows = (await server.request("POST", "/parse-rows", { tipster_id: "bk1", image_url: pngDataUrl(91), bookmaker: "b365" })).body;
+  assert.deepEqual(rows.map(r => r._bookmaker_id), ["bet365", "bet365"]);
+
+  const unknown = await server.request("POST", "/parse-rows", { tipster_id: "bk1", image_url: pngDataUrl(93), bookmaker: "Casa Inventada" });
+  assert.equal(unknown.status, 400);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isInternalAddress, parseCallbackHosts, hostAllowed, createCallbackPolicy } from "../lib/callbacks.js";
+
+test("flags loopback, link-local and private addresses", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.10", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+    "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:169.254.169.254"]) {
+    assert.equal(isInternalAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "93.184.216.34", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isInternalAddress(ip), false, ip);
+  }
+});
+
+test("matches hosts against the allowlist", () => {
+  const hosts = parseCallbackHosts(" hooks.example.com, *.partner.io ");
+  assert.deepEqual(hosts, ["hooks.example.com", "*.partner.io"]);
+  assert.equal(hostAllowed("hooks.example.com", hosts), true);
+  assert.equal(hostAllowed("api.partner.io", hosts), true);
+  assert.equal(hostAllowed("partner.io", hosts), false);
+  assert.equal(hostAllowed("evil-partner.io", hosts), false);
+  assert.equal(hostAllowed("example.com", hosts), false);
+});
+
+test("rejects callbacks outside the allowlist or to internal addresses", async () => {
+  await assert.rejects(createCallbackPolicy().check("https://hooks.example.com/x"), { status: 400 });
+
+  const policy = createCallbackPolicy({ hosts: ["hooks.example.com", "localhost", "127.0.0.1", "169.254.169.254", "8.8.8.8"] });
+  await assert.rejects(policy.check("https://other.example.com/x"), { status: 400 });
+  await assert.rejects(policy.check("ftp://hooks.example.com/x"), { status: 400 });
+  await assert.rejects(policy.check("http://127.0.0.1:3000/x"), { status: 400 });
+  await assert.rejects(policy.check("http://169.254.169.254/latest/meta-data"), { status: 400 });
+  await assert.rejects(policy.check("http://localhost/x"), { status: 400 });
+  await policy.check("https://8.8.8.8/hook");
+});
+
+test("post refuses internal addresses before connecting", async () => {
+  const policy = createCallbackPolicy({ hosts: ["127.0.0.1"] });
+  await assert.rejects(() => policy.post("http://127.0.0.1:9/x", "{}"), { status: 400 });
+});
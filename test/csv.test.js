@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv, parseCsv, csvCell } from "../lib/csv.js";
+
+test("quotes delimiters, quotes and line breaks", () => {
+  assert.equal(csvCell('Real "Madrid"; CF'), '"Real ""Madrid""; CF"');
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(-10), "-10");
+});
+
+test("neutralises text that spreadsheets would run as a formula", () => {
+  assert.equal(csvCell('=HYPERLINK("http://x","y")'), `"'=HYPERLINK(""http://x"",""y"")"`);
+  assert.equal(csvCell("+34 600"), "'+34 600");
+  assert.equal(csvCell("-150"), "'-150");
+  assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+});
+
+test("round-trips neutralised cells", () => {
+  const rows = [{ match: "=1+1", odds_text: "-150", pick: "'quoted'", odds: -1.5 }];
+  const { records } = parseCsv(toCsv(rows, ["match", "odds_text", "pick", "odds"]));
+  assert.deepEqual(records[0].values, { match: "=1+1", odds_text: "-150", pick: "'quoted'", odds: "-1.5" });
+});
+
+test("reads semicolon-separated files", () => {
+  const { header, records } = parseCsv("match;odds\r\n\"A; B\";1,85\r\n");
+  assert.deepEqual(header, ["match", "odds"]);
+  assert.deepEqual(records[0], { line: 2, values: { match: "A; B", odds: "1,85" } });
+});
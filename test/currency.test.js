@@ -0,0 +1,54 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeCurrency, detectCurrency, createFxTable } from "../lib/currency.js";
+import { createMemoryStorage } from "../lib/storage/memory.js";
+import { startServer, pngDataUrl } from "./helpers/server.js";
+
+test("normalizes codes and symbols", () => {
+  assert.equal(normalizeCurrency(" eur "), "EUR");
+  assert.equal(normalizeCurrency("£"), "GBP");
+  assert.equal(normalizeCurrency("XYZ"), null);
+  assert.equal(detectCurrency("10,00 €"), "EUR");
+  assert.equal(detectCurrency("R$ 50"), "BRL");
+  assert.equal(detectCurrency("USD 25"), "USD");
+  assert.equal(detectCurrency("25"), null);
+});
+
+test("converts with the rate in force on the slip's date", async () => {
+  const fx = createFxTable(createMemoryStorage());
+  await fx.upsert({ date: "2025-01-01", rates: { USD: 1.1, GBP: 0.8 } });
+  await fx.upsert({ date: "2025-06-01", rates: { USD: 1.2 } });
+
+  assert.deepEqual(fx.convert(10, "EUR", "USD", "2025-03-15"), { amount: 11, rate: 1.1, date: "2025-01-01" });
+  assert.equal(fx.convert(10, "EUR", "USD", "2025-07-01").amount, 12);
+  // Cruzado a través del euro
+  assert.equal(fx.convert(8, "GBP", "USD", "2025-03-15").amount, 11);
+  // Antes del primer tipo no hay conversión
+  assert.equal(fx.convert(10, "EUR", "USD", "2024-12-31"), null);
+});
+
+test("rates quoted in another base are stored per euro", async () => {
+  const fx = createFxTable(createMemoryStorage());
+  await fx.upsert({ base: "USD", date: "2025-01-01", rates: { EUR: 0.5, GBP: 0.4 } });
+  assert.equal(fx.convert(1, "EUR", "GBP", "2025-01-01").amount, 0.8);
+  await assert.rejects(fx.upsert({ base: "GBP", date: "2025-01-01", rates: { ZZZ: 1 } }), { status: 400 });
+});
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+test("lists amounts in the tipster's base currency", async () => {
+  await server.request("POST", "/parse-rows", { tipster_id: "fx1", image_url: pngDataUrl(51) });
+  assert.equal((await server.request("POST", "/exchange-rates", { date: "2020-01-01", rates: { USD: 1.5 } })).status, 200);
+  assert.equal((await server.request("POST", "/tipster-settings", { tipster_id: "fx1", base_currency: "usd" })).status, 200);
+
+  const [slip] = (await server.request("GET", "/list-betslips?tipster_id=fx1")).body;
+  assert.equal(slip.currency, "EUR");
+  assert.equal(slip.base_currency, "USD");
+  assert.equal(slip.stake_base, 15);
+  assert.equal(slip.potential_return_base, 55.5);
+
+  const [inEuros] = (await server.request("GET", "/list-betslips?tipster_id=fx1&currency=EUR")).body;
+  assert.equal(inEuros.stake_base, 10);
+});
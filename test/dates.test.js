@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTicketDate, zonedToUtc } from "../lib/dates.js";
+
+// Domingo 19 de octubre de 2025, 12:00 en Madrid
+const reference = new Date("2025-10-19T10:00:00Z");
+const parse = (text, timeZone = "Europe/Madrid") => parseTicketDate(text, { timeZone, reference });
+
+test("keeps explicit instants", () => {
+  assert.deepEqual(parse("2025-10-26T15:15:00Z"),
+    { iso: "2025-10-26T15:15:00.000Z", confidence: 1, kind: "instant", has_time: true, time_zone: "Europe/Madrid" });
+});
+
+test("reads day/month/year in the tipster's time zone", () => {
+  const out = parse("26/10/2025 16:15");
+  assert.equal(out.iso, "2025-10-26T15:15:00.000Z"); // ya en horario de invierno
+  assert.equal(out.kind, "absolute");
+  assert.equal(parse("25/10/2025 16:15").iso, "2025-10-25T14:15:00.000Z");
+});
+
+test("fills the year of partial dates", () => {
+  const out = parse("24/10 20:45");
+  assert.equal(out.iso, "2025-10-24T18:45:00.000Z");
+  assert.equal(out.kind, "partial");
+  assert.equal(parse("3 de enero 18:00").iso, "2026-01-03T17:00:00.000Z");
+});
+
+test("resolves relative days and times", () => {
+  assert.equal(parse("hoy 21:00").iso, "2025-10-19T19:00:00.000Z");
+  assert.equal(parse("mañana 9pm").iso, "2025-10-20T19:00:00.000Z");
+  assert.equal(parse("21:00").kind, "time_only");
+});
+
+test("a date without time is low confidence", () => {
+  const out = parse("24/10/2025");
+  assert.equal(out.has_time, false);
+  assert.ok(out.confidence < 0.5);
+  assert.equal(parse("sin fecha").kind, "none");
+});
+
+test("converts wall time across DST changes", () => {
+  assert.equal(zonedToUtc({ y: 2025, m: 3, d: 30, h: 12 }, "Europe/Madrid").toISOString(), "2025-03-30T10:00:00.000Z");
+});
+
+test("reads dot-separated times when the day is given", () => {
+  const sat = parse("sáb 20.45");
+  assert.equal(sat.kind, "weekday");
+  assert.equal(sat.has_time, true);
+  assert.equal(sat.iso, "2025-10-18T18:45:00.000Z");
+  const partial = parse("24/10 20.45");
+  assert.equal(partial.iso, "2025-10-24T18:45:00.000Z");
+  assert.equal(partial.has_time, true);
+  assert.equal(parse("24.10 20.45").iso, "2025-10-24T18:45:00.000Z");
+  assert.equal(parse("hoy 8.30pm").iso, "2025-10-19T18:30:00.000Z");
+  // Sin día, "20.10" sigue siendo una fecha
+  assert.equal(parse("20.10").iso, "2025-10-19T22:00:00.000Z");
+  assert.equal(parse("20.10").has_time, false);
+});
+
+test("a bare weekday can prefer the next occurrence", () => {
+  // Subido en domingo: el jueves más cercano es el pasado, el próximo es el 23
+  assert.equal(parse("jue 20:00").iso, "2025-10-16T18:00:00.000Z");
+  const next = parseTicketDate("jue 20:00", { timeZone: "Europe/Madrid", reference, prefer: "future" });
+  assert.equal(next.iso, "2025-10-23T18:00:00.000Z");
+  assert.equal(parseTicketDate("dom 21:00", { timeZone: "Europe/Madrid", reference, prefer: "future" }).iso,
+    "2025-10-19T19:00:00.000Z");
+});
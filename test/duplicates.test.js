@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../lib/storage/memory.js";
+import { findDuplicate, selectionFingerprint } from "../lib/duplicates.js";
+
+const leg = (match, pick, odds) => ({ match, market: "1X2", pick, odds });
+const ACCA = [leg("Real Madrid vs Barcelona", "Real Madrid", 1.85), leg("Betis vs Sevilla", "Betis", 2.1)];
+
+async function storageWithAccumulator(image_hash = "ffff0000ffff0000") {
+  const storage = createMemoryStorage();
+  const slip = await storage.insertBetslip({ tipster_id: "t1", image_hash, selection_fingerprint: selectionFingerprint(ACCA) });
+  for (const l of ACCA) await storage.insertSelection({ betslip_id: slip.id, ...l });
+  return { storage, slip };
+}
+
+test("a single on a match from an earlier accumulator is not a duplicate", async () => {
+  const { storage } = await storageWithAccumulator();
+  const found = await findDuplicate(storage, { tipster_id: "t1", image_hashes: ["0000ffff0000ffff"], legs: [ACCA[0]] });
+  assert.equal(found, null);
+});
+
+test("a crop of the same screenshot is still a duplicate", async () => {
+  const { storage, slip } = await storageWithAccumulator();
+  const found = await findDuplicate(storage, { tipster_id: "t1", image_hashes: ["ffff0000ffff00ff"], legs: [ACCA[0]] });
+  assert.equal(found.betslip_id, slip.id);
+  assert.ok(found.reasons.includes("selections_contained"));
+});
+
+test("the same legs are a duplicate whatever the image", async () => {
+  const { storage, slip } = await storageWithAccumulator();
+  const found = await findDuplicate(storage, { tipster_id: "t1", legs: [...ACCA].reverse() });
+  assert.equal(found.betslip_id, slip.id);
+  assert.deepEqual(found.reasons, ["same_selections"]);
+});
+
+test("without legs only a near-identical image counts", async () => {
+  const { storage, slip } = await storageWithAccumulator();
+  assert.equal((await findDuplicate(storage, { tipster_id: "t1", image_hashes: ["ffff0000ffff0001"] })).betslip_id, slip.id);
+  assert.equal(await findDuplicate(storage, { tipster_id: "t1", image_hashes: ["0000ffff0000ffff"] }), null);
+  assert.equal(await findDuplicate(storage, { tipster_id: "t2", image_hashes: ["ffff0000ffff0000"] }), null);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFixtureCache, fixtureMatchKey, dateWindow } from "../lib/fixtureCache.js";
+import { createMemoryStorage } from "../lib/storage/memory.js";
+
+const found = { tournament: "LaLiga", startIso: "2025-10-26T15:15:00.000Z", tz: "Europe/Madrid", sourceUrl: "https://example.com" };
+
+test("keys do not depend on the order of the teams", () => {
+  assert.equal(fixtureMatchKey("Real Madrid vs Barcelona", "football"), fixtureMatchKey("Barcelona - Real Madrid", "Football"));
+  assert.equal(dateWindow("2025-10-26T15:15:00Z"), "2025-10-26");
+  assert.match(dateWindow(null), /^w\d+$/);
+});
+
+test("stores lookups and serves them until they expire", async () => {
+  const cache = createFixtureCache(createMemoryStorage(), { ttlHours: 24, negativeTtlHours: 0 });
+  const matchKey = fixtureMatchKey("Real Madrid vs Barcelona", "football");
+  await cache.put({ key: `${matchKey}@2025-10-26`, matchKey, sport: "football", found });
+  const hit = await cache.get(`${matchKey}@2025-10-26`);
+  assert.equal(hit.startIso, found.startIso);
+  assert.equal(hit.tournament, "LaLiga");
+
+  // Un "no encontrado" se guarda con su propio TTL (aquí 0: caduca al momento)
+  await cache.put({ key: `${matchKey}@2025-10-27`, matchKey, sport: "football", found: null });
+  assert.equal(await cache.get(`${matchKey}@2025-10-27`), null);
+});
+
+test("invalidating a match drops every window of it", async () => {
+  const cache = createFixtureCache(createMemoryStorage());
+  const matchKey = fixtureMatchKey("Real Madrid vs Barcelona", "football");
+  const other = fixtureMatchKey("Sevilla vs Betis", "football");
+  await cache.put({ key: `${matchKey}@2025-10-26`, matchKey, found });
+  await cache.put({ key: `${matchKey}@w1`, matchKey, found });
+  await cache.put({ key: `${other}@2025-10-26`, matchKey: other, found });
+
+  await cache.invalidateMatch(matchKey);
+  assert.equal(await cache.get(`${matchKey}@2025-10-26`), null);
+  assert.equal(await cache.get(`${matchKey}@w1`), null);
+  assert.ok(await cache.get(`${other}@2025-10-26`));
+});
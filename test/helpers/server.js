@@ -0,0 +1,101 @@
+// =====================
+// Arranca server.js en un proceso aparte con almacenamiento en memoria y el proveedor fake
+// =====================
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { deflateSync } from "node:zlib";
+
+const ROOT = fileURLToPath(new URL("../..", import.meta.url));
+
+export async function startServer(env = {}) {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_DRIVER: "memory",
+      MEMORY_STORAGE_FILE: "",
+      AI_PROVIDER: "fake",
+      AUTH_DISABLED: "true",
+      SETTLEMENT_WORKER: "false",
+      USE_WEB_ENRICH: "false",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let log = "";
+  await new Promise((resolve, reject) => {
+    const onData = chunk => {
+      log += chunk;
+      if (log.includes("Server running")) resolve();
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", code => reject(new Error(`server exited with code ${code}\n${log}`)));
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  return {
+    base,
+    async request(method, path, body, headers = {}) {
+      const res = await fetch(base + path, {
+        method,
+        headers: { ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+      const text = await res.text();
+      let json = null;
+      try { json = JSON.parse(text); } catch { /* respuesta no JSON */ }
+      return { status: res.status, headers: res.headers, body: json ?? text };
+    },
+    stop() {
+      child.removeAllListeners("exit");
+      child.kill();
+    },
+  };
+}
+
+// PNG RGB de 16x16 con un degradado distinto por `seed` (data URL)
+export function pngDataUrl(seed) {
+  const w = 16, h = 16;
+  const rows = [];
+  for (let y = 0; y < h; y++) {
+    const row = [0];
+    for (let x = 0; x < w; x++) {
+      const v = (x * seed + y * 7) % 256;
+      row.push(v, (v + seed) % 256, (v * 3) % 256);
+    }
+    rows.push(...row);
+  }
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const crc = buf => {
+    let c = 0xffffffff;
+    for (const b of buf) c = crcTable[(c ^ b) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type), data]);
+    const sum = Buffer.alloc(4);
+    sum.writeUInt32BE(crc(body));
+    return Buffer.concat([len, body, sum]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(w, 0);
+  ihdr.writeUInt32BE(h, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8);
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflateSync(Buffer.from(rows))),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+  return `data:image/png;base64,${png.toString("base64")}`;
+}
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyMarket, normalizeMarket, isMarketLabel } from "../lib/markets.js";
+
+test("classifies market labels in Spanish and English", () => {
+  assert.equal(classifyMarket("1X2"), "match_result");
+  assert.equal(classifyMarket("Ambos equipos marcan"), "btts");
+  assert.equal(classifyMarket("Over/Under 2.5 Goals"), "totals");
+  assert.equal(classifyMarket("Hándicap asiático"), "asian_handicap");
+  assert.equal(classifyMarket("Resultado al descanso"), "half_time_result");
+  assert.equal(classifyMarket("Ganador"), "match_winner");
+  assert.equal(classifyMarket("algo raro"), null);
+  assert.equal(isMarketLabel("Resultado final"), true);
+});
+
+test("structures the pick for each market", () => {
+  const match = "Real Madrid - FC Barcelona";
+  assert.deepEqual(normalizeMarket("Resultado Final", "Real Madrid", match),
+    { market_code: "match_result", pick_side: "home", pick_line: null, pick_participant: "Real Madrid" });
+  assert.equal(normalizeMarket("1X2", "X", match).pick_side, "draw");
+  assert.equal(normalizeMarket("Doble oportunidad", "1X", match).pick_side, "home_draw");
+  assert.deepEqual(normalizeMarket("Hándicap asiático", "Barcelona -1.5", match),
+    { market_code: "asian_handicap", pick_side: "away", pick_line: -1.5, pick_participant: "Barcelona" });
+  assert.equal(normalizeMarket("Ambos marcan", "Sí", match).pick_side, "yes");
+  assert.equal(normalizeMarket("Resultado exacto", "2-1", match).pick_participant, "2-1");
+});
+
+test("infers the market from the pick when the label is unknown", () => {
+  assert.deepEqual(normalizeMarket(null, "Más de 2,5", "A - B"),
+    { market_code: "totals", pick_side: "over", pick_line: 2.5, pick_participant: null });
+  assert.equal(normalizeMarket("Mercado raro", "Lo que sea", "A - B").market_code, "other");
+  assert.equal(normalizeMarket(null, null, null).market_code, null);
+});
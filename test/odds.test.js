@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectOddsFormat, toDecimal, fromDecimal, parseOdds } from "../lib/odds.js";
+
+test("detects formats from the text", () => {
+  assert.equal(detectOddsFormat("1,85"), "decimal");
+  assert.equal(detectOddsFormat("5/2"), "fractional");
+  assert.equal(detectOddsFormat("evens"), "fractional");
+  assert.equal(detectOddsFormat("+150"), "american");
+  assert.equal(detectOddsFormat("-150"), "american");
+  assert.equal(detectOddsFormat("0.85"), "hongkong");
+  assert.equal(detectOddsFormat("-0.5"), "malay");
+  assert.equal(detectOddsFormat("0.85", "malay"), "malay");
+});
+
+test("converts to decimal", () => {
+  assert.equal(toDecimal("5/2", "fractional"), 3.5);
+  assert.equal(toDecimal("+150", "american"), 2.5);
+  assert.equal(toDecimal("-150", "american"), 1.6667);
+  assert.equal(toDecimal("0.85", "hongkong"), 1.85);
+  assert.equal(toDecimal("-0.5", "malay"), 3);
+  assert.equal(toDecimal("-2", "indonesian"), 1.5);
+  assert.equal(toDecimal("1", "decimal"), null);
+});
+
+test("converts from decimal", () => {
+  assert.equal(fromDecimal(3.5, "fractional"), "5/2");
+  assert.equal(fromDecimal(2.5, "american"), "+150");
+  assert.equal(fromDecimal(1.5, "american"), "-200");
+  assert.equal(fromDecimal(1.85, "hongkong"), 0.85);
+});
+
+test("parses strings with or without a hint", () => {
+  assert.deepEqual(parseOdds("1,85"), { decimal: 1.85, text: "1,85", format: "decimal" });
+  assert.equal(parseOdds("-150", "american").decimal, 1.6667);
+  assert.equal(parseOdds("").decimal, null);
+  assert.equal(parseOdds(1.85).decimal, 1.85);
+});
+
+test("numeric odds follow the format hint like strings do", () => {
+  assert.equal(parseOdds(150, "american").decimal, 2.5);
+  assert.equal(parseOdds(-150, "american").decimal, 1.6667);
+  assert.deepEqual(parseOdds(-150, "american"), parseOdds("-150", "american"));
+  assert.equal(parseOdds(0.85, "hongkong").decimal, 1.85);
+  assert.equal(parseOdds(1.85, "decimal").decimal, 1.85);
+  assert.equal(parseOdds(150).decimal, 150);
+});
@@ -0,0 +1,219 @@
+// =====================
+// /parse-rows y /parse-text de punta a punta: proveedor fake + almacenamiento en memoria
+// =====================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { startServer, pngDataUrl } from "./helpers/server.js";
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+const TEXT_SLIP = "Bet365\nReal Madrid vs Barcelona\nResultado Final\nReal Madrid @ 2.10\nImporte 10€";
+
+test("parse-rows stores the fake extraction as an accumulator", async () => {
+  const res = await server.request("POST", "/parse-rows", { tipster_id: "t1", image_url: pngDataUrl(3) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.length, 2);
+  assert.deepEqual(res.body.map(r => r.Cuota), [1.85, 2]);
+  assert.equal(res.body[0]["Casa de apuestas"], "Bet365");
+
+  const slip = (await server.request("GET", `/betslips/${res.body[0]._betslip_id}`)).body;
+  assert.equal(slip.stake, 10);
+  assert.equal(slip.bet_type, "accumulator");
+  assert.equal(slip.combined_odds, 3.7);
+  assert.equal(slip.potential_return, 37);
+  assert.equal(slip.odds_mismatch, false);
+  assert.equal(slip.bet_selections.length, 2);
+});
+
+test("parse-rows rejects the same screenshot as a duplicate", async () => {
+  const first = await server.request("POST", "/parse-rows", { tipster_id: "t2", image_url: pngDataUrl(5) });
+  assert.equal(first.status, 200);
+  const again = await server.request("POST", "/parse-rows", { tipster_id: "t2", image_url: pngDataUrl(5) });
+  assert.equal(again.status, 409);
+  assert.deepEqual(again.body.reasons, ["same_image"]);
+  // El reenvío se rechaza antes de la llamada al modelo
+  const usage = await server.request("GET", "/usage-report?tipster_id=t2");
+  assert.equal(usage.body.totals.calls, 1);
+});
+
+test("parse-rows runs as a background job", async () => {
+  const res = await server.request("POST", "/parse-rows", { tipster_id: "t4", image_url: pngDataUrl(9), async: true });
+  assert.equal(res.status, 202);
+  let job;
+  for (let i = 0; i < 50; i++) {
+    job = (await server.request("GET", res.body.status_url)).body;
+    if (job.status === "succeeded" || job.status === "failed") break;
+    await new Promise(r => setTimeout(r, 50));
+  }
+  assert.equal(job.status, "succeeded");
+  assert.equal(job.rows.length, 2);
+  assert.ok(job.betslip_id);
+});
+
+test("parse-text parses a shared slip without the model", async () => {
+  const res = await server.request("POST", "/parse-text", { tipster_id: "t1", text: TEXT_SLIP });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.length, 1);
+  assert.equal(res.body[0]._parser, "at_odds");
+  assert.equal(res.body[0].Cuota, 2.1);
+  assert.equal(res.body[0]["Retorno potencial"], 21);
+});
+
+test("settling every leg settles the slip", async () => {
+  const rows = (await server.request("POST", "/parse-rows", { tipster_id: "t3", image_url: pngDataUrl(13) })).body;
+  for (const row of rows) {
+    const res = await server.request("POST", "/settle-selection", { selection_id: row._selection_id, result: "won" });
+    assert.equal(res.status, 200);
+  }
+  const slip = (await server.request("GET", `/betslips/${rows[0]._betslip_id}`)).body;
+  assert.equal(slip.result, "won");
+  assert.equal(slip.payout, 37);
+  assert.equal(slip.profit, 27);
+  assert.ok(slip.closed_at);
+});
+
+test("a manually closed slip stays closed when its stake changes", async () => {
+  const [row] = (await server.request("POST", "/parse-rows", { tipster_id: "t5", image_url: pngDataUrl(15) })).body;
+  const closed = await server.request("POST", "/close-betslip", { betslip_id: row._betslip_id, resultado: "Ganada" });
+  assert.equal(closed.status, 200);
+
+  const res = await server.request("POST", "/update-stake", { betslip_id: row._betslip_id, stake: 20 });
+  assert.equal(res.status, 200);
+  const slip = (await server.request("GET", `/betslips/${row._betslip_id}`)).body;
+  assert.equal(slip.result, "won");
+  assert.equal(slip.payout, 74);
+  assert.ok(slip.closed_at);
+});
+
+test("list-betslips pages with a cursor", async () => {
+  for (const seed of [21, 23, 25]) {
+    await server.request("POST", "/parse-rows", { tipster_id: "t6", image_url: pngDataUrl(seed), force: true });
+  }
+  const first = await server.request("GET", "/list-betslips?tipster_id=t6&limit=2");
+  assert.equal(first.status, 200);
+  assert.equal(first.body.length, 2);
+  const cursor = first.headers.get("x-next-cursor");
+  assert.ok(cursor);
+  const second = await server.request("GET", `/list-betslips?tipster_id=t6&limit=2&cursor=${encodeURIComponent(cursor)}`);
+  assert.equal(second.body.length, 1);
+  assert.equal(new Set([...first.body, ...second.body].map(s => s.id)).size, 3);
+});
+
+test("screenshots of the same slip merge their overlapping legs", async () => {
+  const res = await server.request("POST", "/parse-rows", { tipster_id: "t9", image_urls: [pngDataUrl(81), pngDataUrl(83)] });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.length, 2);
+  assert.equal(res.headers.get("x-skipped-legs"), "2");
+  const id = res.body[0]._betslip_id;
+
+  // Otra captura del mismo ticket no añade piernas que ya estaban
+  const more = await server.request("POST", "/parse-rows", { tipster_id: "t9", betslip_id: id, image_urls: [pngDataUrl(83), pngDataUrl(85)] });
+  assert.equal(more.status, 200);
+  assert.deepEqual(more.body, []);
+  assert.equal(more.headers.get("x-skipped-legs"), "2");
+  const slip = (await server.request("GET", `/betslips/${id}`)).body;
+  assert.equal(slip.bet_selections.length, 2);
+  assert.equal(slip.source_images.length, 2);
+});
+
+test("a full cash out closes the slip until it is undone", async () => {
+  const [row] = (await server.request("POST", "/parse-rows", { tipster_id: "t10", image_url: pngDataUrl(101) })).body;
+  const id = row._betslip_id;
+  const res = await server.request("POST", "/cash-out-betslip", { betslip_id: id, amount: "12,50" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.betslip.result, "cashed_out");
+  assert.equal(res.body.betslip.payout, 12.5);
+  assert.equal((await server.request("POST", "/cash-out-betslip", { betslip_id: id, amount: 5, stake: 20 })).status, 400);
+
+  const undone = (await server.request("POST", "/cash-out-betslip", { betslip_id: id, amount: null })).body;
+  assert.equal(undone.betslip.result, "pending");
+});
+
+test("an exported CSV imports back into the same slips", async () => {
+  const csv = await server.request("GET", "/export-betslips?tipster_id=t1&format=csv");
+  assert.equal(csv.status, 200);
+  const res = await server.request("POST", "/import-betslips", { tipster_id: "t7", csv: csv.body });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.errors, []);
+  assert.equal(res.body.betslips, 2);
+  assert.equal(res.body.selections, 3);
+});
+
+test("imports keep the CSV close dates and exports compare instants", async () => {
+  const csv = [
+    "betslip_id,created_at,stake,slip_result,closed_at,match,odds,result,settled_at",
+    "a,2024-03-01T10:00:00Z,10,,2024-03-02T20:05:00Z,Real Madrid - Getafe,2,won,2024-03-02T20:00:00Z",
+    "b,2024-03-05T09:00:00Z,10,Perdida,2024-03-06T22:00:00Z,Sevilla - Betis,3,,",
+  ].join("\n");
+  const res = await server.request("POST", "/import-betslips", { tipster_id: "t11", csv });
+  assert.deepEqual(res.body.errors, []);
+  const [won, lost] = await Promise.all(res.body.betslip_ids.map(id => server.request("GET", `/betslips/${id}`)));
+  assert.equal(won.body.bet_selections[0].settled_at, "2024-03-02T20:00:00.000Z");
+  assert.equal(won.body.closed_at, "2024-03-02T20:05:00.000Z");
+  assert.equal(lost.body.result, "lost");
+  assert.equal(lost.body.closed_at, "2024-03-06T22:00:00.000Z");
+
+  const range = await server.request("GET", "/export-betslips?tipster_id=t11&format=json&from=2024-03-01&to=2024-03-05T23:59:59Z");
+  assert.equal(range.body.betslips.length, 2);
+  // 10:30 en +01:00 es antes de las 10:00 UTC del primer ticket
+  const before = await server.request("GET", "/export-betslips?tipster_id=t11&format=json&to=2024-03-01T10:30:00%2B01:00");
+  assert.equal(before.body.betslips.length, 0);
+});
+
+test("numeric odds in JSON bodies follow odds_format", async () => {
+  const [row] = (await server.request("POST", "/parse-text", { tipster_id: "t8", text: TEXT_SLIP })).body;
+  const res = await server.request("POST", "/update-selection", { selection_id: row._selection_id, odds: -150, odds_format: "american" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.selection.odds, 1.6667);
+
+  const boosted = await server.request("POST", "/update-betslip", { betslip_id: row._betslip_id, boosted_odds: 150, odds_format: "american" });
+  assert.equal(boosted.status, 200);
+  assert.equal(boosted.body.betslip.boosted_odds, 2.5);
+});
+
+test("participant edits go to storage, not to the seed file", async () => {
+  const seed = await readFile(new URL("../data/participants.json", import.meta.url), "utf8");
+  const res = await server.request("POST", "/participants", { id: "test-fc", name: "Test FC", sport: "football", aliases: ["Testers"] });
+  assert.equal(res.status, 200);
+  assert.equal(await readFile(new URL("../data/participants.json", import.meta.url), "utf8"), seed);
+
+  const found = await server.request("GET", "/participants?q=testers");
+  assert.deepEqual(found.body.map(p => p.id), ["test-fc"]);
+});
+
+test("callback_url must not point at internal addresses", async () => {
+  for (const callback_url of ["http://127.0.0.1:8080/hook", "http://169.254.169.254/latest", "https://example.com/hook"]) {
+    const res = await server.request("POST", "/parse-text", { tipster_id: "t9", text: TEXT_SLIP, callback_url });
+    assert.equal(res.status, 400, callback_url);
+  }
+});
+
+test("ids that are not uuids are not found", async () => {
+  assert.equal((await server.request("GET", "/betslips/not-a-uuid")).status, 404);
+  assert.equal((await server.request("GET", "/parse-jobs/not-a-uuid")).status, 404);
+  assert.equal((await server.request("GET", "/betslip-history?betslip_id=not-a-uuid")).status, 404);
+});
+
+test("screenshots appended to a slip go to its history and not to settled slips", async () => {
+  const [row] = (await server.request("POST", "/parse-text", { tipster_id: "t6", text: TEXT_SLIP })).body;
+  const id = row._betslip_id;
+  const added = await server.request("POST", "/parse-rows", { tipster_id: "t6", betslip_id: id, image_url: pngDataUrl(11) });
+  assert.equal(added.status, 200);
+  assert.ok(added.body.length > 0);
+
+  const history = (await server.request("GET", `/betslip-history?betslip_id=${id}`)).body;
+  const appended = history.entries.filter(e => e.action === "append_selection");
+  assert.equal(appended.length, added.body.length);
+  assert.ok(history.entries.some(e => e.action === "append_images" && e.entity === "betslip"));
+  // El derbi del fixture empezó en 2025: añadirlo ahora es sospechoso
+  assert.ok(appended.some(e => e.suspicious));
+  assert.equal((await server.request("GET", `/betslips/${id}`)).body.edited_after_start, true);
+
+  await server.request("POST", "/close-betslip", { betslip_id: id, resultado: "Perdida" });
+  const refused = await server.request("POST", "/parse-rows", { tipster_id: "t6", betslip_id: id, image_url: pngDataUrl(12) });
+  assert.equal(refused.status, 409);
+  assert.equal((await server.request("GET", `/betslips/${id}`)).body.result, "lost");
+});
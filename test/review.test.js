@@ -0,0 +1,52 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { extractedConfidence, fieldProvenance, reviewFlags, manualProvenance } from "../lib/review.js";
+import { startServer, pngDataUrl } from "./helpers/server.js";
+
+test("takes the extractor's confidence under either field name", () => {
+  const conf = extractedConfidence({ confianza: { cuota: 0.95, match: "0.4", torneo: 3 } }, 0.8);
+  assert.equal(conf.odds, 0.95);
+  assert.equal(conf.match, 0.4);
+  assert.equal(conf.tournament, 1);
+  assert.equal(conf.pick, 0.8);
+});
+
+test("flags weak fields and missing required ones", () => {
+  const row = { match: "A - B", odds: 1.9, pick: null, market: "1X2" };
+  const prov = fieldProvenance(row, { match: 0.9, odds: 0.5, market: 0.8 }, { market: "web" });
+  assert.deepEqual(prov.field_source, { match: "ticket", market: "web", odds: "ticket" });
+  assert.equal("pick" in prov.field_confidence, false);
+
+  assert.deepEqual(reviewFlags({ ...row, ...prov }), { needs_review: true, review_fields: ["odds"] });
+  assert.deepEqual(reviewFlags({ match: null, odds: 2, pick: null }).review_fields, ["match"]);
+
+  const fixed = manualProvenance({ ...row, ...prov }, ["odds", "unknown"]);
+  assert.equal(fixed.field_confidence.odds, 1);
+  assert.equal(fixed.field_source.odds, "manual");
+  assert.equal(reviewFlags({ ...row, ...fixed }).needs_review, false);
+});
+
+let server;
+// Umbral justo por encima de la hora relativa ("sáb 14:00" se lee con 0.75)
+before(async () => { server = await startServer({ REVIEW_CONFIDENCE_THRESHOLD: "0.78" }); });
+after(() => server?.stop());
+
+test("the review queue lists weak legs until they are confirmed", async () => {
+  await server.request("POST", "/parse-rows", { tipster_id: "rv1", image_url: pngDataUrl(71) });
+  const queue = (await server.request("GET", "/review-queue?tipster_id=rv1")).body;
+  assert.equal(queue.count, 1);
+  const [item] = queue.items;
+  assert.equal(item.match, "C. Alcaraz - J. Sinner");
+  assert.ok(item.review_fields.includes("start_time_utc"));
+
+  const res = await server.request("POST", "/review-queue", {
+    tipster_id: "rv1",
+    items: [{ selection_id: item.id, start_time_utc: "2025-11-01T13:00:00Z" }, { selection_id: "missing" }]
+  });
+  assert.equal(res.body.updated, 1);
+  assert.equal(res.body.results[1].status, 404);
+  const fixed = res.body.results[0].selection;
+  assert.equal(fixed.needs_review, false);
+  assert.equal(fixed.field_source.start_time_utc, "manual");
+  assert.equal((await server.request("GET", "/review-queue?tipster_id=rv1")).body.count, 0);
+});
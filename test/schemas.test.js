@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { updateStakeBody, extractorPayload, validate } from "../lib/schemas.js";
+
+test("normalizes decimal amounts", () => {
+  assert.equal(updateStakeBody.parse({ betslip_id: "b1", stake: "12,5" }).stake, 12.5);
+  assert.equal(updateStakeBody.parse({ betslip_id: "b1", stake: "" }).stake, null);
+  assert.equal(updateStakeBody.safeParse({ betslip_id: "b1", stake: "abc" }).success, false);
+  assert.equal(updateStakeBody.parse({ betslip_id: "b1", stake: "1.234,56" }).stake, 1234.56);
+  assert.equal(updateStakeBody.parse({ betslip_id: "b1", stake: "0.125" }).stake, 0.125);
+  assert.equal(updateStakeBody.safeParse({ betslip_id: "b1", stake: "12abc" }).success, false);
+  assert.equal(updateStakeBody.safeParse({ betslip_id: "b1", stake: "1-2" }).success, false);
+  assert.equal(updateStakeBody.safeParse({ stake: 10 }).success, false);
+});
+
+test("coerces numbers in the extractor output to text", () => {
+  const out = extractorPayload.parse({ importe: 10, selections: [{ partido: "A - B", cuota: 1.85 }] });
+  assert.equal(out.importe, "10");
+  assert.equal(out.selections[0].cuota, "1.85");
+  assert.equal(extractorPayload.safeParse({ selections: [{ partido: " " }] }).success, false);
+});
+
+test("the middleware answers 400 with the failing fields", () => {
+  let status, body, called = false;
+  const res = { status(s) { status = s; return this; }, json(b) { body = b; } };
+  validate(updateStakeBody)({ body: { stake: 1 } }, res, () => { called = true; });
+  assert.equal(called, false);
+  assert.equal(status, 400);
+  assert.deepEqual(body.issues.map(i => i.field), ["betslip_id"]);
+
+  const req = { body: { betslip_id: "b1", stake: "7,5" } };
+  validate(updateStakeBody)(req, res, () => { called = true; });
+  assert.equal(called, true);
+  assert.equal(req.body.stake, 7.5);
+});
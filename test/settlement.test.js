@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deriveSlipOutcome, outcomeForWholeSlip, normalizeSelectionResult, combinedOdds } from "../lib/settlement.js";
+
+const leg = (result, odds) => ({ result, odds });
+
+test("normalizes result labels in several languages", () => {
+  assert.equal(normalizeSelectionResult("Ganada"), "won");
+  assert.equal(normalizeSelectionResult("half won"), "half_won");
+  assert.equal(normalizeSelectionResult("Anulada"), "void");
+  assert.equal(normalizeSelectionResult("???"), null);
+});
+
+test("an accumulator pays the product of the winning legs", () => {
+  const out = deriveSlipOutcome([leg("won", 1.85), leg("won", 2)], 10);
+  assert.deepEqual(out, { result: "won", resultado: "Ganada", payout: 37, profit: 27 });
+});
+
+test("a lost leg loses the accumulator even with legs pending", () => {
+  const out = deriveSlipOutcome([leg("lost", 1.85), leg("pending", 2)], 10);
+  assert.equal(out.result, "lost");
+  assert.equal(out.profit, -10);
+});
+
+test("void legs drop out and half results pay half", () => {
+  assert.equal(deriveSlipOutcome([leg("won", 2), leg("void", 3)], 10).payout, 20);
+  const half = deriveSlipOutcome([leg("half_won", 2)], 10);
+  assert.equal(half.result, "half_won");
+  assert.equal(half.payout, 15);
+  assert.equal(deriveSlipOutcome([leg("half_lost", 2)], 10).payout, 5);
+});
+
+test("pending legs keep the slip pending", () => {
+  assert.equal(deriveSlipOutcome([leg("won", 2), leg("pending", 2)], 10).result, "pending");
+  assert.equal(deriveSlipOutcome([], 10).result, "pending");
+});
+
+test("a system bet averages its lines", () => {
+  const trixie = { bet_type: "system", system_sizes: [2, 3] };
+  const out = deriveSlipOutcome([leg("won", 2), leg("won", 2), leg("lost", 2)], 8, trixie);
+  // 4 líneas de 2 €: solo la doble de las dos ganadas paga (x4)
+  assert.equal(out.payout, 8);
+  assert.equal(out.result, "void");
+});
+
+test("each way pays the place part of a placed leg", () => {
+  const terms = { each_way: true, place_fraction: 0.2 };
+  const out = deriveSlipOutcome([{ result: "lost", odds: 11, placed: true }], 10, {}, terms);
+  // 5 € a colocado con cuota 1 + 10 * 1/5 = 3
+  assert.equal(out.payout, 15);
+});
+
+test("free bets do not return the stake", () => {
+  const out = deriveSlipOutcome([leg("won", 3)], 10, {}, { free_bet: true });
+  assert.equal(out.payout, 20);
+  assert.equal(out.profit, 20);
+  assert.equal(deriveSlipOutcome([leg("lost", 3)], 10, {}, { free_bet: true }).profit, 0);
+});
+
+test("boosted odds replace the combined odds only when every leg wins", () => {
+  assert.equal(deriveSlipOutcome([leg("won", 2), leg("won", 2)], 10, {}, { boosted_odds: 5 }).payout, 50);
+  assert.equal(deriveSlipOutcome([leg("won", 2), leg("void", 2)], 10, {}, { boosted_odds: 5 }).payout, 20);
+});
+
+test("cash out closes the slip or adds to the part still running", () => {
+  const full = deriveSlipOutcome([leg("pending", 2)], 10, {}, { cash_out_amount: 12 });
+  assert.deepEqual(full, { result: "cashed_out", resultado: "Cash out", payout: 12, profit: 2 });
+  const partial = deriveSlipOutcome([leg("won", 2)], 10, {}, { cash_out_amount: 6, cash_out_stake: 5 });
+  assert.equal(partial.payout, 16);
+});
+
+test("closing a whole slip uses the combined odds", () => {
+  assert.equal(outcomeForWholeSlip("won", 3.7, 10).payout, 37);
+  assert.equal(outcomeForWholeSlip("lost", 3.7, 10).profit, -10);
+  assert.equal(outcomeForWholeSlip("won", null, 10).payout, null);
+  assert.equal(combinedOdds([{ odds: 1.85 }, { odds: 2 }]), 3.7);
+});
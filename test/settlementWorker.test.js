@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createSettlementWorker, expectedEnd } from "../lib/settlementWorker.js";
+import { createMemoryStorage } from "../lib/storage/memory.js";
+import { startServer, pngDataUrl } from "./helpers/server.js";
+
+const NOW = new Date("2025-10-27T12:00:00Z");
+
+async function setup(lookup, opts = {}) {
+  const storage = createMemoryStorage();
+  const slip = await storage.insertBetslip({ tipster_id: "t1", stake: 10 });
+  const leg = await storage.insertSelection({
+    betslip_id: slip.id, match: "Real Madrid - FC Barcelona", pick: "Real Madrid",
+    sport: "football", odds: 2, start_time_utc: "2025-10-26T15:15:00.000Z"
+  });
+  const settled = [];
+  const worker = createSettlementWorker({
+    storage,
+    lookup,
+    settle: async (id, result) => { settled.push([id, result]); return { betslip: { result } }; },
+    now: () => NOW,
+    ...opts
+  });
+  return { storage, slip, leg, settled, worker };
+}
+
+test("a selection is due once its sport's duration has passed", () => {
+  assert.equal(expectedEnd({ start_time_utc: "2025-10-26T15:15:00Z", sport: "Fútbol" }).toISOString(), "2025-10-26T17:15:00.000Z");
+  assert.equal(expectedEnd({ start_time_utc: null }), null);
+});
+
+test("confident results are settled, the rest wait for confirmation", async () => {
+  const sure = await setup(async () => ({ finished: true, status: "Ganada", confidence: 0.9, score: "2-1" }));
+  const report = await sure.worker.runOnce();
+  assert.equal(report.auto_settled, 1);
+  assert.deepEqual(sure.settled, [[sure.leg.id, "won"]]);
+
+  const unsure = await setup(async () => ({ finished: true, status: "Perdida", confidence: 0.5 }));
+  assert.equal((await unsure.worker.runOnce()).pending_confirmation, 1);
+  assert.deepEqual(unsure.settled, []);
+  const leg = await unsure.storage.getSelection(unsure.leg.id);
+  assert.equal(leg.settlement_status, "pending_confirmation");
+  assert.equal(leg.proposed_result, "lost");
+});
+
+test("unfinished matches are retried until the attempts run out", async () => {
+  const { worker, storage, leg } = await setup(async () => ({ finished: false }), { maxAttempts: 2 });
+  assert.equal((await worker.runOnce()).retry, 1);
+  assert.equal((await storage.getSelection(leg.id)).settlement_status, "retry");
+  // El siguiente intento aún no toca
+  assert.equal((await worker.runOnce()).checked, 0);
+
+  await storage.updateSelection(leg.id, { next_check_at: NOW.toISOString() });
+  assert.equal((await worker.runOnce()).exhausted, 1);
+});
+
+test("dry runs and manually closed slips write nothing", async () => {
+  const dry = await setup(async () => ({ finished: true, status: "Ganada", confidence: 0.9 }));
+  assert.equal((await dry.worker.runOnce({ dryRun: true })).auto_settled, 1);
+  assert.deepEqual(dry.settled, []);
+  assert.equal((await dry.storage.getSelection(dry.leg.id)).settlement_status, undefined);
+
+  const closed = await setup(async () => ({ finished: true, status: "Ganada", confidence: 0.9 }));
+  await closed.storage.updateBetslip(closed.slip.id, { closed_at: NOW.toISOString(), result: "lost" });
+  assert.equal((await closed.worker.runOnce()).items[0].action, "skipped");
+  assert.deepEqual(closed.settled, []);
+});
+
+// De punta a punta: el fixture de resultados del proveedor fake da "Ganada" con confianza 0.9
+let server;
+before(async () => { server = await startServer({ SETTLEMENT_AUTO_CONFIDENCE: "0.95" }); });
+after(() => server?.stop());
+
+test("proposals can be confirmed through the API", async () => {
+  const rows = (await server.request("POST", "/parse-rows", { tipster_id: "t8", image_url: pngDataUrl(41) })).body;
+  const run = await server.request("POST", "/settlement-worker/run", {});
+  assert.equal(run.status, 200);
+  assert.ok(run.body.pending_confirmation >= 1);
+
+  const { proposals } = (await server.request("GET", "/settlement-proposals?tipster_id=t8")).body;
+  const derby = proposals.find(p => p.match === rows[0].Partido);
+  assert.equal(derby.proposed_result, "won");
+
+  const res = await server.request("POST", "/confirm-settlement", { selection_id: derby.id, accept: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.selection.result, "won");
+  assert.equal(res.body.selection.settlement_status, "confirmed");
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeTipsterStats, slipPerformance } from "../lib/stats.js";
+
+const slip = (id, result, profit, odds, day, tournament = "LaLiga") => ({
+  id, result, profit, stake: 10,
+  closed_at: result === "pending" ? null : `2025-01-0${day}T20:00:00.000Z`,
+  created_at: `2025-01-0${day}T10:00:00.000Z`,
+  bet_selections: [{ odds, tournament, market: "1X2", result }]
+});
+
+const SLIPS = [
+  slip("a", "won", 10, 2, 1),
+  slip("b", "lost", -10, 1.5, 2),
+  slip("c", "lost", -10, 3, 3, "Premier League"),
+  slip("d", "void", 0, 2, 4),
+  slip("e", "pending", null, 2, 5)
+];
+
+test("computes ROI, yield and hit rate over graded slips", () => {
+  const stats = computeTipsterStats(SLIPS);
+  assert.equal(stats.slips, 5);
+  assert.equal(stats.open, 1);
+  assert.equal(stats.settled, 4);
+  // La nula no cuenta como volumen apostado
+  assert.equal(stats.total_staked, 30);
+  assert.equal(stats.profit, -10);
+  assert.equal(stats.roi, -0.3333);
+  assert.equal(stats.yield_pct, -33.33);
+  assert.equal(stats.hit_rate, 0.3333);
+  assert.equal(stats.avg_odds, 2.17);
+});
+
+test("tracks streaks and the cumulative profit curve", () => {
+  const stats = computeTipsterStats(SLIPS);
+  assert.equal(stats.longest_win_streak, 1);
+  assert.equal(stats.longest_loss_streak, 2);
+  assert.deepEqual(stats.profit_curve.map(p => p.cumulative), [10, 0, -10, -10]);
+  assert.equal(stats.profit_curve[0].date, "2025-01-01T20:00:00.000Z");
+});
+
+test("filters by selection fields and groups the breakdown", () => {
+  assert.equal(computeTipsterStats(SLIPS, { filters: { tournament: "laliga" } }).profit, 0);
+  const grouped = computeTipsterStats(SLIPS, { groupBy: "tournament" });
+  assert.deepEqual(grouped.breakdown.map(g => [g.key, g.profit]), [["laliga", 0], ["premier league", -10]]);
+});
+
+test("a slip without stake counts as one unit", () => {
+  const perf = slipPerformance({ id: "x", result: "won", bet_selections: [{ odds: 2.5 }] });
+  assert.equal(perf.stake, 1);
+  assert.equal(perf.profit, 1.5);
+});
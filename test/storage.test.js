@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSupabaseStorage } from "../lib/storage/supabase.js";
+import { createStorage } from "../lib/storage/index.js";
+
+// Sin red: los ids que no son uuid no llegan a Postgres
+const storage = createSupabaseStorage({ url: "http://127.0.0.1:9", key: "test" });
+
+test("supabase lookups by a non-uuid id find nothing", async () => {
+  assert.equal(await storage.getBetslip("not-a-uuid"), null);
+  assert.equal(await storage.updateBetslip("123", { stake: 1 }), null);
+  assert.equal(await storage.getSelection("abc"), null);
+  assert.equal(await storage.getJob("job-1"), null);
+  assert.deepEqual(await storage.listAudit("x"), []);
+  assert.deepEqual(await storage.listSelections(["x", 7]), []);
+});
+
+test("memory storage has to be asked for", () => {
+  assert.throws(() => createStorage({}), /Supabase credentials are required/);
+  assert.throws(() => createStorage({ STORAGE_DRIVER: "sqlite" }), /Unknown STORAGE_DRIVER/);
+  assert.equal(createStorage({ STORAGE_DRIVER: "memory" }).driver, "memory");
+  assert.equal(createStorage({ SUPABASE_URL: "http://127.0.0.1:9", SUPABASE_KEY: "test" }).driver, "supabase");
+});
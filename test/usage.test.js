@@ -0,0 +1,71 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { estimateCost, usageReport, utcDay } from "../lib/usage.js";
+import { createRateLimiter } from "../lib/limiter.js";
+import { startServer, pngDataUrl } from "./helpers/server.js";
+
+test("estimates the cost of tokens and web searches", () => {
+  assert.equal(estimateCost({ model: "gpt-4o-mini", input_tokens: 1e6, output_tokens: 5e5 }), 0.45);
+  assert.equal(estimateCost({ model: "unknown", input_tokens: 1e6, tool_calls: 2 }), 0.05);
+  assert.equal(estimateCost({ model: "custom", output_tokens: 1e6 }, { prices: { custom: { input: 0, output: 1 } } }), 1);
+});
+
+test("aggregates usage by tipster, route and model", () => {
+  const report = usageReport([
+    { tipster_id: "a", route: "/parse-rows", model: "gpt-4o", cost_usd: 0.3, input_tokens: 10 },
+    { tipster_id: "b", route: "/parse-rows", model: "gpt-4o-mini", cost_usd: 0.1 },
+    { tipster_id: "b", route: "settlement-worker", model: "gpt-4o-mini", cost_usd: 0.05, tool_calls: 1 },
+  ]);
+  assert.equal(report.totals.calls, 3);
+  assert.equal(report.totals.cost_usd, 0.45);
+  assert.deepEqual(report.by_tipster.map(t => [t.tipster_id, t.calls]), [["a", 1], ["b", 2]]);
+  assert.equal(report.by_route[0].route, "/parse-rows");
+  assert.equal(report.by_model.find(m => m.model === "gpt-4o-mini").tool_calls, 1);
+
+  const day = utcDay(new Date("2025-03-10T23:30:00Z"));
+  assert.deepEqual(day, { start: "2025-03-10T00:00:00.000Z", end: "2025-03-11T00:00:00.000Z" });
+});
+
+test("the rate limiter counts per key within the window", () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.equal(limiter.hit("a", 0).allowed, true);
+  assert.equal(limiter.hit("a", 10).remaining, 0);
+  assert.equal(limiter.hit("a", 20).allowed, false);
+  assert.equal(limiter.hit("b", 20).allowed, true);
+  assert.equal(limiter.hit("a", 1000).allowed, true);
+});
+
+let server;
+before(async () => { server = await startServer({ AI_RATE_LIMIT: "3" }); });
+after(() => server?.stop());
+
+test("a tipster over the daily quota gets 429 until the quota changes", async () => {
+  const quota = await server.request("POST", "/usage-quotas", { tipster_id: "q1", daily_calls: 1 });
+  assert.equal(quota.body.quota.calls, 1);
+  assert.equal((await server.request("POST", "/parse-rows", { tipster_id: "q1", image_url: pngDataUrl(111) })).status, 200);
+
+  const blocked = await server.request("POST", "/parse-rows", { tipster_id: "q1", image_url: pngDataUrl(113) });
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.body.error, "daily AI quota exceeded");
+  assert.deepEqual(blocked.body.used, { calls: 1, cost_usd: 0 });
+  assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+
+  const report = (await server.request("GET", "/usage-report?tipster_id=q1")).body;
+  assert.equal(report.totals.calls, 1);
+  assert.equal(report.by_route[0].route, "/parse-rows");
+  assert.equal(report.today.exceeded, true);
+
+  await server.request("POST", "/usage-quotas", { tipster_id: "q1", daily_calls: null });
+  assert.equal((await server.request("POST", "/parse-rows", { tipster_id: "q1", image_url: pngDataUrl(113), force: true })).status, 200);
+});
+
+test("AI routes are rate limited per tipster", async () => {
+  // `force`: todas las capturas del fake leen el mismo ticket
+  const statuses = [];
+  for (const seed of [121, 123, 125, 127]) {
+    statuses.push((await server.request("POST", "/parse-rows", { tipster_id: "q2", image_url: pngDataUrl(seed), force: true })).status);
+  }
+  assert.deepEqual(statuses, [200, 200, 200, 429]);
+  // Otro tipster tiene su propia ventana
+  assert.equal((await server.request("POST", "/parse-rows", { tipster_id: "q3", image_url: pngDataUrl(129) })).status, 200);
+});